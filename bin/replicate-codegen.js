@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+
+const Replicate = require("..");
+const { main } = require("../lib/codegen");
+
+main(process.argv.slice(2), {
+  client: new Replicate(),
+  stdout: process.stdout,
+  stderr: process.stderr,
+}).then((code) => {
+  process.exitCode = code;
+});
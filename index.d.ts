@@ -2,10 +2,82 @@ declare module "replicate" {
   type Status = "starting" | "processing" | "succeeded" | "failed" | "canceled";
   type Visibility = "public" | "private";
   type WebhookEventType = "start" | "output" | "logs" | "completed";
+  type FileEncodingStrategy = "default" | "upload" | "data-uri";
 
-  export interface ApiError extends Error {
+  export interface ProblemDetails {
+    type?: string;
+    title?: string;
+    detail?: string;
+    [key: string]: unknown;
+  }
+
+  export class ApiError extends Error {
+    constructor(
+      message: string,
+      request: Request,
+      response: Response,
+      problem?: ProblemDetails
+    );
     request: Request;
     response: Response;
+    status: number;
+    type?: string;
+    title?: string;
+    detail?: string;
+  }
+
+  export class AuthenticationError extends ApiError {}
+
+  export class PermissionDeniedError extends ApiError {}
+
+  export class NotFoundError extends ApiError {}
+
+  export class ValidationError extends ApiError {
+    invalidFields: {
+      type?: string;
+      field?: string;
+      description?: string;
+    }[];
+  }
+
+  export class RateLimitError extends ApiError {
+    retryAfter?: number;
+  }
+
+  export class ServerError extends ApiError {}
+
+  export class PredictionTimeoutError extends Error {
+    constructor(message: string, prediction: Prediction);
+    prediction: Prediction;
+  }
+
+  export class PredictionFailedError extends Error {
+    constructor(message: string, prediction: Prediction);
+    prediction: Prediction;
+  }
+
+  export class InputValidationError extends Error {
+    constructor(
+      message: string,
+      invalidFields: InputValidationError["invalidFields"]
+    );
+    invalidFields: {
+      type: string;
+      field: string;
+      description: string;
+    }[];
+  }
+
+  export interface WaitOptions {
+    interval?: number;
+    backoff?: boolean;
+    maxInterval?: number;
+    timeout?: number;
+    deadline?: Date | number;
+    cancelOnTimeout?: boolean;
+    receiver?: WebhookReceiver;
+    fallbackAfter?: number;
+    signal?: AbortSignal;
   }
 
   export interface Collection {
@@ -15,6 +87,45 @@ declare module "replicate" {
     models?: Model[];
   }
 
+  export interface FileObject {
+    id: string;
+    name: string;
+    content_type: string;
+    size: number;
+    etag: string;
+    checksums: object;
+    metadata: object;
+    created_at: string;
+    expires_at: string | null;
+    urls: {
+      get: string;
+    };
+  }
+
+  export interface Deployment {
+    owner: string;
+    name: string;
+    current_release: {
+      number: number;
+      model: string;
+      version: string;
+      created_at: string;
+      created_by: Account;
+      configuration: {
+        hardware: string;
+        min_instances: number;
+        max_instances: number;
+      };
+    };
+  }
+
+  export interface Account {
+    type: "user" | "organization";
+    username: string;
+    name: string;
+    github_url?: string;
+  }
+
   export interface Hardware {
     sku: string;
     name: string;
@@ -42,13 +153,13 @@ declare module "replicate" {
     openapi_schema: object;
   }
 
-  export interface Prediction {
+  export interface Prediction<Input = object, Output = any> {
     id: string;
     status: Status;
     model: string;
     version: string;
-    input: object;
-    output?: any;
+    input: Input;
+    output?: Output;
     source: "api" | "web";
     error?: any;
     logs?: string;
@@ -75,11 +186,317 @@ declare module "replicate" {
     results: T[];
   }
 
+  export interface RetryInfo {
+    attempt: number;
+    delay: number;
+    method: string;
+    url: string;
+    response?: Response;
+    error?: Error;
+  }
+
+  export interface RetryOptions {
+    maxRetries?: number;
+    baseDelay?: number;
+    maxDelay?: number;
+    jitter?: number;
+    statuses?: number[];
+    methods?: string[];
+    networkErrors?: boolean;
+    idempotencyKeys?: boolean;
+    onRetry?: (info: RetryInfo) => void;
+  }
+
+  export interface SchedulerOptions {
+    maxConcurrency?: number;
+    createsPerSecond?: number;
+    createConcurrency?: number;
+    requestsPerSecond?: number;
+  }
+
+  export interface BatchCheckpoint {
+    predictions: Record<number, string>;
+  }
+
+  export interface BatchProgress {
+    total: number;
+    created: number;
+    succeeded: number;
+    failed: number;
+  }
+
+  export interface BatchResult {
+    index: number;
+    input: object;
+    prediction?: Prediction;
+    output?: any;
+    error?: Error;
+  }
+
+  type AttributeValue = string | number | boolean;
+
+  export interface Span {
+    setAttribute(key: string, value: AttributeValue): unknown;
+    setAttributes(attributes: Record<string, AttributeValue>): unknown;
+    addEvent(
+      name: string,
+      attributes?: Record<string, AttributeValue>
+    ): unknown;
+    setStatus(status: { code: number; message?: string }): unknown;
+    recordException(exception: unknown): void;
+    end(): void;
+  }
+
+  export interface Tracer {
+    startSpan(
+      name: string,
+      options?: { attributes?: Record<string, AttributeValue> }
+    ): Span;
+    startActiveSpan?<T>(
+      name: string,
+      options: { attributes?: Record<string, AttributeValue> },
+      fn: (span: Span) => T
+    ): T;
+  }
+
+  export interface RequestContext {
+    route: string | URL;
+    url: URL;
+    method: string;
+    params: object;
+    data?: object | FormData;
+    headers: Record<string, string>;
+    signal?: AbortSignal;
+    startTime: number;
+    duration?: number;
+    span: Span;
+  }
+
+  export interface Middleware {
+    beforeRequest?:
+      | ((context: RequestContext) => unknown)
+      | ((context: RequestContext) => unknown)[];
+    afterResponse?:
+      | ((context: RequestContext, response: Response) => unknown)
+      | ((context: RequestContext, response: Response) => unknown)[];
+    onError?:
+      | ((error: Error, context: RequestContext) => unknown)
+      | ((error: Error, context: RequestContext) => unknown)[];
+  }
+
+  export interface RequestOptions {
+    signal?: AbortSignal;
+  }
+
+  export interface PaginationOptions extends RequestOptions {
+    limit?: number;
+  }
+
+  export interface PaginatedEndpoint<Args extends unknown[], T> {
+    (...args: [...Args, RequestOptions?]): Promise<Page<T>>;
+    all(...args: [...Args, PaginationOptions?]): AsyncGenerator<T>;
+  }
+
   export interface ServerSentEvent {
     event: string;
     data: string;
     id?: string;
     retry?: number;
+    json(): any;
+  }
+
+  /**
+   * The parts of a Node.js `Readable` that `toNodeReadable` returns,
+   * declared here so that the types don't depend on `@types/node`.
+   */
+  export interface NodeReadable extends AsyncIterable<Uint8Array> {
+    pipe(destination: any, options?: { end?: boolean }): any;
+    on(event: string, listener: (...args: any[]) => void): this;
+    destroy(error?: Error): this;
+  }
+
+  export interface PredictionStream
+    extends AsyncGenerator<ServerSentEvent, void, undefined> {
+    on(type: "output" | "logs", listener: (data: string) => void): this;
+    on(type: "error", listener: (error: Error) => void): this;
+    on(type: "done", listener: (prediction: Prediction) => void): this;
+    text(): Promise<string>;
+    wait(): Promise<Prediction>;
+    toReadableStream(): ReadableStream<Uint8Array>;
+    toResponse(init?: ResponseInit): Response;
+    toNodeReadable(): NodeReadable;
+  }
+
+  export class ModelVersionIdentifier {
+    constructor(owner: string, name: string, version?: string | null);
+    owner: string;
+    name: string;
+    version?: string | null;
+
+    static parse(ref: string): ModelVersionIdentifier;
+    toString(): string;
+  }
+
+  export type PredictionHandleEventType = "status" | "logs" | "output" | "done";
+
+  /**
+   * The methods of a `PredictionHandle`,
+   * whose instances also have the fields of the prediction or training.
+   */
+  export class PredictionHandleMethods {
+    on(
+      type: "status",
+      listener: (handle: this, previous: Status) => void
+    ): this;
+    on(type: "logs", listener: (logs: string) => void): this;
+    on(type: "output", listener: (output: any) => void): this;
+    on(type: "done", listener: (handle: this) => void): this;
+    off(
+      type: PredictionHandleEventType,
+      listener: (...args: any[]) => void
+    ): this;
+    update(data: Prediction): Promise<this>;
+    reload(options?: RequestOptions): Promise<this>;
+    cancel(options?: RequestOptions): Promise<this>;
+    wait(options?: WaitOptions): Promise<this>;
+    tailLogs(options?: {
+      interval?: number;
+      signal?: AbortSignal;
+    }): AsyncGenerator<string>;
+    stream(options?: RequestOptions): PredictionStream;
+    toJSON(): Prediction;
+  }
+
+  export type PredictionHandle = PredictionHandleMethods & Prediction;
+
+  export const PredictionHandle: new (
+    client: Replicate,
+    data: Prediction
+  ) => PredictionHandle;
+
+  export class TrainingHandle extends PredictionHandle {}
+
+  /**
+   * Input and output types of models by reference,
+   * which `run` uses to type the inputs and output of a model.
+   * Add models with declaration merging, or generate them with `replicate-codegen`.
+   */
+  // biome-ignore lint/suspicious/noEmptyInterface: extended by declaration merging
+  export interface ModelTypes {}
+
+  export type ModelInput<Ref> = Ref extends keyof ModelTypes
+    ? ModelTypes[Ref] extends { input: infer Input }
+      ? Input
+      : object
+    : object;
+
+  export type ModelOutput<Ref> = Ref extends keyof ModelTypes
+    ? ModelTypes[Ref] extends { output: infer Output }
+      ? Output
+      : object
+    : object;
+
+  export type Reference =
+    | `${string}/${string}`
+    | `${string}/${string}:${string}`
+    | `deployment:${string}/${string}`
+    | `https://${string}`
+    | ModelVersionIdentifier
+    | ModelVersion
+    | Model
+    | Deployment;
+
+  export class FileOutput implements AsyncIterable<Uint8Array> {
+    constructor(client: Replicate, url: string);
+    readonly url: string;
+    blob(): Promise<Blob>;
+    arrayBuffer(): Promise<ArrayBuffer>;
+    stream(): ReadableStream<Uint8Array>;
+    saveTo(path: string): Promise<string>;
+    toString(): string;
+    toJSON(): string;
+    [Symbol.asyncIterator](): AsyncIterator<Uint8Array>;
+  }
+
+  export function validateWebhook(
+    request:
+      | Request
+      | {
+          body: string | ArrayBuffer | ArrayBufferView;
+          headers: Headers | Record<string, string | string[] | undefined>;
+        },
+    secret: string,
+    options?: {
+      tolerance?: number;
+    }
+  ): Promise<Prediction>;
+
+  export interface WebhookEvent {
+    id: string;
+    type: WebhookEventType | "failed";
+  }
+
+  export type WebhookEventHandler<T = Prediction> = (
+    prediction: T,
+    event: WebhookEvent
+  ) => void | Promise<void>;
+
+  /**
+   * The parts of a Node.js `http` request, or an Express request,
+   * that `WebhookHandler.node` reads.
+   */
+  export interface NodeWebhookRequest extends AsyncIterable<any> {
+    headers: Record<string, string | string[] | undefined>;
+    body?: unknown;
+  }
+
+  /**
+   * The parts of a Node.js `http` response, or an Express response,
+   * that `WebhookHandler.node` writes.
+   */
+  export interface NodeWebhookResponse {
+    statusCode: number;
+    setHeader(name: string, value: string): unknown;
+    end(body?: string): unknown;
+  }
+
+  export interface WebhookHandler<T = Prediction> {
+    handle(request: Parameters<typeof validateWebhook>[0]): Promise<T>;
+    fetch(request: Request): Promise<Response>;
+    node(req: NodeWebhookRequest, res: NodeWebhookResponse): Promise<void>;
+  }
+
+  export function createWebhookHandler<
+    T extends Prediction = Prediction,
+  >(options: {
+    secret: string;
+    tolerance?: number;
+    onStart?: WebhookEventHandler<T>;
+    onOutput?: WebhookEventHandler<T>;
+    onLogs?: WebhookEventHandler<T>;
+    onCompleted?: WebhookEventHandler<T>;
+    onFailed?: WebhookEventHandler<T>;
+    onError?: (error: unknown, prediction: T) => void | Promise<void>;
+  }): WebhookHandler<T>;
+
+  export class WebhookReceiver {
+    constructor(options: { url: string; secret: string; tolerance?: number });
+
+    static listen(options: {
+      secret: string;
+      port?: number;
+      host?: string;
+      url?: string;
+      tolerance?: number;
+    }): Promise<WebhookReceiver>;
+
+    url: string;
+
+    receive(
+      request: Parameters<typeof validateWebhook>[0]
+    ): Promise<Prediction>;
+    waitFor(id: string, signal?: AbortSignal): Promise<Prediction>;
+    close(): Promise<void>;
   }
 
   export default class Replicate {
@@ -91,34 +508,73 @@ declare module "replicate" {
         input: Request | string,
         init?: RequestInit
       ) => Promise<Response>;
+      fileEncodingStrategy?: FileEncodingStrategy;
+      fileUploadThreshold?: number;
+      useFileOutput?: boolean;
+      usePredictionHandles?: boolean;
+      retry?: RetryOptions | false;
+      scheduler?: SchedulerOptions;
+      hooks?: Middleware;
+      tracer?: Tracer | false;
     });
 
     auth: string;
     userAgent?: string;
     baseUrl?: string;
     fetch: (input: Request | string, init?: RequestInit) => Promise<Response>;
+    fileEncodingStrategy: FileEncodingStrategy;
+    fileUploadThreshold?: number;
+    useFileOutput: boolean;
+    usePredictionHandles: boolean;
+    retry: Required<Omit<RetryOptions, "onRetry">> &
+      Pick<RetryOptions, "onRetry">;
 
-    run(
-      identifier: `${string}/${string}` | `${string}/${string}:${string}`,
+    run<Ref extends Reference>(
+      identifier: Ref,
       options: {
-        input: object;
-        wait?: { interval?: number };
+        input: ModelInput<Ref>;
+        wait?: WaitOptions;
         webhook?: string;
         webhook_events_filter?: WebhookEventType[];
+        validate?: boolean;
         signal?: AbortSignal;
       },
-      progress?: (prediction: Prediction) => void
-    ): Promise<object>;
+      progress?: (
+        prediction: Prediction<ModelInput<Ref>, ModelOutput<Ref>>
+      ) => void
+    ): Promise<ModelOutput<Ref>>;
 
     stream(
-      identifier: `${string}/${string}` | `${string}/${string}:${string}`,
+      identifier: Reference,
       options: {
         input: object;
         webhook?: string;
         webhook_events_filter?: WebhookEventType[];
+        validate?: boolean;
         signal?: AbortSignal;
+        onOutput?: (data: string) => void;
+        onLogs?: (data: string) => void;
+        onError?: (error: Error) => void;
+        onDone?: (prediction: Prediction) => void;
       }
-    ): AsyncGenerator<ServerSentEvent>;
+    ): PredictionStream;
+
+    batch(
+      identifier: Reference,
+      inputs: object[],
+      options?: {
+        concurrency?: number;
+        ordered?: boolean;
+        wait?: { interval?: number };
+        checkpoint?: BatchCheckpoint;
+        onCheckpoint?: (checkpoint: BatchCheckpoint) => void;
+        onProgress?: (progress: BatchProgress) => void;
+        webhook?: string;
+        webhook_events_filter?: WebhookEventType[];
+        validate?: boolean;
+        signal?: AbortSignal;
+      }
+    ): AsyncGenerator<BatchResult>;
 
     request(
       route: string | URL,
@@ -126,26 +582,71 @@ declare module "replicate" {
         method?: string;
         headers?: object | Headers;
         params?: object;
-        data?: object;
+        data?: object | FormData;
+        signal?: AbortSignal;
       }
     ): Promise<Response>;
 
-    paginate<T>(endpoint: () => Promise<Page<T>>): AsyncGenerator<[T]>;
+    use(middleware: Middleware): this;
+
+    paginate<T>(
+      endpoint: () => Promise<Page<T>>,
+      options?: RequestOptions
+    ): AsyncGenerator<[T]>;
 
     wait(
       prediction: Prediction,
-      options?: {
-        interval?: number;
-      },
+      options?: WaitOptions,
       stop?: (prediction: Prediction) => Promise<boolean>
     ): Promise<Prediction>;
 
     collections: {
-      list(): Promise<Page<Collection>>;
-      get(collection_slug: string): Promise<Collection>;
+      list: PaginatedEndpoint<[], Collection>;
+      get(
+        collection_slug: string,
+        options?: RequestOptions
+      ): Promise<Collection>;
     };
 
     deployments: {
+      get(
+        deployment_owner: string,
+        deployment_name: string,
+        options?: RequestOptions
+      ): Promise<Deployment>;
+      create(
+        config: {
+          name: string;
+          model: string;
+          version: string;
+          hardware: string;
+          min_instances: number;
+          max_instances: number;
+        },
+        options?: RequestOptions
+      ): Promise<Deployment>;
+      update(
+        deployment_owner: string,
+        deployment_name: string,
+        config: {
+          version?: string;
+          hardware?: string;
+          min_instances?: number;
+          max_instances?: number;
+        } & (
+          | { version: string }
+          | { hardware: string }
+          | { min_instances: number }
+          | { max_instances: number }
+        ),
+        options?: RequestOptions
+      ): Promise<Deployment>;
+      delete(
+        deployment_owner: string,
+        deployment_name: string,
+        options?: RequestOptions
+      ): Promise<boolean>;
+      list: PaginatedEndpoint<[], Deployment>;
       predictions: {
         create(
           deployment_owner: string,
@@ -155,18 +656,39 @@ declare module "replicate" {
             stream?: boolean;
             webhook?: string;
             webhook_events_filter?: WebhookEventType[];
+            validate?: boolean;
+            signal?: AbortSignal;
           }
         ): Promise<Prediction>;
       };
     };
 
+    files: {
+      create(
+        file: Blob | File | ArrayBuffer | ArrayBufferView,
+        options?: {
+          filename?: string;
+          content_type?: string;
+          metadata?: object;
+          signal?: AbortSignal;
+        }
+      ): Promise<FileObject>;
+      list: PaginatedEndpoint<[], FileObject>;
+      get(file_id: string, options?: RequestOptions): Promise<FileObject>;
+      delete(file_id: string, options?: RequestOptions): Promise<boolean>;
+    };
+
     hardware: {
-      list(): Promise<Hardware[]>;
+      list(options?: RequestOptions): Promise<Hardware[]>;
     };
 
     models: {
-      get(model_owner: string, model_name: string): Promise<Model>;
-      list(): Promise<Page<Model>>;
+      get(
+        model_owner: string,
+        model_name: string,
+        options?: RequestOptions
+      ): Promise<Model>;
+      list: PaginatedEndpoint<[], Model>;
       create(
         model_owner: string,
         model_name: string,
@@ -178,14 +700,19 @@ declare module "replicate" {
           paper_url?: string;
           license_url?: string;
           cover_image_url?: string;
+          signal?: AbortSignal;
         }
       ): Promise<Model>;
       versions: {
-        list(model_owner: string, model_name: string): Promise<ModelVersion[]>;
+        list: PaginatedEndpoint<
+          [model_owner: string, model_name: string],
+          ModelVersion
+        >;
         get(
           model_owner: string,
           model_name: string,
-          version_id: string
+          version_id: string,
+          options?: RequestOptions
         ): Promise<ModelVersion>;
       };
     };
@@ -199,11 +726,16 @@ declare module "replicate" {
           stream?: boolean;
           webhook?: string;
           webhook_events_filter?: WebhookEventType[];
+          validate?: boolean;
+          signal?: AbortSignal;
         } & ({ version: string } | { model: string })
       ): Promise<Prediction>;
-      get(prediction_id: string): Promise<Prediction>;
-      cancel(prediction_id: string): Promise<Prediction>;
-      list(): Promise<Page<Prediction>>;
+      get(prediction_id: string, options?: RequestOptions): Promise<Prediction>;
+      cancel(
+        prediction_id: string,
+        options?: RequestOptions
+      ): Promise<Prediction>;
+      list: PaginatedEndpoint<[], Prediction>;
     };
 
     trainings: {
@@ -216,11 +748,12 @@ declare module "replicate" {
           input: object;
           webhook?: string;
           webhook_events_filter?: WebhookEventType[];
+          signal?: AbortSignal;
         }
       ): Promise<Training>;
-      get(training_id: string): Promise<Training>;
-      cancel(training_id: string): Promise<Training>;
-      list(): Promise<Page<Training>>;
+      get(training_id: string, options?: RequestOptions): Promise<Training>;
+      cancel(training_id: string, options?: RequestOptions): Promise<Training>;
+      list: PaginatedEndpoint<[], Training>;
     };
   }
 }
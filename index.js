@@ -1,10 +1,52 @@
-const ApiError = require("./lib/error");
+const { runBatch } = require("./lib/batch");
+const {
+  ApiError,
+  AuthenticationError,
+  PermissionDeniedError,
+  NotFoundError,
+  ValidationError,
+  RateLimitError,
+  ServerError,
+  PredictionTimeoutError,
+  PredictionFailedError,
+  InputValidationError,
+  createApiError,
+} = require("./lib/error");
+const {
+  addHooks,
+  createHooks,
+  fetchWithHooks,
+  runHooks,
+} = require("./lib/hooks");
+const { PredictionHandle, TrainingHandle } = require("./lib/handle");
 const ModelVersionIdentifier = require("./lib/identifier");
-const { Stream } = require("./lib/stream");
-const { withAutomaticRetries } = require("./lib/util");
+const { FileOutput, transformFileOutputs } = require("./lib/output");
+const { createPrediction, resolveReference } = require("./lib/reference");
+const { RequestScheduler, requestKind } = require("./lib/scheduler");
+const { PredictionStream, Stream } = require("./lib/stream");
+const {
+  sleep,
+  randomUUID,
+  resolveRetryOptions,
+  withAutomaticRetries,
+  withPagination,
+} = require("./lib/util");
+const {
+  SpanStatusCode,
+  definedAttributes,
+  predictionAttributes,
+  resolveTracer,
+  withSpan,
+} = require("./lib/tracing");
+const {
+  createWebhookHandler,
+  validateWebhook,
+  WebhookReceiver,
+} = require("./lib/webhooks");
 
 const collections = require("./lib/collections");
 const deployments = require("./lib/deployments");
+const files = require("./lib/files");
 const hardware = require("./lib/hardware");
 const models = require("./lib/models");
 const predictions = require("./lib/predictions");
@@ -12,6 +54,81 @@ const trainings = require("./lib/trainings");
 
 const packageJSON = require("./package.json");
 
+/**
+ * Check whether a prediction object is a training.
+ *
+ * @param {object} prediction - The prediction or training object
+ * @returns {boolean} - True if the object is a training
+ */
+function isTraining(prediction) {
+  return (
+    prediction instanceof TrainingHandle ||
+    Boolean(prediction.urls && /\/trainings\//.test(prediction.urls.get))
+  );
+}
+
+/**
+ * Find the name of a header in an object of headers,
+ * which may differ in case from the name that's looked up.
+ *
+ * @param {object} headers - The headers
+ * @param {string} name - The header name
+ * @returns {string|undefined} - The name of the header in the object, or undefined if it isn't set
+ */
+function findHeader(headers, name) {
+  const lowerName = name.toLowerCase();
+  return Object.keys(headers).find((key) => key.toLowerCase() === lowerName);
+}
+
+/**
+ * Wait for the webhook that reports a prediction finished,
+ * for up to a period of silence.
+ *
+ * @param {WebhookReceiver} receiver - The receiver the webhook is sent to
+ * @param {string} id - The prediction or training ID
+ * @param {number} silence - Milliseconds to wait for the webhook
+ * @param {AbortSignal} [signal] - AbortSignal to stop waiting
+ * @returns {Promise<object|null>} - Resolves with the finished prediction, or null if the webhook didn't arrive in time
+ */
+async function waitForWebhook(receiver, id, silence, signal) {
+  // Stop whichever of the webhook and the timer is still waiting
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal && signal.aborted) {
+    onAbort();
+  } else if (signal) {
+    signal.addEventListener("abort", onAbort, { once: true });
+  }
+
+  const webhook = receiver.waitFor(id, controller.signal);
+  const timer = sleep(silence, controller.signal).then(() => null);
+  try {
+    return await Promise.race([webhook, timer]);
+  } finally {
+    if (signal) {
+      signal.removeEventListener("abort", onAbort);
+    }
+    controller.abort();
+    webhook.catch(() => {});
+    timer.catch(() => {});
+  }
+}
+
+/**
+ * Get span attributes for a resolved reference.
+ *
+ * @param {object} target - The result of `resolveReference`
+ * @returns {object} - Span attributes
+ */
+function referenceAttributes(target) {
+  const name = target.owner ? `${target.owner}/${target.name}` : undefined;
+  return definedAttributes({
+    "replicate.model": target.type === "deployment" ? undefined : name,
+    "replicate.deployment": target.type === "deployment" ? name : undefined,
+    "replicate.version": target.version,
+  });
+}
+
 /**
  * Replicate API client library
  *
@@ -39,6 +156,27 @@ class Replicate {
    * @param {string} options.userAgent - Identifier of your app
    * @param {string} [options.baseUrl] - Defaults to https://api.replicate.com/v1
    * @param {Function} [options.fetch] - Fetch function to use. Defaults to `globalThis.fetch`
+   * @param {"default"|"upload"|"data-uri"} [options.fileEncodingStrategy] - Determines how file inputs are sent to the API. Defaults to "default", which uploads files larger than `fileUploadThreshold` and inlines smaller files as data URIs
+   * @param {number} [options.fileUploadThreshold] - Size in bytes above which file inputs are uploaded when using the "default" strategy. Defaults to 256 KiB
+   * @param {boolean} [options.useFileOutput] - Set to true to return `FileOutput` objects for URLs in the output of `run`. Defaults to false
+   * @param {boolean} [options.usePredictionHandles] - Set to true to return `PredictionHandle` and `TrainingHandle` objects from the methods that create, get and cancel predictions and trainings. Defaults to false
+   * @param {object|boolean} [options.retry] - Policy for retrying failed requests, or false to disable retries
+   * @param {number} [options.retry.maxRetries] - Maximum number of retries for a request. Defaults to 5
+   * @param {number} [options.retry.baseDelay] - Delay before the first retry in milliseconds, doubled for each retry after it. Defaults to 500
+   * @param {number} [options.retry.maxDelay] - Maximum delay between retries in milliseconds, unless the response sets Retry-After. Defaults to 10000
+   * @param {number} [options.retry.jitter] - Maximum random time in milliseconds added to each delay. Defaults to 100
+   * @param {number[]} [options.retry.statuses] - Response status codes to retry. Defaults to 429, 500, 502, 503 and 504
+   * @param {string[]} [options.retry.methods] - HTTP methods that are safe to retry. Other requests are only retried when rate limited, or when they have an idempotency key. Defaults to GET, HEAD and OPTIONS
+   * @param {boolean} [options.retry.networkErrors] - Set to false to not retry requests that fail with a network error. Defaults to true
+   * @param {boolean} [options.retry.idempotencyKeys] - Set to true to send an `Idempotency-Key` header with POST requests, so they can be retried safely. Defaults to false
+   * @param {Function} [options.retry.onRetry] - Function called before each retry with the `attempt`, `delay`, `method`, `url`, and the `response` or `error`
+   * @param {object} [options.scheduler] - Limits on how many requests the client has in flight and how quickly it starts them. Defaults to no limits
+   * @param {number} [options.scheduler.maxConcurrency] - Maximum number of requests in flight
+   * @param {number} [options.scheduler.createsPerSecond] - Maximum number of requests per second that create predictions or trainings
+   * @param {number} [options.scheduler.createConcurrency] - Maximum number of requests in flight that create predictions or trainings
+   * @param {number} [options.scheduler.requestsPerSecond] - Maximum number of other requests per second, like polling for a prediction's status
+   * @param {object} [options.hooks] - Middleware for every request the client makes. See `use`
+   * @param {object|boolean} [options.tracer] - A tracer compatible with the OpenTelemetry `Tracer` interface, or false to disable tracing. Defaults to the OpenTelemetry API's global tracer if `@opentelemetry/api` is installed
    */
   constructor(options = {}) {
     this.auth = options.auth || process.env.REPLICATE_API_TOKEN;
@@ -46,28 +184,52 @@ class Replicate {
       options.userAgent || `replicate-javascript/${packageJSON.version}`;
     this.baseUrl = options.baseUrl || "https://api.replicate.com/v1";
     this.fetch = options.fetch || globalThis.fetch;
+    this.fileEncodingStrategy = options.fileEncodingStrategy || "default";
+    this.fileUploadThreshold = options.fileUploadThreshold;
+    this.useFileOutput = options.useFileOutput || false;
+    this.usePredictionHandles = options.usePredictionHandles || false;
+    this.retry = resolveRetryOptions(options.retry);
+    this.scheduler = options.scheduler
+      ? new RequestScheduler(options.scheduler)
+      : null;
+    this.hooks = createHooks(options.hooks);
+    this.tracer = resolveTracer(options.tracer, packageJSON.version);
+    // OpenAPI schemas of model versions by version ID, for validating inputs
+    this.versionSchemas = new Map();
 
     this.collections = {
-      list: collections.list.bind(this),
+      list: withPagination(this, collections.list),
       get: collections.get.bind(this),
     };
 
     this.deployments = {
+      get: deployments.get.bind(this),
+      create: deployments.create.bind(this),
+      update: deployments.update.bind(this),
+      delete: deployments.delete.bind(this),
+      list: withPagination(this, deployments.list),
       predictions: {
         create: deployments.predictions.create.bind(this),
       },
     };
 
+    this.files = {
+      create: files.create.bind(this),
+      get: files.get.bind(this),
+      list: withPagination(this, files.list),
+      delete: files.delete.bind(this),
+    };
+
     this.hardware = {
       list: hardware.list.bind(this),
     };
 
     this.models = {
       get: models.get.bind(this),
-      list: models.list.bind(this),
+      list: withPagination(this, models.list),
       create: models.create.bind(this),
       versions: {
-        list: models.versions.list.bind(this),
+        list: withPagination(this, models.versions.list),
         get: models.versions.get.bind(this),
       },
     };
@@ -76,88 +238,139 @@ class Replicate {
       create: predictions.create.bind(this),
       get: predictions.get.bind(this),
       cancel: predictions.cancel.bind(this),
-      list: predictions.list.bind(this),
+      list: withPagination(this, predictions.list),
     };
 
     this.trainings = {
       create: trainings.create.bind(this),
       get: trainings.get.bind(this),
       cancel: trainings.cancel.bind(this),
-      list: trainings.list.bind(this),
+      list: withPagination(this, trainings.list),
     };
   }
 
   /**
    * Run a model and wait for its output.
    *
-   * @param {string} ref - Required. The model version identifier in the format "owner/name" or "owner/name:version"
+   * @param {string|object} ref - Required. The model version identifier in the format "owner/name" or "owner/name:version", a deployment in the format "deployment:owner/name", an API URL for a model, model version or deployment, a `ModelVersionIdentifier`, or a model, model version or deployment object
    * @param {object} options
    * @param {object} options.input - Required. An object with the model inputs
    * @param {object} [options.wait] - Options for waiting for the prediction to finish
    * @param {number} [options.wait.interval] - Polling interval in milliseconds. Defaults to 500
+   * @param {boolean} [options.wait.backoff] - Set to true to double the polling interval after each attempt. Defaults to false
+   * @param {number} [options.wait.timeout] - Maximum time to wait for the prediction in milliseconds
+   * @param {Date|number} [options.wait.deadline] - Time by which the prediction must finish
+   * @param {boolean} [options.wait.cancelOnTimeout] - Set to true to cancel the prediction when the timeout or deadline is exceeded
+   * @param {WebhookReceiver} [options.wait.receiver] - Wait for a webhook to the receiver's URL instead of polling. Sets `webhook` to the receiver's URL and `webhook_events_filter` to `["completed"]`
+   * @param {number} [options.wait.fallbackAfter] - Milliseconds to wait for the webhook before polling instead. Defaults to 60000
    * @param {string} [options.webhook] - An HTTPS URL for receiving a webhook when the prediction has new output
    * @param {string[]} [options.webhook_events_filter] - You can change which events trigger webhook requests by specifying webhook events (`start`|`output`|`logs`|`completed`)
-   * @param {AbortSignal} [options.signal] - AbortSignal to cancel the prediction
+   * @param {boolean} [options.validate] - Set to true to validate the inputs against the model version's schema before creating the prediction, and fill in defaults. Defaults to false
+   * @param {AbortSignal} [options.signal] - AbortSignal to cancel the prediction. Aborting rejects with an `AbortError` and cancels the prediction if it was created
    * @param {Function} [progress] - Callback function that receives the prediction object as it's updated. The function is called when the prediction is created, each time its updated while polling for completion, and when it's completed.
    * @throws {Error} If the reference is invalid
-   * @throws {Error} If the prediction failed
-   * @returns {Promise<object>} - Resolves with the output of running the model
+   * @throws {InputValidationError} If `validate` is true and any input is invalid
+   * @throws {PredictionFailedError} If the prediction failed
+   * @throws {PredictionTimeoutError} If the prediction doesn't finish before the timeout or deadline
+   * @returns {Promise<object>} - Resolves with the output of running the model. URLs are replaced with `FileOutput` objects if the client was created with `useFileOutput`
    */
   async run(ref, options, progress) {
-    const { wait, ...data } = options;
+    return withSpan(this.tracer, "replicate.run", {}, async (span) => {
+      const { wait, ...data } = options;
+      if (wait && wait.receiver) {
+        data.webhook = wait.receiver.url;
+        data.webhook_events_filter = ["completed"];
+      }
 
-    const identifier = ModelVersionIdentifier.parse(ref);
+      span.setAttributes(referenceAttributes(resolveReference(ref)));
+      let prediction = await createPrediction(this, ref, data);
 
-    let prediction;
-    if (identifier.version) {
-      prediction = await this.predictions.create({
-        ...data,
-        version: identifier.version,
-      });
-    } else if (identifier.owner && identifier.name) {
-      prediction = await this.predictions.create({
-        ...data,
-        model: `${identifier.owner}/${identifier.name}`,
-      });
-    } else {
-      throw new Error("Invalid model version identifier");
-    }
+      span.setAttributes(predictionAttributes(prediction));
 
-    // Call progress callback with the initial prediction object
-    if (progress) {
-      progress(prediction);
-    }
+      // Call progress callback with the initial prediction object
+      if (progress) {
+        progress(prediction);
+      }
 
-    const { signal } = options;
+      const { signal } = options;
 
-    prediction = await this.wait(
-      prediction,
-      wait || {},
-      async (updatedPrediction) => {
-        // Call progress callback with the updated prediction object
-        if (progress) {
-          progress(updatedPrediction);
+      try {
+        prediction = await this.wait(
+          prediction,
+          { ...wait, signal },
+          async (updatedPrediction) => {
+            // Call progress callback with the updated prediction object
+            if (progress) {
+              progress(updatedPrediction);
+            }
+
+            return false; // continue polling
+          }
+        );
+      } catch (error) {
+        if (error.prediction) {
+          span.setAttributes(predictionAttributes(error.prediction));
         }
-
         if (signal && signal.aborted) {
-          await this.predictions.cancel(updatedPrediction.id);
-          return true; // stop polling
+          // Cancel the prediction on a best-effort basis,
+          // without the signal, which would abort the request too
+          await this.predictions.cancel(prediction.id).catch(() => {});
         }
+        throw error;
+      }
 
-        return false; // continue polling
+      span.setAttributes(predictionAttributes(prediction));
+
+      // Call progress callback with the completed prediction object
+      if (progress) {
+        progress(prediction);
       }
-    );
 
-    // Call progress callback with the completed prediction object
-    if (progress) {
-      progress(prediction);
-    }
+      if (prediction.status === "failed") {
+        throw new PredictionFailedError(
+          `Prediction failed: ${prediction.error}`,
+          prediction
+        );
+      }
 
-    if (prediction.status === "failed") {
-      throw new Error(`Prediction failed: ${prediction.error}`);
-    }
+      if (this.useFileOutput) {
+        return transformFileOutputs(this, prediction.output);
+      }
 
-    return prediction.output;
+      return prediction.output;
+    });
+  }
+
+  /**
+   * Run a model over many inputs, and yield each result as it completes.
+   *
+   * @example
+   * for await (const result of replicate.batch(model, inputs, { concurrency: 10 })) {
+   *   if (result.error) {
+   *     console.error(result.index, result.error);
+   *   } else {
+   *     console.log(result.index, result.output);
+   *   }
+   * }
+   * @param {string|object} ref - Required. The model version identifier in the format "owner/name" or "owner/name:version", a deployment in the format "deployment:owner/name", an API URL for a model, model version or deployment, a `ModelVersionIdentifier`, or a model, model version or deployment object
+   * @param {object[]} inputs - Required. An array of model inputs
+   * @param {object} [options]
+   * @param {number} [options.concurrency] - Maximum number of predictions running at a time. Defaults to 5
+   * @param {boolean} [options.ordered] - Set to true to yield results in the order of the inputs, rather than as they complete. Defaults to false
+   * @param {object} [options.wait] - Options for polling the predictions
+   * @param {number} [options.wait.interval] - Polling interval in milliseconds. Defaults to 500
+   * @param {object} [options.checkpoint] - A checkpoint from an earlier run of the same batch. Inputs with a prediction in the checkpoint aren't run again
+   * @param {Function} [options.onCheckpoint] - Callback function that receives the checkpoint each time a prediction is created, to save it
+   * @param {Function} [options.onProgress] - Callback function that receives the counts of `total`, `created`, `succeeded` and `failed` predictions each time one finishes
+   * @param {string} [options.webhook] - An HTTPS URL for receiving a webhook when each prediction has new output
+   * @param {string[]} [options.webhook_events_filter] - You can change which events trigger webhook requests by specifying webhook events (`start`|`output`|`logs`|`completed`)
+   * @param {boolean} [options.validate] - Set to true to validate each input against the model version's schema before creating its prediction. Defaults to false
+   * @param {AbortSignal} [options.signal] - AbortSignal to stop the batch. Running predictions aren't canceled
+   * @throws {Error} If the reference is invalid
+   * @returns {AsyncGenerator<object>} An async iterable of the result for each input, with its `index`, `input`, `prediction`, and either `output` or `error`
+   */
+  batch(ref, inputs, options = {}) {
+    return runBatch(this, ref, inputs, options);
   }
 
   /**
@@ -168,12 +381,13 @@ class Replicate {
    * @param {string} [options.method] - HTTP method. Defaults to GET
    * @param {object} [options.params] - Query parameters
    * @param {object|Headers} [options.headers] - HTTP headers
-   * @param {object} [options.data] - Body parameters
+   * @param {object|FormData} [options.data] - Body parameters, or form data for a multipart request
+   * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request, including any automatic retries
    * @returns {Promise<Response>} - Resolves with the response object
-   * @throws {ApiError} If the request failed
+   * @throws {ApiError} If the request failed. The error is an instance of a subclass, like `NotFoundError`, for well-known status codes
    */
   async request(route, options) {
-    const { auth, baseUrl, userAgent } = this;
+    const { auth, baseUrl, userAgent, retry, scheduler } = this;
 
     let url;
     if (route instanceof URL) {
@@ -185,53 +399,161 @@ class Replicate {
       );
     }
 
-    const { method = "GET", params = {}, data } = options;
+    const { method = "GET", params = {}, data, signal } = options;
 
     for (const [key, value] of Object.entries(params)) {
       url.searchParams.append(key, value);
     }
 
+    const isFormData =
+      typeof FormData !== "undefined" && data instanceof FormData;
+
     const headers = {};
-    if (auth) {
-      headers["Authorization"] = `Token ${auth}`;
+    const token = auth ? `Token ${auth}` : undefined;
+    // Don't send the API token to other hosts, like file delivery URLs
+    const isApiUrl = (target) => target.origin === new URL(baseUrl).origin;
+    if (token && isApiUrl(url)) {
+      headers["Authorization"] = token;
+    }
+    // Let fetch set the Content-Type with the multipart boundary for form data
+    if (!isFormData) {
+      headers["Content-Type"] = "application/json";
     }
-    headers["Content-Type"] = "application/json";
     headers["User-Agent"] = userAgent;
     if (options.headers) {
       for (const [key, value] of Object.entries(options.headers)) {
-        headers[key] = value;
+        // Header names are case-insensitive, so replace defaults in any case
+        headers[findHeader(headers, key) || key] = value;
       }
     }
+    // Use the same key for every attempt, so the API can deduplicate retries
+    if (retry.idempotencyKeys && method === "POST") {
+      const name = findHeader(headers, "Idempotency-Key") || "Idempotency-Key";
+      headers[name] = headers[name] || randomUUID();
+    }
 
-    const init = {
-      method,
-      headers,
-      body: data ? JSON.stringify(data) : undefined,
-    };
-
-    const shouldRetry =
-      method === "GET"
-        ? (response) => response.status === 429 || response.status >= 500
-        : (response) => response.status === 429;
+    const context = { route, url, method, params, data, headers, signal };
 
     // Workaround to fix `TypeError: Illegal invocation` error in Cloudflare Workers
     // https://github.com/replicate/replicate-javascript/issues/134
     const _fetch = this.fetch; // eslint-disable-line no-underscore-dangle
-    const response = await withAutomaticRetries(async () => _fetch(url, init), {
-      shouldRetry,
-    });
 
-    if (!response.ok) {
-      const request = new Request(url, init);
-      const responseText = await response.text();
-      throw new ApiError(
-        `Request to ${url} failed with status ${response.status} ${response.statusText}: ${responseText}.`,
-        request,
-        response
-      );
-    }
+    // Hooks may have changed the data, so it's serialized when it's sent
+    const encodeBody = () => {
+      if (typeof FormData !== "undefined" && context.data instanceof FormData) {
+        return context.data;
+      }
+      return context.data ? JSON.stringify(context.data) : undefined;
+    };
 
-    return response;
+    // Hooks may have pointed the request at another host
+    const sentHeaders = () => {
+      if (context.headers["Authorization"] !== token || isApiUrl(context.url)) {
+        return context.headers;
+      }
+      const { Authorization, ...rest } = context.headers;
+      return rest;
+    };
+
+    const send = async () => {
+      // Hooks may have changed the URL or headers
+      const init = {
+        method,
+        headers: sentHeaders(),
+        body: encodeBody(),
+        signal,
+      };
+
+      // A rate limited request wasn't handled, so it's always safe to retry.
+      // Other failures are only retried if repeating the request has no extra effect.
+      const idempotent =
+        retry.methods.includes(method) ||
+        Boolean(findHeader(context.headers, "Idempotency-Key"));
+      const shouldRetry = (response) =>
+        retry.statuses.includes(response.status) &&
+        (idempotent || response.status === 429);
+      const shouldRetryError = () => retry.networkErrors && idempotent;
+      let retries = 0;
+      const onRetry = (info) => {
+        retries += 1;
+        context.span.setAttribute("replicate.retry_count", retries);
+        context.span.addEvent(
+          "retry",
+          definedAttributes({
+            "replicate.retry.attempt": info.attempt,
+            "replicate.retry.delay_ms": info.delay,
+            "http.response.status_code": info.response && info.response.status,
+            "error.type": info.error && info.error.name,
+          })
+        );
+        if (retry.onRetry) {
+          retry.onRetry({ ...info, method, url: context.url.toString() });
+        }
+      };
+
+      const kind = requestKind(method, context.url);
+      const attempt = scheduler
+        ? () =>
+            scheduler.schedule(kind, () => _fetch(context.url, init), signal)
+        : async () => _fetch(context.url, init);
+
+      return withAutomaticRetries(attempt, {
+        ...retry,
+        shouldRetry,
+        shouldRetryError,
+        onRetry,
+        signal,
+      });
+    };
+
+    const check = async (response) => {
+      context.span.setAttribute("http.response.status_code", response.status);
+      if (!response.ok) {
+        const request = new Request(context.url, {
+          method,
+          headers: sentHeaders(),
+          body: encodeBody(),
+        });
+        const responseText = await response.text();
+        throw createApiError(request, response, responseText);
+      }
+    };
+
+    const attributes = {
+      "http.request.method": method,
+      "url.full": url.toString(),
+      "replicate.route": route.toString(),
+    };
+    return withSpan(this.tracer, "replicate.request", attributes, (span) => {
+      context.span = span;
+      return runHooks(this.hooks, context, send, check);
+    });
+  }
+
+  /**
+   * Add middleware to the client.
+   *
+   * Each hook can be a function or an array of functions,
+   * and runs after the hooks that were added before it.
+   *
+   * @example
+   * replicate.use({
+   *   beforeRequest: (context) => {
+   *     context.headers["X-Request-ID"] = crypto.randomUUID();
+   *   },
+   *   afterResponse: (context, response) => {
+   *     console.log(`${context.method} ${context.route} ${response.status} in ${context.duration}ms`);
+   *   },
+   * });
+   * @param {object} middleware
+   * @param {Function|Function[]} [middleware.beforeRequest] - Called with the request context before each request is sent. Return a Response to use it instead of sending the request
+   * @param {Function|Function[]} [middleware.afterResponse] - Called with the request context and the response after each request. Return a Response to replace it
+   * @param {Function|Function[]} [middleware.onError] - Called with the error and the request context when a request fails
+   * @returns {Replicate} - The client, for chaining
+   */
+  use(middleware) {
+    addHooks(this.hooks, middleware);
+    return this;
   }
 
   /**
@@ -242,59 +564,118 @@ class Replicate {
    * @param {object} options.input - Required. An object with the model inputs
    * @param {string} [options.webhook] - An HTTPS URL for receiving a webhook when the prediction has new output
    * @param {string[]} [options.webhook_events_filter] - You can change which events trigger webhook requests by specifying webhook events (`start`|`output`|`logs`|`completed`)
+   * @param {boolean} [options.validate] - Set to true to validate the inputs against the model version's schema before creating the prediction, and fill in defaults. Defaults to false
    * @param {AbortSignal} [options.signal] - AbortSignal to cancel the prediction
+   * @param {Function} [options.onOutput] - Callback function that receives the data of each `output` event
+   * @param {Function} [options.onLogs] - Callback function that receives the data of each `logs` event
+   * @param {Function} [options.onError] - Callback function that receives the error if the prediction fails
+   * @param {Function} [options.onDone] - Callback function that receives the completed prediction
    * @throws {Error} If the prediction failed
-   * @yields {ServerSentEvent} Each streamed event from the prediction
+   * @returns {PredictionStream} An async iterable of each streamed event from the prediction
    */
-  async *stream(ref, options) {
-    const { wait, ...data } = options;
-
-    const identifier = ModelVersionIdentifier.parse(ref);
+  stream(ref, options) {
+    const { wait, signal, onOutput, onLogs, onError, onDone, ...data } =
+      options;
 
     let prediction;
-    if (identifier.version) {
-      prediction = await this.predictions.create({
-        ...data,
-        version: identifier.version,
-        stream: true,
-      });
-    } else if (identifier.owner && identifier.name) {
-      prediction = await this.predictions.create({
+    const client = this;
+    async function* events() {
+      const span = client.tracer.startSpan("replicate.stream");
+      try {
+        yield* streamEvents(span);
+        span.setStatus({ code: SpanStatusCode.OK });
+      } catch (error) {
+        span.recordException(error);
+        span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+        throw error;
+      } finally {
+        span.end();
+      }
+    }
+
+    async function* streamEvents(span) {
+      span.setAttributes(referenceAttributes(resolveReference(ref)));
+      prediction = await createPrediction(client, ref, {
         ...data,
-        model: `${identifier.owner}/${identifier.name}`,
         stream: true,
+        signal,
       });
-    } else {
-      throw new Error("Invalid model version identifier");
+      span.setAttributes(predictionAttributes(prediction));
+
+      if (prediction.urls && prediction.urls.stream) {
+        // Send stream requests, including reconnections, through the hooks
+        const stream = new Stream({
+          url: prediction.urls.stream,
+          fetch: fetchWithHooks(client, signal),
+          options: { signal },
+        });
+
+        let count = 0;
+        for await (const event of stream) {
+          if (count === 0) {
+            span.addEvent("first_event");
+          }
+          count += 1;
+          span.setAttribute("replicate.stream.event_count", count);
+          yield event;
+        }
+      } else {
+        throw new Error("Prediction does not support streaming");
+      }
     }
 
-    if (prediction.urls && prediction.urls.stream) {
-      const { signal } = options;
-      const stream = new Stream(prediction.urls.stream, { signal });
-      yield* stream;
-    } else {
-      throw new Error("Prediction does not support streaming");
+    const stream = new PredictionStream(events(), () =>
+      this.predictions.get(prediction.id, { signal })
+    );
+
+    const callbacks = {
+      output: onOutput,
+      logs: onLogs,
+      error: onError,
+      done: onDone,
+    };
+    for (const [type, callback] of Object.entries(callbacks)) {
+      if (callback) {
+        stream.on(type, callback);
+      }
     }
+
+    return stream;
   }
 
   /**
    * Paginate through a list of results.
    *
+   * Each page is requested only when the previous one has been consumed.
+   * To iterate over individual items, use the `all` method of a list endpoint,
+   * like `replicate.predictions.list.all()`.
+   *
    * @generator
    * @example
    * for await (const page of replicate.paginate(replicate.predictions.list) {
    *    console.log(page);
    * }
-   * @param {Function} endpoint - Function that returns a promise for the next page of results
+   * @param {Function} endpoint - Function that returns a promise for the first page of results
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - AbortSignal to cancel requests for further pages
    * @yields {object[]} Each page of results
    */
-  async *paginate(endpoint) {
-    const response = await endpoint();
-    yield response.results;
-    if (response.next) {
-      const nextPage = () =>
-        this.request(response.next, { method: "GET" }).then((r) => r.json());
-      yield* this.paginate(nextPage);
+  async *paginate(endpoint, options = {}) {
+    let page = await endpoint();
+    for (;;) {
+      yield page.results;
+
+      if (!page.next) {
+        break;
+      }
+
+      /* eslint-disable no-await-in-loop */
+      const response = await this.request(page.next, {
+        method: "GET",
+        signal: options.signal,
+      });
+      page = await response.json();
+      /* eslint-enable no-await-in-loop */
     }
   }
 
@@ -303,15 +684,24 @@ class Replicate {
    *
    * If the prediction has already finished,
    * this function returns immediately.
-   * Otherwise, it polls the API until the prediction finishes.
+   * Otherwise, it polls the API until the prediction finishes,
+   * or waits for the webhook that reports it finished if given a `receiver`.
    *
    * @async
-   * @param {object} prediction - Prediction object
+   * @param {object} prediction - Prediction or training object
    * @param {object} options - Options
    * @param {number} [options.interval] - Polling interval in milliseconds. Defaults to 500
-   * @param {Function} [stop] - Async callback function that is called after each polling attempt. Receives the prediction object as an argument. Return false to cancel polling.
-   * @throws {Error} If the prediction doesn't complete within the maximum number of attempts
-   * @throws {Error} If the prediction failed
+   * @param {boolean} [options.backoff] - Set to true to double the polling interval after each attempt, up to `maxInterval`. Defaults to false
+   * @param {number} [options.maxInterval] - Maximum polling interval in milliseconds when using backoff. Defaults to 10000
+   * @param {number} [options.timeout] - Maximum time to wait in milliseconds
+   * @param {Date|number} [options.deadline] - Time by which the prediction must finish, as a Date or a timestamp in milliseconds
+   * @param {boolean} [options.cancelOnTimeout] - Set to true to cancel the prediction when the timeout or deadline is exceeded. Defaults to false
+   * @param {WebhookReceiver} [options.receiver] - Wait for the webhook that reports the prediction finished with this receiver, instead of polling. The prediction must have been created with the receiver's URL as its webhook
+   * @param {number} [options.fallbackAfter] - Milliseconds to wait for the webhook before polling instead. Defaults to 60000
+   * @param {AbortSignal} [options.signal] - AbortSignal to stop waiting, which rejects with an `AbortError`. The prediction isn't canceled
+   * @param {Function} [stop] - Async callback function that is called after each polling attempt. Receives the prediction object as an argument. Return true to stop polling.
+   * @throws {PredictionTimeoutError} If the prediction doesn't finish before the timeout or deadline
+   * @throws {PredictionFailedError} If the prediction failed
    * @returns {Promise<object>} Resolves with the completed prediction object
    */
   async wait(prediction, options, stop) {
@@ -320,42 +710,137 @@ class Replicate {
       throw new Error("Invalid prediction");
     }
 
-    if (
-      prediction.status === "succeeded" ||
-      prediction.status === "failed" ||
-      prediction.status === "canceled"
-    ) {
-      return prediction;
-    }
+    // Trainings are polled from their own endpoint
+    const resource = isTraining(prediction) ? this.trainings : this.predictions;
+
+    const attributes = { "replicate.prediction.id": id };
+    return withSpan(this.tracer, "replicate.wait", attributes, async (span) => {
+      if (
+        prediction.status === "succeeded" ||
+        prediction.status === "failed" ||
+        prediction.status === "canceled"
+      ) {
+        return prediction;
+      }
 
-    // eslint-disable-next-line no-promise-executor-return
-    const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+      const {
+        backoff = false,
+        maxInterval = 10000,
+        timeout,
+        deadline,
+        cancelOnTimeout = false,
+        receiver,
+        fallbackAfter = 60000,
+        signal,
+      } = options || {};
+      let interval = (options && options.interval) || 500;
+
+      let expiresAt = null;
+      if (timeout !== undefined) {
+        expiresAt = Date.now() + timeout;
+      }
+      if (deadline !== undefined) {
+        const time = new Date(deadline).getTime();
+        expiresAt = expiresAt === null ? time : Math.min(expiresAt, time);
+      }
 
-    const interval = (options && options.interval) || 500;
+      // Wait for a webhook, and only poll if it doesn't arrive in time
+      let polls = 0;
+      let updatedPrediction = null;
+      if (receiver) {
+        const silence =
+          expiresAt === null
+            ? fallbackAfter
+            : Math.max(0, Math.min(fallbackAfter, expiresAt - Date.now()));
+        updatedPrediction = await waitForWebhook(receiver, id, silence, signal);
+        span.setAttribute(
+          "replicate.webhook_received",
+          Boolean(updatedPrediction)
+        );
+      }
 
-    let updatedPrediction = await this.predictions.get(id);
+      if (!updatedPrediction) {
+        updatedPrediction = await resource.get(id, { signal });
+        polls += 1;
+      }
 
-    while (
-      updatedPrediction.status !== "succeeded" &&
-      updatedPrediction.status !== "failed" &&
-      updatedPrediction.status !== "canceled"
-    ) {
-      /* eslint-disable no-await-in-loop */
-      if (stop && (await stop(updatedPrediction)) === true) {
-        break;
+      while (
+        updatedPrediction.status !== "succeeded" &&
+        updatedPrediction.status !== "failed" &&
+        updatedPrediction.status !== "canceled"
+      ) {
+        /* eslint-disable no-await-in-loop */
+        if (stop && (await stop(updatedPrediction)) === true) {
+          break;
+        }
+
+        if (expiresAt !== null && Date.now() >= expiresAt) {
+          let lastPrediction = updatedPrediction;
+          if (cancelOnTimeout) {
+            try {
+              lastPrediction = await resource.cancel(id);
+            } catch (error) {
+              // Canceling is best-effort; report the timeout regardless
+            }
+          }
+
+          span.setAttribute("replicate.poll_count", polls);
+          throw new PredictionTimeoutError(
+            `Prediction ${id} didn't finish before the ${
+              timeout !== undefined ? `timeout of ${timeout}ms` : "deadline"
+            }`,
+            lastPrediction
+          );
+        }
+
+        // Poll once more at the deadline rather than sleeping past it
+        const delay =
+          expiresAt === null
+            ? interval
+            : Math.max(0, Math.min(interval, expiresAt - Date.now()));
+        await sleep(delay, signal);
+
+        if (backoff) {
+          interval = Math.min(interval * 2, maxInterval);
+        }
+
+        updatedPrediction = await resource.get(prediction.id, { signal });
+        polls += 1;
+        /* eslint-enable no-await-in-loop */
       }
 
-      await sleep(interval);
-      updatedPrediction = await this.predictions.get(prediction.id);
-      /* eslint-enable no-await-in-loop */
-    }
+      span.setAttributes({
+        ...predictionAttributes(updatedPrediction),
+        "replicate.poll_count": polls,
+      });
 
-    if (updatedPrediction.status === "failed") {
-      throw new Error(`Prediction failed: ${updatedPrediction.error}`);
-    }
+      if (updatedPrediction.status === "failed") {
+        throw new PredictionFailedError(
+          `Prediction failed: ${updatedPrediction.error}`,
+          updatedPrediction
+        );
+      }
 
-    return updatedPrediction;
+      return updatedPrediction;
+    });
   }
 }
 
 module.exports = Replicate;
+module.exports.ApiError = ApiError;
+module.exports.AuthenticationError = AuthenticationError;
+module.exports.PermissionDeniedError = PermissionDeniedError;
+module.exports.NotFoundError = NotFoundError;
+module.exports.ValidationError = ValidationError;
+module.exports.RateLimitError = RateLimitError;
+module.exports.ServerError = ServerError;
+module.exports.FileOutput = FileOutput;
+module.exports.ModelVersionIdentifier = ModelVersionIdentifier;
+module.exports.PredictionHandle = PredictionHandle;
+module.exports.TrainingHandle = TrainingHandle;
+module.exports.PredictionTimeoutError = PredictionTimeoutError;
+module.exports.PredictionFailedError = PredictionFailedError;
+module.exports.InputValidationError = InputValidationError;
+module.exports.validateWebhook = validateWebhook;
+module.exports.createWebhookHandler = createWebhookHandler;
+module.exports.WebhookReceiver = WebhookReceiver;
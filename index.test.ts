@@ -1,7 +1,49 @@
 import { expect, jest, test } from "@jest/globals";
-import Replicate, { ApiError, Model, Prediction } from "replicate";
+import Replicate, {
+  ApiError,
+  AuthenticationError,
+  FileOutput,
+  InputValidationError,
+  Model,
+  ModelVersionIdentifier,
+  NotFoundError,
+  PermissionDeniedError,
+  Prediction,
+  PredictionFailedError,
+  PredictionHandle,
+  PredictionTimeoutError,
+  RateLimitError,
+  ServerError,
+  TrainingHandle,
+  ValidationError,
+  createWebhookHandler,
+  validateWebhook,
+  WebhookReceiver,
+} from "replicate";
+import { Cassette, FakeServer, UnmatchedRequestError } from "replicate/testing";
 import nock from "nock";
 import fetch from "cross-fetch";
+import { createHmac } from "node:crypto";
+import { execFile } from "node:child_process";
+import { mkdtemp, readFile, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { connect } from "node:net";
+import { getEventListeners } from "node:events";
+import { Readable } from "node:stream";
+
+const { main: cli } = require("./lib/cli");
+const {
+  generateTypes,
+  fetchModelSchema,
+  main: codegen,
+} = require("./lib/codegen");
+
+declare module "replicate" {
+  interface ModelTypes {
+    "acme/typed": { input: { prompt: string }; output: string[] };
+  }
+}
 
 let client: Replicate;
 const BASE_URL = "https://api.replicate.com/v1";
@@ -162,6 +204,83 @@ describe("Replicate client", () => {
     });
   });
 
+  describe("list.all", () => {
+    test("Iterates over items across pages", async () => {
+      nock(BASE_URL)
+        .get("/predictions")
+        .reply(200, {
+          results: [{ id: "ufawqhfynnddngldkgtslldrkq" }],
+          next: `${BASE_URL}/predictions?cursor=cD0y`,
+        })
+        .get("/predictions?cursor=cD0y")
+        .reply(200, {
+          results: [
+            { id: "rrr4z55ocneqzikepnug6xezpe" },
+            { id: "jpzd7hm5gfcapbfyt4mqytarku" },
+          ],
+          next: null,
+        });
+
+      const ids: string[] = [];
+      for await (const prediction of client.predictions.list.all()) {
+        ids.push(prediction.id);
+      }
+      expect(ids).toEqual([
+        "ufawqhfynnddngldkgtslldrkq",
+        "rrr4z55ocneqzikepnug6xezpe",
+        "jpzd7hm5gfcapbfyt4mqytarku",
+      ]);
+    });
+
+    test("Passes arguments to the endpoint", async () => {
+      nock(BASE_URL)
+        .get("/models/replicate/hello-world/versions")
+        .reply(200, {
+          results: [{ id: "5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca" }],
+          next: null,
+        });
+
+      const versions = [];
+      for await (const version of client.models.versions.list.all(
+        "replicate",
+        "hello-world"
+      )) {
+        versions.push(version);
+      }
+      expect(versions.length).toBe(1);
+    });
+
+    test("Stops requesting pages once the limit is reached", async () => {
+      const scope = nock(BASE_URL)
+        .get("/models")
+        .reply(200, {
+          results: [{ name: "model-1" }, { name: "model-2" }],
+          next: `${BASE_URL}/models?cursor=cD0y`,
+        });
+
+      const names: string[] = [];
+      for await (const model of client.models.list.all({ limit: 2 })) {
+        names.push(model.name);
+      }
+      expect(names).toEqual(["model-1", "model-2"]);
+      scope.done();
+    });
+
+    test("Doesn't request more pages after breaking out of the loop", async () => {
+      nock(BASE_URL)
+        .get("/trainings")
+        .reply(200, {
+          results: [{ id: "zz4ibbonubfz7carwiefibzgga" }],
+          next: `${BASE_URL}/trainings?cursor=cD0y`,
+        });
+
+      for await (const training of client.trainings.list.all()) {
+        expect(training.id).toBe("zz4ibbonubfz7carwiefibzgga");
+        break;
+      }
+    });
+  });
+
   describe("predictions.create", () => {
     test("Calls the correct API route with the correct payload", async () => {
       nock(BASE_URL)
@@ -299,684 +418,3630 @@ describe("Replicate client", () => {
           },
         })
       ).rejects.toThrow(
-        `Request to https://api.replicate.com/v1/predictions failed with status 500 Internal Server Error: {"detail":"Internal server error"}.`
+        "Request to https://api.replicate.com/v1/predictions failed with status 500 Internal Server Error: Internal server error."
       );
     });
   });
 
-  describe("predictions.get", () => {
-    test("Calls the correct API route with the correct payload", async () => {
+  describe("errors", () => {
+    test("Throws a NotFoundError with the problem details", async () => {
+      nock(BASE_URL).get("/predictions/missing").reply(
+        404,
+        {
+          type: "https://replicate.com/docs/errors#not-found",
+          title: "Not found",
+          detail: "The requested prediction was not found.",
+          status: 404,
+        },
+        { "Content-Type": "application/problem+json" }
+      );
+
+      expect.hasAssertions();
+      try {
+        await client.predictions.get("missing");
+      } catch (error) {
+        expect(error).toBeInstanceOf(NotFoundError);
+        expect(error).toBeInstanceOf(ApiError);
+        expect((error as NotFoundError).status).toBe(404);
+        expect((error as NotFoundError).title).toBe("Not found");
+        expect((error as NotFoundError).detail).toBe(
+          "The requested prediction was not found."
+        );
+        expect((error as NotFoundError).message).toBe(
+          "Request to https://api.replicate.com/v1/predictions/missing failed with status 404 Not Found: The requested prediction was not found."
+        );
+      }
+    });
+
+    test("Uses the response body as the message without problem details", async () => {
       nock(BASE_URL)
-        .get("/predictions/rrr4z55ocneqzikepnug6xezpe")
-        .reply(200, {
-          id: "rrr4z55ocneqzikepnug6xezpe",
-          model: "stability-ai/stable-diffusion",
-          version:
-            "be04660a5b93ef2aff61e3668dedb4cbeb14941e62a3fd5998364a32d613e35e",
-          urls: {
-            get: "https://api.replicate.com/v1/predictions/rrr4z55ocneqzikepnug6xezpe",
-            cancel:
-              "https://api.replicate.com/v1/predictions/rrr4z55ocneqzikepnug6xezpe/cancel",
-          },
-          created_at: "2022-09-13T22:54:18.578761Z",
-          started_at: "2022-09-13T22:54:19.438525Z",
-          completed_at: "2022-09-13T22:54:23.236610Z",
-          source: "api",
-          status: "succeeded",
-          input: {
-            prompt: "oak tree with boletus growing on its branches",
-          },
-          output: [
-            "https://replicate.com/api/models/stability-ai/stable-diffusion/files/9c3b6fe4-2d37-4571-a17a-83951b1cb120/out-0.png",
+        .get("/predictions/broken")
+        .reply(400, "Malformed request", { "Content-Type": "text/plain" });
+
+      await expect(client.predictions.get("broken")).rejects.toThrow(
+        "Request to https://api.replicate.com/v1/predictions/broken failed with status 400 Bad Request: Malformed request."
+      );
+    });
+
+    test("Throws a ValidationError with the invalid fields", async () => {
+      nock(BASE_URL)
+        .post("/predictions")
+        .reply(422, {
+          title: "Input validation failed",
+          detail: "- input.prompt: prompt is required",
+          status: 422,
+          invalid_fields: [
+            {
+              type: "required",
+              field: "input.prompt",
+              description: "prompt is required",
+            },
           ],
-          error: null,
-          logs: "Using seed: 36941...",
-          metrics: {
-            predict_time: 4.484541,
-          },
         });
-      const prediction = await client.predictions.get(
-        "rrr4z55ocneqzikepnug6xezpe"
-      );
-      expect(prediction.id).toBe("rrr4z55ocneqzikepnug6xezpe");
+
+      expect.hasAssertions();
+      try {
+        await client.predictions.create({
+          version:
+            "5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca93cb72c9bf15ccaa",
+          input: {},
+        });
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        expect((error as ValidationError).invalidFields).toEqual([
+          {
+            type: "required",
+            field: "input.prompt",
+            description: "prompt is required",
+          },
+        ]);
+      }
     });
 
-    test("Automatically retries on 429", async () => {
+    test("Throws a RateLimitError with the retry delay", async () => {
       nock(BASE_URL)
+        .persist()
         .get("/predictions/rrr4z55ocneqzikepnug6xezpe")
         .reply(
           429,
-          {
-            detail: "Too many requests",
-          },
-          { "Content-Type": "application/json", "Retry-After": "1" }
-        )
-        .get("/predictions/rrr4z55ocneqzikepnug6xezpe")
+          { detail: "Too many requests" },
+          { "Content-Type": "application/json", "Retry-After": "0" }
+        );
+
+      expect.hasAssertions();
+      try {
+        await client.predictions.get("rrr4z55ocneqzikepnug6xezpe");
+      } catch (error) {
+        expect(error).toBeInstanceOf(RateLimitError);
+        expect((error as RateLimitError).retryAfter).toBe(0);
+      }
+    });
+
+    test("Throws AuthenticationError, PermissionDeniedError and ServerError by status", async () => {
+      nock(BASE_URL)
+        .post("/predictions/a/cancel")
+        .reply(401, "Unauthorized")
+        .post("/predictions/b/cancel")
+        .reply(403, { detail: "You do not have permission" })
+        .post("/predictions/c/cancel")
+        .reply(500, { detail: "Internal server error" });
+
+      await expect(client.predictions.cancel("a")).rejects.toBeInstanceOf(
+        AuthenticationError
+      );
+      await expect(client.predictions.cancel("b")).rejects.toBeInstanceOf(
+        PermissionDeniedError
+      );
+      await expect(client.predictions.cancel("c")).rejects.toBeInstanceOf(
+        ServerError
+      );
+    });
+
+    test("Throws a PredictionFailedError with the failed prediction", async () => {
+      nock(BASE_URL)
+        .post("/predictions")
+        .reply(201, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "starting",
+        })
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
         .reply(200, {
-          id: "rrr4z55ocneqzikepnug6xezpe",
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "failed",
+          error: "CUDA out of memory",
+          logs: "Loading model...",
+          metrics: { predict_time: 1.5 },
         });
 
-      const prediction = await client.predictions.get(
-        "rrr4z55ocneqzikepnug6xezpe"
-      );
-      expect(prediction.id).toBe("rrr4z55ocneqzikepnug6xezpe");
+      expect.hasAssertions();
+      try {
+        await client.run(
+          "owner/model:5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca93cb72c9bf15ccaa",
+          { input: { text: "Hello, world!" }, wait: { interval: 1 } }
+        );
+      } catch (error) {
+        expect(error).toBeInstanceOf(PredictionFailedError);
+        expect((error as PredictionFailedError).message).toBe(
+          "Prediction failed: CUDA out of memory"
+        );
+        expect((error as PredictionFailedError).prediction).toMatchObject({
+          id: "ufawqhfynnddngldkgtslldrkq",
+          logs: "Loading model...",
+          metrics: { predict_time: 1.5 },
+        });
+      }
     });
+  });
+
+  describe("retry", () => {
+    test("Waits for the Retry-After delay and calls onRetry", async () => {
+      const onRetry = jest.fn();
+      const client = new Replicate({
+        auth: "test-token",
+        fetch,
+        retry: { onRetry },
+      });
 
-    test("Automatically retries on 500", async () => {
       nock(BASE_URL)
         .get("/predictions/rrr4z55ocneqzikepnug6xezpe")
-        .reply(
-          500,
-          {
-            detail: "Internal server error",
-          },
-          { "Content-Type": "application/json" }
-        )
+        .reply(503, "Service Unavailable", { "Retry-After": "0" })
         .get("/predictions/rrr4z55ocneqzikepnug6xezpe")
-        .reply(200, {
-          id: "rrr4z55ocneqzikepnug6xezpe",
-        });
+        .reply(200, { id: "rrr4z55ocneqzikepnug6xezpe" });
 
       const prediction = await client.predictions.get(
         "rrr4z55ocneqzikepnug6xezpe"
       );
       expect(prediction.id).toBe("rrr4z55ocneqzikepnug6xezpe");
+      expect(onRetry).toHaveBeenCalledTimes(1);
+      expect(onRetry.mock.calls[0][0]).toMatchObject({
+        attempt: 1,
+        delay: 0,
+        method: "GET",
+        url: `${BASE_URL}/predictions/rrr4z55ocneqzikepnug6xezpe`,
+      });
     });
-  });
 
-  describe("predictions.cancel", () => {
-    test("Calls the correct API route with the correct payload", async () => {
+    test("Stops after maxRetries and throws the last error", async () => {
+      const client = new Replicate({
+        auth: "test-token",
+        fetch,
+        retry: { maxRetries: 2, baseDelay: 1, jitter: 0 },
+      });
+
+      const scope = nock(BASE_URL)
+        .get("/predictions/rrr4z55ocneqzikepnug6xezpe")
+        .times(3)
+        .reply(502, "Bad Gateway");
+
+      await expect(
+        client.predictions.get("rrr4z55ocneqzikepnug6xezpe")
+      ).rejects.toBeInstanceOf(ServerError);
+      scope.done();
+    });
+
+    test("Retries POST requests with the same idempotency key", async () => {
+      const client = new Replicate({
+        auth: "test-token",
+        fetch,
+        retry: { idempotencyKeys: true, baseDelay: 1, jitter: 0 },
+      });
+
+      const keys: string[] = [];
       nock(BASE_URL)
-        .post("/predictions/ufawqhfynnddngldkgtslldrkq/cancel")
-        .reply(200, {
-          id: "ufawqhfynnddngldkgtslldrkq",
-          model: "replicate/hello-world",
-          version:
-            "5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca93cb72c9bf15ccaa",
-          urls: {
-            get: "https://api.replicate.com/v1/predictions/ufawqhfynnddngldkgtslldrkq",
-            cancel:
-              "https://api.replicate.com/v1/predictions/ufawqhfynnddngldkgtslldrkq/cancel",
-          },
-          created_at: "2022-04-26T22:13:06.224088Z",
-          started_at: "2022-04-26T22:13:06.224088Z",
-          completed_at: "2022-04-26T22:14:06.224088Z",
-          status: "canceled",
-          input: {
-            text: "Alice",
-          },
-          output: null,
-          error: null,
-          logs: null,
-          metrics: {},
+        .post("/predictions")
+        .times(2)
+        .reply(function () {
+          keys.push(String(this.req.headers["idempotency-key"]));
+          return keys.length === 1
+            ? [500, "Internal Server Error"]
+            : [201, { id: "ufawqhfynnddngldkgtslldrkq" }];
         });
 
-      const prediction = await client.predictions.cancel(
-        "ufawqhfynnddngldkgtslldrkq"
-      );
-      expect(prediction.status).toBe("canceled");
+      const prediction = await client.predictions.create({
+        version:
+          "5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca93cb72c9bf15ccaa",
+        input: { text: "Alice" },
+      });
+      expect(prediction.id).toBe("ufawqhfynnddngldkgtslldrkq");
+      expect(keys).toHaveLength(2);
+      expect(keys[0]).toMatch(/^[0-9a-f-]{36}$/);
+      expect(keys[1]).toBe(keys[0]);
     });
 
-    // Add more tests for error handling, edge cases, etc.
-  });
+    test("Keeps an idempotency key passed in any case", async () => {
+      const client = new Replicate({
+        auth: "test-token",
+        fetch,
+        retry: { idempotencyKeys: true, baseDelay: 1, jitter: 0 },
+      });
 
-  describe("predictions.list", () => {
-    test("Calls the correct API route with the correct payload", async () => {
+      nock(BASE_URL, { reqheaders: { "idempotency-key": "my-key" } })
+        .post("/predictions")
+        .reply(201, { id: "ufawqhfynnddngldkgtslldrkq" });
+
+      const response = await client.request("/predictions", {
+        method: "POST",
+        headers: { "idempotency-key": "my-key" },
+        data: { version: "abc", input: {} },
+      });
+      expect(response.status).toBe(201);
+    });
+
+    test("Retries POST requests with an idempotency key in any case", async () => {
+      const client = new Replicate({
+        auth: "test-token",
+        fetch,
+        retry: { baseDelay: 1, jitter: 0 },
+      });
+
+      const keys: string[] = [];
       nock(BASE_URL)
-        .get("/predictions")
-        .reply(200, {
-          next: "https://api.replicate.com/v1/predictions?cursor=cD0yMDIyLTAxLTIxKzIzJTNBMTglM0EyNC41MzAzNTclMkIwMCUzQTAw",
-          previous: null,
-          results: [
-            {
-              id: "jpzd7hm5gfcapbfyt4mqytarku",
-              model: "stability-ai/stable-diffusion",
-              version:
-                "b21cbe271e65c1718f2999b038c18b45e21e4fba961181fbfae9342fc53b9e05",
-              urls: {
-                get: "https://api.replicate.com/v1/predictions/jpzd7hm5gfcapbfyt4mqytarku",
-                cancel:
-                  "https://api.replicate.com/v1/predictions/jpzd7hm5gfcapbfyt4mqytarku/cancel",
-              },
-              created_at: "2022-04-26T20:00:40.658234Z",
-              started_at: "2022-04-26T20:00:84.583803Z",
-              completed_at: "2022-04-26T20:02:27.648305Z",
-              source: "web",
-              status: "succeeded",
-            },
-          ],
+        .post("/predictions")
+        .times(2)
+        .reply(function () {
+          keys.push(String(this.req.headers["idempotency-key"]));
+          return keys.length === 1
+            ? [500, "Internal Server Error"]
+            : [201, { id: "ufawqhfynnddngldkgtslldrkq" }];
         });
 
-      const predictions = await client.predictions.list();
-      expect(predictions.results.length).toBe(1);
-      expect(predictions.results[0].id).toBe("jpzd7hm5gfcapbfyt4mqytarku");
+      const response = await client.request("/predictions", {
+        method: "POST",
+        headers: { "idempotency-key": "my-key" },
+        data: { version: "abc", input: {} },
+      });
+      expect(response.status).toBe(201);
+      expect(keys).toEqual(["my-key", "my-key"]);
     });
 
-    test("Paginates results", async () => {
-      nock(BASE_URL)
-        .get("/predictions")
-        .reply(200, {
+    test("Retries network errors only for idempotent requests", async () => {
+      let calls = 0;
+      const client = new Replicate({
+        auth: "test-token",
+        retry: { baseDelay: 1, jitter: 0 },
+        fetch: async (url, init) => {
+          calls += 1;
+          if (calls === 1) {
+            throw new TypeError("fetch failed");
+          }
+          return new Response(JSON.stringify({ id: "1" }), { status: 200 });
+        },
+      });
+
+      await expect(client.predictions.get("1")).resolves.toEqual({ id: "1" });
+      expect(calls).toBe(2);
+
+      calls = 0;
+      await expect(client.predictions.cancel("1")).rejects.toThrow(
+        "fetch failed"
+      );
+      expect(calls).toBe(1);
+    });
+
+    test("Doesn't retry when retry is false", async () => {
+      const client = new Replicate({ auth: "test-token", fetch, retry: false });
+
+      nock(BASE_URL)
+        .get("/predictions/rrr4z55ocneqzikepnug6xezpe")
+        .reply(429, "Too Many Requests");
+
+      await expect(
+        client.predictions.get("rrr4z55ocneqzikepnug6xezpe")
+      ).rejects.toBeInstanceOf(RateLimitError);
+    });
+  });
+
+  describe("scheduler", () => {
+    const respond = (body: object, init?: ResponseInit) =>
+      new Response(JSON.stringify(body), {
+        status: 200,
+        headers: { "Content-Type": "application/json" },
+        ...init,
+      });
+
+    test("Limits the number of requests in flight", async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const client = new Replicate({
+        auth: "test-token",
+        scheduler: { maxConcurrency: 2 },
+        fetch: async () => {
+          inFlight += 1;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          inFlight -= 1;
+          return respond({ id: "ufawqhfynnddngldkgtslldrkq" });
+        },
+      });
+
+      const predictions = await Promise.all(
+        Array.from({ length: 6 }, () =>
+          client.predictions.get("ufawqhfynnddngldkgtslldrkq")
+        )
+      );
+      expect(predictions).toHaveLength(6);
+      expect(maxInFlight).toBe(2);
+    });
+
+    test("Spaces out creation requests without delaying polling", async () => {
+      const starts: { method: string; time: number }[] = [];
+      const client = new Replicate({
+        auth: "test-token",
+        scheduler: { createsPerSecond: 20 },
+        fetch: async (url, init) => {
+          starts.push({ method: init?.method ?? "GET", time: Date.now() });
+          return respond({ id: "ufawqhfynnddngldkgtslldrkq" });
+        },
+      });
+
+      const create = () =>
+        client.predictions.create({
+          version:
+            "5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca93cb72c9bf15ccaa",
+          input: { text: "Alice" },
+        });
+      await Promise.all([
+        create(),
+        create(),
+        create(),
+        client.predictions.get("ufawqhfynnddngldkgtslldrkq"),
+      ]);
+
+      const creates = starts.filter(({ method }) => method === "POST");
+      expect(creates).toHaveLength(3);
+      expect(creates[2].time - creates[0].time).toBeGreaterThanOrEqual(90);
+      const [poll] = starts.filter(({ method }) => method === "GET");
+      expect(poll.time).toBeLessThan(creates[1].time);
+    });
+
+    test("Pauses requests when the rate limit is used up", async () => {
+      const starts: number[] = [];
+      const client = new Replicate({
+        auth: "test-token",
+        scheduler: { maxConcurrency: 10 },
+        fetch: async () => {
+          starts.push(Date.now());
+          return respond(
+            { id: "ufawqhfynnddngldkgtslldrkq" },
+            {
+              headers: {
+                "Content-Type": "application/json",
+                "RateLimit-Remaining": starts.length === 1 ? "0" : "10",
+                "RateLimit-Reset": "1",
+              },
+            }
+          );
+        },
+      });
+
+      await client.predictions.get("ufawqhfynnddngldkgtslldrkq");
+      await client.predictions.get("ufawqhfynnddngldkgtslldrkq");
+      expect(starts[1] - starts[0]).toBeGreaterThanOrEqual(900);
+    });
+  });
+
+  describe("batch", () => {
+    // Predictions succeed on their second poll, except for inputs named "fail"
+    const createBatchClient = () => {
+      const polls: Record<string, number> = {};
+      const creates: object[] = [];
+      const client = new Replicate({
+        auth: "test-token",
+        fetch: async (url, init) => {
+          const { pathname } = new URL(url.toString());
+          if (init?.method === "POST") {
+            const { input } = JSON.parse(init.body as string);
+            creates.push(input);
+            return new Response(
+              JSON.stringify({ id: `p-${input.text}`, status: "starting" }),
+              { status: 201 }
+            );
+          }
+
+          const id = pathname.split("/").pop() as string;
+          polls[id] = (polls[id] || 0) + 1;
+          let prediction: object = { id, status: "processing" };
+          if (polls[id] >= 2) {
+            prediction =
+              id === "p-fail"
+                ? { id, status: "failed", error: "Out of memory" }
+                : { id, status: "succeeded", output: id.toUpperCase() };
+          }
+          return new Response(JSON.stringify(prediction), { status: 200 });
+        },
+      });
+      return { client, creates };
+    };
+
+    test("Yields results in order and collects failures", async () => {
+      const { client, creates } = createBatchClient();
+      const checkpoints: object[] = [];
+      const progress = jest.fn();
+
+      const results = [];
+      for await (const result of client.batch(
+        "owner/model:5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca93cb72c9bf15ccaa",
+        [{ text: "a" }, { text: "fail" }, { text: "c" }],
+        {
+          concurrency: 2,
+          ordered: true,
+          wait: { interval: 1 },
+          onCheckpoint: (checkpoint) => {
+            checkpoints.push(checkpoint);
+          },
+          onProgress: progress,
+        }
+      )) {
+        results.push(result);
+      }
+
+      expect(results.map(({ index }) => index)).toEqual([0, 1, 2]);
+      expect(results[0].output).toBe("P-A");
+      expect(results[1].error).toBeInstanceOf(PredictionFailedError);
+      expect(results[1].prediction?.error).toBe("Out of memory");
+      expect(results[2].output).toBe("P-C");
+      expect(creates).toHaveLength(3);
+      expect(checkpoints[2]).toEqual({
+        predictions: { 0: "p-a", 1: "p-fail", 2: "p-c" },
+      });
+      expect(progress).toHaveBeenLastCalledWith({
+        total: 3,
+        created: 3,
+        succeeded: 2,
+        failed: 1,
+      });
+    });
+
+    test("Creates predictions concurrently up to the limit", async () => {
+      let creating = 0;
+      let maxCreating = 0;
+      const client = new Replicate({
+        auth: "test-token",
+        fetch: async (url, init) => {
+          const { input } = JSON.parse(init?.body as string);
+          creating += 1;
+          maxCreating = Math.max(maxCreating, creating);
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          creating -= 1;
+          return new Response(
+            JSON.stringify({
+              id: `p-${input.text}`,
+              status: "succeeded",
+              output: input.text,
+            }),
+            { status: 201 }
+          );
+        },
+      });
+
+      const outputs = [];
+      for await (const result of client.batch(
+        "owner/model",
+        [{ text: "a" }, { text: "b" }, { text: "c" }, { text: "d" }],
+        { concurrency: 3 }
+      )) {
+        outputs.push(result.output);
+      }
+
+      expect(outputs.sort()).toEqual(["a", "b", "c", "d"]);
+      expect(maxCreating).toBe(3);
+    });
+
+    test("Resumes from a checkpoint without creating predictions again", async () => {
+      const { client, creates } = createBatchClient();
+
+      const results = [];
+      for await (const result of client.batch(
+        "owner/model",
+        [{ text: "a" }, { text: "b" }],
+        {
+          wait: { interval: 1 },
+          checkpoint: { predictions: { 0: "p-a" } },
+        }
+      )) {
+        results.push(result);
+      }
+
+      expect(creates).toEqual([{ text: "b" }]);
+      expect(results.map(({ output }) => output).sort()).toEqual([
+        "P-A",
+        "P-B",
+      ]);
+    });
+  });
+
+  describe("hooks", () => {
+    test("Runs beforeRequest and afterResponse hooks", async () => {
+      const afterResponse = jest.fn();
+      const client = new Replicate({
+        auth: "test-token",
+        fetch,
+        hooks: {
+          beforeRequest: (context) => {
+            context.headers["X-Org"] = "acme";
+          },
+        },
+      }).use({ afterResponse });
+
+      nock(BASE_URL, { reqheaders: { "X-Org": "acme" } })
+        .get("/predictions")
+        .query({ cursor: "abc" })
+        .reply(200, { results: [], next: null });
+
+      await client.request("/predictions", {
+        method: "GET",
+        params: { cursor: "abc" },
+      });
+
+      expect(afterResponse).toHaveBeenCalledTimes(1);
+      const [context, response] = afterResponse.mock.calls[0] as any[];
+      expect(context).toMatchObject({
+        route: "/predictions",
+        method: "GET",
+        params: { cursor: "abc" },
+      });
+      expect(context.url.toString()).toBe(`${BASE_URL}/predictions?cursor=abc`);
+      expect(context.duration).toBeGreaterThanOrEqual(0);
+      expect(response.status).toBe(200);
+    });
+
+    test("Sends data changed by a beforeRequest hook", async () => {
+      const client = new Replicate({ auth: "test-token", fetch });
+      client.use({
+        beforeRequest: (context) => {
+          context.data = { ...context.data, webhook: "https://example.com" };
+        },
+      });
+
+      nock(BASE_URL)
+        .post("/predictions", {
+          version: "abc",
+          input: { text: "Alice" },
+          webhook: "https://example.com",
+        })
+        .reply(201, { id: "ufawqhfynnddngldkgtslldrkq", status: "starting" });
+
+      const prediction = await client.predictions.create({
+        version: "abc",
+        input: { text: "Alice" },
+      });
+      expect(prediction.id).toBe("ufawqhfynnddngldkgtslldrkq");
+    });
+
+    test("Doesn't send the API token to a host set by a beforeRequest hook", async () => {
+      const client = new Replicate({ auth: "test-token", fetch });
+      client.use({
+        beforeRequest: (context) => {
+          context.url = new URL(
+            context.url.pathname,
+            "https://proxy.example.com"
+          );
+        },
+      });
+
+      nock("https://proxy.example.com", { badheaders: ["authorization"] })
+        .get("/v1/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(200, { id: "ufawqhfynnddngldkgtslldrkq", status: "starting" });
+
+      const prediction = await client.predictions.get(
+        "ufawqhfynnddngldkgtslldrkq"
+      );
+      expect(prediction.id).toBe("ufawqhfynnddngldkgtslldrkq");
+    });
+
+    test("Uses a response returned by a beforeRequest hook", async () => {
+      const client = new Replicate({ auth: "test-token", fetch });
+      client.use({
+        beforeRequest: () =>
+          new Response(JSON.stringify({ id: "mocked", status: "succeeded" })),
+      });
+
+      const prediction = await client.predictions.get("mocked");
+      expect(prediction.id).toBe("mocked");
+    });
+
+    test("Runs onError hooks with API errors", async () => {
+      const onError = jest.fn();
+      const client = new Replicate({ auth: "test-token", fetch });
+      client.use({ onError });
+
+      nock(BASE_URL)
+        .get("/predictions/missing")
+        .reply(404, { detail: "Not found" });
+
+      await expect(client.predictions.get("missing")).rejects.toBeInstanceOf(
+        NotFoundError
+      );
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(onError.mock.calls[0][0]).toBeInstanceOf(NotFoundError);
+      expect(onError.mock.calls[0][1]).toMatchObject({
+        route: "/predictions/missing",
+      });
+    });
+
+    test("Throws for unknown hooks", () => {
+      expect(() => client.use({ beforeSend: () => {} } as any)).toThrow(
+        "Unknown hook: beforeSend"
+      );
+    });
+  });
+
+  describe("tracing", () => {
+    // Records spans with the subset of the OpenTelemetry Tracer interface the client uses
+    const createTracer = () => {
+      const spans: any[] = [];
+      const tracer = {
+        startSpan: (name: string, options?: { attributes?: object }) => {
+          const span = {
+            name,
+            attributes: { ...options?.attributes } as Record<string, unknown>,
+            events: [] as { name: string; attributes?: object }[],
+            status: undefined as { code: number } | undefined,
+            ended: false,
+            setAttribute(key: string, value: unknown) {
+              span.attributes[key] = value;
+            },
+            setAttributes(attributes: object) {
+              Object.assign(span.attributes, attributes);
+            },
+            addEvent(name: string, attributes?: object) {
+              span.events.push({ name, attributes });
+            },
+            setStatus(status: { code: number }) {
+              span.status = status;
+            },
+            recordException() {},
+            end() {
+              span.ended = true;
+            },
+          };
+          spans.push(span);
+          return span;
+        },
+      };
+      return { tracer, spans };
+    };
+
+    test("Records spans for run, wait and requests", async () => {
+      const { tracer, spans } = createTracer();
+      const client = new Replicate({ auth: "test-token", fetch, tracer });
+
+      nock(BASE_URL)
+        .post("/predictions")
+        .reply(201, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "starting",
+          created_at: "2024-01-01T00:00:00.000Z",
+        })
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(503, "Service Unavailable", { "Retry-After": "0" })
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(200, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "succeeded",
+          output: "Hello",
+          created_at: "2024-01-01T00:00:00.000Z",
+          started_at: "2024-01-01T00:00:02.000Z",
+          completed_at: "2024-01-01T00:00:05.000Z",
+          metrics: { predict_time: 3 },
+        });
+
+      await client.run(
+        "owner/model:5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca93cb72c9bf15ccaa",
+        { input: { text: "Alice" } }
+      );
+
+      expect(spans.map(({ name }) => name)).toEqual([
+        "replicate.run",
+        "replicate.request",
+        "replicate.wait",
+        "replicate.request",
+      ]);
+      expect(spans.every(({ ended }) => ended)).toBe(true);
+
+      const [run, create, wait, poll] = spans;
+      expect(run.attributes).toMatchObject({
+        "replicate.model": "owner/model",
+        "replicate.version":
+          "5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca93cb72c9bf15ccaa",
+        "replicate.prediction.id": "ufawqhfynnddngldkgtslldrkq",
+        "replicate.prediction.status": "succeeded",
+        "replicate.prediction.predict_time": 3,
+        "replicate.prediction.queue_time_ms": 2000,
+        "replicate.prediction.run_time_ms": 3000,
+      });
+      expect(create.attributes).toMatchObject({
+        "http.request.method": "POST",
+        "http.response.status_code": 201,
+      });
+      expect(wait.attributes["replicate.poll_count"]).toBe(1);
+      expect(poll.attributes["replicate.retry_count"]).toBe(1);
+      expect(poll.events).toEqual([
+        {
+          name: "retry",
+          attributes: {
+            "replicate.retry.attempt": 1,
+            "replicate.retry.delay_ms": 0,
+            "http.response.status_code": 503,
+          },
+        },
+      ]);
+    });
+
+    test("Records errors on spans", async () => {
+      const { tracer, spans } = createTracer();
+      const client = new Replicate({ auth: "test-token", fetch, tracer });
+
+      nock(BASE_URL).get("/predictions/missing").reply(404, "Not found");
+
+      await expect(client.predictions.get("missing")).rejects.toBeInstanceOf(
+        NotFoundError
+      );
+      expect(spans[0].status).toMatchObject({ code: 2 });
+      expect(spans[0].attributes["http.response.status_code"]).toBe(404);
+    });
+  });
+
+  describe("input validation", () => {
+    const openapi_schema = {
+      components: {
+        schemas: {
+          Input: {
+            type: "object",
+            title: "Input",
+            required: ["prompt"],
+            properties: {
+              prompt: { type: "string", title: "Prompt", minLength: 1 },
+              width: {
+                type: "integer",
+                title: "Width",
+                default: 512,
+                minimum: 64,
+                maximum: 1024,
+              },
+              scheduler: {
+                allOf: [{ $ref: "#/components/schemas/scheduler" }],
+                default: "DDIM",
+              },
+              image: { type: "string", format: "uri", title: "Image" },
+            },
+          },
+          scheduler: {
+            type: "string",
+            title: "scheduler",
+            enum: ["DDIM", "K_EULER"],
+          },
+        },
+      },
+    };
+
+    const version = {
+      id: "5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca93cb72c9bf15ccaa",
+      created_at: "2022-04-26T19:29:04.418669Z",
+      cog_version: "0.3.0",
+      openapi_schema,
+    };
+
+    test("Fills in defaults and caches the version schema", async () => {
+      nock(BASE_URL)
+        .get(`/models/stability-ai/sdxl/versions/${version.id}`)
+        .once()
+        .reply(200, version)
+        .post("/predictions", {
+          version: version.id,
+          input: { prompt: "a llama", width: 512, scheduler: "DDIM" },
+        })
+        .twice()
+        .reply(201, { id: "ufawqhfynnddngldkgtslldrkq", status: "starting" });
+
+      for (let i = 0; i < 2; i++) {
+        const prediction = await client.predictions.create({
+          model: "stability-ai/sdxl",
+          version: version.id,
+          input: { prompt: "a llama" },
+          validate: true,
+        });
+        expect(prediction.id).toBe("ufawqhfynnddngldkgtslldrkq");
+      }
+    });
+
+    test("Throws an InputValidationError listing every problem", async () => {
+      expect.hasAssertions();
+      nock(BASE_URL)
+        .get(`/models/stability-ai/sdxl/versions/${version.id}`)
+        .reply(200, version);
+
+      try {
+        await client.run(`stability-ai/sdxl:${version.id}`, {
+          input: {
+            width: 2048,
+            scheduler: "PNDM",
+            steps: 50,
+            image: new Blob(["data"]),
+          },
+          validate: true,
+        });
+      } catch (error) {
+        expect(error).toBeInstanceOf(InputValidationError);
+        expect((error as InputValidationError).invalidFields).toEqual([
+          {
+            type: "maximum",
+            field: "width",
+            description: "Must be at most 1024, got 2048",
+          },
+          {
+            type: "enum",
+            field: "scheduler",
+            description: 'Expected one of "DDIM", "K_EULER", got "PNDM"',
+          },
+          {
+            type: "unknown",
+            field: "steps",
+            description:
+              "Unknown input. Expected one of prompt, width, scheduler, image",
+          },
+          {
+            type: "required",
+            field: "prompt",
+            description: "Missing required input",
+          },
+        ]);
+        expect((error as Error).message).toContain(
+          "width: Must be at most 1024, got 2048"
+        );
+      }
+    });
+
+    test("Checks types", async () => {
+      nock(BASE_URL)
+        .get(`/models/stability-ai/sdxl/versions/${version.id}`)
+        .reply(200, version);
+
+      await expect(
+        client.predictions.create({
+          model: "stability-ai/sdxl",
+          version: version.id,
+          input: { prompt: "a llama", width: "512" },
+          validate: true,
+        })
+      ).rejects.toThrow("width: Expected integer, got string");
+    });
+
+    test("Validates against a model's latest version", async () => {
+      nock(BASE_URL)
+        .get("/models/stability-ai/sdxl")
+        .reply(200, {
+          owner: "stability-ai",
+          name: "sdxl",
+          latest_version: version,
+        })
+        .post("/models/stability-ai/sdxl/predictions", {
+          input: { prompt: "a llama", width: 768, scheduler: "DDIM" },
+        })
+        .reply(201, { id: "ufawqhfynnddngldkgtslldrkq", status: "succeeded" });
+
+      const output = await client.run("stability-ai/sdxl", {
+        input: { prompt: "a llama", width: 768 },
+        validate: true,
+      });
+      expect(output).toBeUndefined();
+    });
+
+    test("Uses the schema of a model version object", async () => {
+      nock(BASE_URL)
+        .post("/predictions", {
+          version: version.id,
+          input: { prompt: "a llama", width: 512, scheduler: "K_EULER" },
+        })
+        .reply(201, { id: "ufawqhfynnddngldkgtslldrkq", status: "succeeded" });
+
+      await client.run(version, {
+        input: { prompt: "a llama", scheduler: "K_EULER" },
+        validate: true,
+      });
+    });
+
+    test("Throws for a version without its model", async () => {
+      await expect(
+        client.predictions.create({
+          version: "abc123",
+          input: { prompt: "a llama" },
+          validate: true,
+        })
+      ).rejects.toThrow("without its model");
+    });
+  });
+
+  describe("prediction handles", () => {
+    const prediction = {
+      id: "ufawqhfynnddngldkgtslldrkq",
+      status: "starting",
+      urls: {
+        get: `${BASE_URL}/predictions/ufawqhfynnddngldkgtslldrkq`,
+        cancel: `${BASE_URL}/predictions/ufawqhfynnddngldkgtslldrkq/cancel`,
+      },
+    };
+
+    beforeEach(() => {
+      client.usePredictionHandles = true;
+    });
+
+    test("Waits for a prediction and emits its updates", async () => {
+      nock(BASE_URL)
+        .post("/predictions")
+        .reply(201, prediction)
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(200, { ...prediction, status: "processing", logs: "step 1\n" })
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(200, {
+          ...prediction,
+          status: "succeeded",
+          logs: "step 1\nstep 2\n",
+          output: "Hello, Alice",
+        });
+
+      const handle = (await client.predictions.create({
+        version: "abc123",
+        input: { text: "Alice" },
+      })) as PredictionHandle;
+      expect(handle).toBeInstanceOf(PredictionHandle);
+      expect(handle.toJSON()).toEqual(prediction);
+
+      const statuses: string[] = [];
+      const logs: string[] = [];
+      const done = jest.fn();
+      handle
+        .on("status", (h, previous) => {
+          statuses.push(`${previous} -> ${h.status}`);
+        })
+        .on("logs", (text) => {
+          logs.push(text);
+        })
+        .on("done", done);
+
+      const result = await handle.wait({ interval: 1 });
+      expect(result).toBe(handle);
+      expect(result.output).toEqual("Hello, Alice");
+      expect(statuses).toEqual([
+        "starting -> processing",
+        "processing -> succeeded",
+      ]);
+      expect(logs).toEqual(["step 1\n", "step 2\n"]);
+      expect(done).toHaveBeenCalledWith(handle);
+      expect(JSON.parse(JSON.stringify(handle)).status).toEqual("succeeded");
+    });
+
+    test("Reloads and cancels a prediction", async () => {
+      nock(BASE_URL)
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(200, prediction)
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(200, { ...prediction, status: "processing" })
+        .post("/predictions/ufawqhfynnddngldkgtslldrkq/cancel")
+        .reply(200, { ...prediction, status: "canceled" });
+
+      const handle = (await client.predictions.get(
+        "ufawqhfynnddngldkgtslldrkq"
+      )) as PredictionHandle;
+      await handle.reload();
+      expect(handle.status).toEqual("processing");
+      await handle.cancel();
+      expect(handle.status).toEqual("canceled");
+    });
+
+    test("Tails the logs of a prediction", async () => {
+      nock(BASE_URL)
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(200, { ...prediction, status: "processing", logs: "a\n" })
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(200, { ...prediction, status: "succeeded", logs: "a\nb\n" });
+
+      const handle = new PredictionHandle(client, prediction as Prediction);
+      const chunks = [];
+      for await (const chunk of handle.tailLogs({ interval: 1 })) {
+        chunks.push(chunk);
+      }
+      expect(chunks).toEqual(["a\n", "b\n"]);
+    });
+
+    test("Waits for a training with the trainings endpoint", async () => {
+      const training = {
+        id: "zz4ibbonubfz7carwiefibzgga",
+        status: "starting",
+        urls: {
+          get: `${BASE_URL}/trainings/zz4ibbonubfz7carwiefibzgga`,
+          cancel: `${BASE_URL}/trainings/zz4ibbonubfz7carwiefibzgga/cancel`,
+        },
+      };
+      nock(BASE_URL)
+        .post(
+          "/models/owner/model/versions/632231d0d49d34d5c4633bd838aee3d81d936e59a886fbf28524702003b4c532/trainings"
+        )
+        .reply(201, training)
+        .get("/trainings/zz4ibbonubfz7carwiefibzgga")
+        .reply(200, { ...training, status: "succeeded" });
+
+      const handle = (await client.trainings.create(
+        "owner",
+        "model",
+        "632231d0d49d34d5c4633bd838aee3d81d936e59a886fbf28524702003b4c532",
+        { destination: "new_owner/new_model", input: { text: "..." } }
+      )) as TrainingHandle;
+      expect(handle).toBeInstanceOf(TrainingHandle);
+      await handle.wait({ interval: 1 });
+      expect(handle.status).toEqual("succeeded");
+    });
+  });
+
+  describe("predictions.create with file inputs", () => {
+    const version =
+      "42fed1c4974146d4d2414e2be2c5277c7fcf05fcc3a73abf41610695738c1d7b";
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+    test("Encodes small files as data URIs", async () => {
+      nock(BASE_URL)
+        .post("/predictions", (body) => {
+          expect(body.input).toEqual({
+            image: `data:image/png;base64,${png.toString("base64")}`,
+            masks: ["data:text/plain;base64,bWFzaw=="],
+            options: { audio: "data:application/octet-stream;base64,AAEC" },
+            prompt: "upscale",
+          });
+          return true;
+        })
+        .reply(201, { id: "ufawqhfynnddngldkgtslldrkq" });
+
+      await client.predictions.create({
+        version,
+        input: {
+          image: png,
+          masks: [new Blob(["mask"], { type: "text/plain" })],
+          options: { audio: new Uint8Array([0, 1, 2]) },
+          prompt: "upscale",
+        },
+      });
+    });
+
+    test("Reads streams before encoding them", async () => {
+      nock(BASE_URL)
+        .post("/predictions", (body) => {
+          expect(body.input.image).toBe(
+            `data:image/png;base64,${png.toString("base64")}`
+          );
+          return true;
+        })
+        .reply(201, { id: "ufawqhfynnddngldkgtslldrkq" });
+
+      await client.predictions.create({
+        version,
+        input: { image: new Blob([png]).stream() },
+      });
+    });
+
+    test("Uploads files larger than the threshold", async () => {
+      const requests: { url: string; init: any }[] = [];
+      const clientWithUploads = new Replicate({
+        auth: "test-token",
+        fileUploadThreshold: 4,
+        fetch: async (url, init) => {
+          requests.push({ url: `${url}`, init });
+          const body = `${url}`.endsWith("/files")
+            ? {
+                id: "dG8tZG8",
+                urls: { get: "https://api.replicate.com/v1/files/dG8tZG8" },
+              }
+            : { id: "ufawqhfynnddngldkgtslldrkq" };
+          return new Response(JSON.stringify(body), { status: 201 });
+        },
+      });
+
+      await clientWithUploads.predictions.create({
+        version,
+        input: { image: png, seed: new Uint8Array([1]) },
+      });
+
+      expect(requests.length).toBe(2);
+      expect(requests[0].url).toBe(`${BASE_URL}/files`);
+      expect(requests[0].init.body).toBeInstanceOf(FormData);
+      expect(requests[0].init.headers["Content-Type"]).toBeUndefined();
+      const content = requests[0].init.body.get("content") as Blob;
+      expect(content.type).toBe("image/png");
+      expect(content.size).toBe(png.length);
+
+      expect(JSON.parse(requests[1].init.body).input).toEqual({
+        image: "https://api.replicate.com/v1/files/dG8tZG8",
+        seed: "data:application/octet-stream;base64,AQ==",
+      });
+    });
+
+    test("Always inlines files with the data-uri strategy", async () => {
+      const clientWithDataURIs = new Replicate({
+        auth: "test-token",
+        fileEncodingStrategy: "data-uri",
+        fileUploadThreshold: 0,
+      });
+      clientWithDataURIs.fetch = fetch;
+
+      nock(BASE_URL)
+        .post("/predictions", (body) => {
+          expect(body.input.image).toMatch(/^data:image\/png;base64,/);
+          return true;
+        })
+        .reply(201, { id: "ufawqhfynnddngldkgtslldrkq" });
+
+      await clientWithDataURIs.predictions.create({
+        version,
+        input: { image: png },
+      });
+    });
+  });
+
+  describe("predictions.get", () => {
+    test("Calls the correct API route with the correct payload", async () => {
+      nock(BASE_URL)
+        .get("/predictions/rrr4z55ocneqzikepnug6xezpe")
+        .reply(200, {
+          id: "rrr4z55ocneqzikepnug6xezpe",
+          model: "stability-ai/stable-diffusion",
+          version:
+            "be04660a5b93ef2aff61e3668dedb4cbeb14941e62a3fd5998364a32d613e35e",
+          urls: {
+            get: "https://api.replicate.com/v1/predictions/rrr4z55ocneqzikepnug6xezpe",
+            cancel:
+              "https://api.replicate.com/v1/predictions/rrr4z55ocneqzikepnug6xezpe/cancel",
+          },
+          created_at: "2022-09-13T22:54:18.578761Z",
+          started_at: "2022-09-13T22:54:19.438525Z",
+          completed_at: "2022-09-13T22:54:23.236610Z",
+          source: "api",
+          status: "succeeded",
+          input: {
+            prompt: "oak tree with boletus growing on its branches",
+          },
+          output: [
+            "https://replicate.com/api/models/stability-ai/stable-diffusion/files/9c3b6fe4-2d37-4571-a17a-83951b1cb120/out-0.png",
+          ],
+          error: null,
+          logs: "Using seed: 36941...",
+          metrics: {
+            predict_time: 4.484541,
+          },
+        });
+      const prediction = await client.predictions.get(
+        "rrr4z55ocneqzikepnug6xezpe"
+      );
+      expect(prediction.id).toBe("rrr4z55ocneqzikepnug6xezpe");
+    });
+
+    test("Automatically retries on 429", async () => {
+      nock(BASE_URL)
+        .get("/predictions/rrr4z55ocneqzikepnug6xezpe")
+        .reply(
+          429,
+          {
+            detail: "Too many requests",
+          },
+          { "Content-Type": "application/json", "Retry-After": "1" }
+        )
+        .get("/predictions/rrr4z55ocneqzikepnug6xezpe")
+        .reply(200, {
+          id: "rrr4z55ocneqzikepnug6xezpe",
+        });
+
+      const prediction = await client.predictions.get(
+        "rrr4z55ocneqzikepnug6xezpe"
+      );
+      expect(prediction.id).toBe("rrr4z55ocneqzikepnug6xezpe");
+    });
+
+    test("Automatically retries on 500", async () => {
+      nock(BASE_URL)
+        .get("/predictions/rrr4z55ocneqzikepnug6xezpe")
+        .reply(
+          500,
+          {
+            detail: "Internal server error",
+          },
+          { "Content-Type": "application/json" }
+        )
+        .get("/predictions/rrr4z55ocneqzikepnug6xezpe")
+        .reply(200, {
+          id: "rrr4z55ocneqzikepnug6xezpe",
+        });
+
+      const prediction = await client.predictions.get(
+        "rrr4z55ocneqzikepnug6xezpe"
+      );
+      expect(prediction.id).toBe("rrr4z55ocneqzikepnug6xezpe");
+    });
+  });
+
+  describe("predictions.cancel", () => {
+    test("Calls the correct API route with the correct payload", async () => {
+      nock(BASE_URL)
+        .post("/predictions/ufawqhfynnddngldkgtslldrkq/cancel")
+        .reply(200, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          model: "replicate/hello-world",
+          version:
+            "5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca93cb72c9bf15ccaa",
+          urls: {
+            get: "https://api.replicate.com/v1/predictions/ufawqhfynnddngldkgtslldrkq",
+            cancel:
+              "https://api.replicate.com/v1/predictions/ufawqhfynnddngldkgtslldrkq/cancel",
+          },
+          created_at: "2022-04-26T22:13:06.224088Z",
+          started_at: "2022-04-26T22:13:06.224088Z",
+          completed_at: "2022-04-26T22:14:06.224088Z",
+          status: "canceled",
+          input: {
+            text: "Alice",
+          },
+          output: null,
+          error: null,
+          logs: null,
+          metrics: {},
+        });
+
+      const prediction = await client.predictions.cancel(
+        "ufawqhfynnddngldkgtslldrkq"
+      );
+      expect(prediction.status).toBe("canceled");
+    });
+
+    // Add more tests for error handling, edge cases, etc.
+  });
+
+  describe("predictions.list", () => {
+    test("Calls the correct API route with the correct payload", async () => {
+      nock(BASE_URL)
+        .get("/predictions")
+        .reply(200, {
+          next: "https://api.replicate.com/v1/predictions?cursor=cD0yMDIyLTAxLTIxKzIzJTNBMTglM0EyNC41MzAzNTclMkIwMCUzQTAw",
+          previous: null,
+          results: [
+            {
+              id: "jpzd7hm5gfcapbfyt4mqytarku",
+              model: "stability-ai/stable-diffusion",
+              version:
+                "b21cbe271e65c1718f2999b038c18b45e21e4fba961181fbfae9342fc53b9e05",
+              urls: {
+                get: "https://api.replicate.com/v1/predictions/jpzd7hm5gfcapbfyt4mqytarku",
+                cancel:
+                  "https://api.replicate.com/v1/predictions/jpzd7hm5gfcapbfyt4mqytarku/cancel",
+              },
+              created_at: "2022-04-26T20:00:40.658234Z",
+              started_at: "2022-04-26T20:00:84.583803Z",
+              completed_at: "2022-04-26T20:02:27.648305Z",
+              source: "web",
+              status: "succeeded",
+            },
+          ],
+        });
+
+      const predictions = await client.predictions.list();
+      expect(predictions.results.length).toBe(1);
+      expect(predictions.results[0].id).toBe("jpzd7hm5gfcapbfyt4mqytarku");
+    });
+
+    test("Paginates results", async () => {
+      nock(BASE_URL)
+        .get("/predictions")
+        .reply(200, {
+          results: [{ id: "ufawqhfynnddngldkgtslldrkq" }],
+          next: "https://api.replicate.com/v1/predictions?cursor=cD0yMDIyLTAxLTIxKzIzJTNBMTglM0EyNC41MzAzNTclMkIwMCUzQTAw",
+        })
+        .get(
+          "/predictions?cursor=cD0yMDIyLTAxLTIxKzIzJTNBMTglM0EyNC41MzAzNTclMkIwMCUzQTAw"
+        )
+        .reply(200, {
+          results: [{ id: "rrr4z55ocneqzikepnug6xezpe" }],
+          next: null,
+        });
+
+      const results: Prediction[] = [];
+      for await (const batch of client.paginate(client.predictions.list)) {
+        results.push(...batch);
+      }
+      expect(results).toEqual([
+        { id: "ufawqhfynnddngldkgtslldrkq" },
+        { id: "rrr4z55ocneqzikepnug6xezpe" },
+      ]);
+
+      // Add more tests for error handling, edge cases, etc.
+    });
+  });
+
+  describe("trainings.create", () => {
+    test("Calls the correct API route with the correct payload", async () => {
+      nock(BASE_URL)
+        .post(
+          "/models/owner/model/versions/632231d0d49d34d5c4633bd838aee3d81d936e59a886fbf28524702003b4c532/trainings"
+        )
+        .reply(200, {
+          id: "zz4ibbonubfz7carwiefibzgga",
+          version:
+            "632231d0d49d34d5c4633bd838aee3d81d936e59a886fbf28524702003b4c532",
+          status: "starting",
+          input: {
+            text: "...",
+          },
+          output: null,
+          error: null,
+          logs: null,
+          started_at: null,
+          created_at: "2023-03-28T21:47:58.566434Z",
+          completed_at: null,
+        });
+
+      const training = await client.trainings.create(
+        "owner",
+        "model",
+        "632231d0d49d34d5c4633bd838aee3d81d936e59a886fbf28524702003b4c532",
+        {
+          destination: "new_owner/new_model",
+          input: {
+            text: "...",
+          },
+        }
+      );
+      expect(training.id).toBe("zz4ibbonubfz7carwiefibzgga");
+    });
+
+    test("Throws an error if webhook is not a valid URL", async () => {
+      await expect(
+        client.trainings.create(
+          "owner",
+          "model",
+          "632231d0d49d34d5c4633bd838aee3d81d936e59a886fbf28524702003b4c532",
+          {
+            destination: "new_owner/new_model",
+            input: {
+              text: "...",
+            },
+            webhook: "invalid-url",
+          }
+        )
+      ).rejects.toThrow("Invalid webhook URL");
+    });
+
+    // Add more tests for error handling, edge cases, etc.
+  });
+
+  describe("trainings.get", () => {
+    test("Calls the correct API route with the correct payload", async () => {
+      nock(BASE_URL)
+        .get("/trainings/zz4ibbonubfz7carwiefibzgga")
+        .reply(200, {
+          id: "zz4ibbonubfz7carwiefibzgga",
+          version: "{version}",
+          status: "succeeded",
+          input: {
+            data: "...",
+            param1: "...",
+          },
+          output: {
+            version: "...",
+          },
+          error: null,
+          logs: null,
+          webhook_completed: null,
+          started_at: null,
+          created_at: "2023-03-28T21:47:58.566434Z",
+          completed_at: null,
+        });
+
+      const training = await client.trainings.get("zz4ibbonubfz7carwiefibzgga");
+      expect(training.status).toBe("succeeded");
+    });
+
+    // Add more tests for error handling, edge cases, etc.
+  });
+
+  describe("trainings.cancel", () => {
+    test("Calls the correct API route with the correct payload", async () => {
+      nock(BASE_URL)
+        .post("/trainings/zz4ibbonubfz7carwiefibzgga/cancel")
+        .reply(200, {
+          id: "zz4ibbonubfz7carwiefibzgga",
+          version: "{version}",
+          status: "canceled",
+          input: {
+            data: "...",
+            param1: "...",
+          },
+          output: {
+            version: "...",
+          },
+          error: null,
+          logs: null,
+          webhook_completed: null,
+          started_at: null,
+          created_at: "2023-03-28T21:47:58.566434Z",
+          completed_at: null,
+        });
+
+      const training = await client.trainings.cancel(
+        "zz4ibbonubfz7carwiefibzgga"
+      );
+      expect(training.status).toBe("canceled");
+    });
+
+    // Add more tests for error handling, edge cases, etc.
+  });
+
+  describe("trainings.list", () => {
+    test("Calls the correct API route with the correct payload", async () => {
+      nock(BASE_URL)
+        .get("/trainings")
+        .reply(200, {
+          next: "https://api.replicate.com/v1/trainings?cursor=cD0yMDIyLTAxLTIxKzIzJTNBMTglM0EyNC41MzAzNTclMkIwMCUzQTAw",
+          previous: null,
+          results: [
+            {
+              id: "jpzd7hm5gfcapbfyt4mqytarku",
+              model: "stability-ai/sdxl",
+              version:
+                "b21cbe271e65c1718f2999b038c18b45e21e4fba961181fbfae9342fc53b9e05",
+              urls: {
+                get: "https://api.replicate.com/v1/trainings/jpzd7hm5gfcapbfyt4mqytarku",
+                cancel:
+                  "https://api.replicate.com/v1/trainings/jpzd7hm5gfcapbfyt4mqytarku/cancel",
+              },
+              created_at: "2022-04-26T20:00:40.658234Z",
+              started_at: "2022-04-26T20:00:84.583803Z",
+              completed_at: "2022-04-26T20:02:27.648305Z",
+              source: "web",
+              status: "succeeded",
+            },
+          ],
+        });
+
+      const trainings = await client.trainings.list();
+      expect(trainings.results.length).toBe(1);
+      expect(trainings.results[0].id).toBe("jpzd7hm5gfcapbfyt4mqytarku");
+    });
+
+    test("Paginates results", async () => {
+      nock(BASE_URL)
+        .get("/trainings")
+        .reply(200, {
           results: [{ id: "ufawqhfynnddngldkgtslldrkq" }],
-          next: "https://api.replicate.com/v1/predictions?cursor=cD0yMDIyLTAxLTIxKzIzJTNBMTglM0EyNC41MzAzNTclMkIwMCUzQTAw",
+          next: "https://api.replicate.com/v1/trainings?cursor=cD0yMDIyLTAxLTIxKzIzJTNBMTglM0EyNC41MzAzNTclMkIwMCUzQTAw",
+        })
+        .get(
+          "/trainings?cursor=cD0yMDIyLTAxLTIxKzIzJTNBMTglM0EyNC41MzAzNTclMkIwMCUzQTAw"
+        )
+        .reply(200, {
+          results: [{ id: "rrr4z55ocneqzikepnug6xezpe" }],
+          next: null,
+        });
+
+      const results: Prediction[] = [];
+      for await (const batch of client.paginate(client.trainings.list)) {
+        results.push(...batch);
+      }
+      expect(results).toEqual([
+        { id: "ufawqhfynnddngldkgtslldrkq" },
+        { id: "rrr4z55ocneqzikepnug6xezpe" },
+      ]);
+
+      // Add more tests for error handling, edge cases, etc.
+    });
+  });
+
+  describe("deployments.predictions.create", () => {
+    test("Calls the correct API route with the correct payload", async () => {
+      nock(BASE_URL)
+        .post("/deployments/replicate/greeter/predictions")
+        .reply(200, {
+          id: "mfrgcyzzme2wkmbwgzrgmntcg",
+          model: "replicate/hello-world",
+          version:
+            "5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca93cb72c9bf15ccaa",
+          urls: {
+            get: "https://api.replicate.com/v1/predictions/ufawqhfynnddngldkgtslldrkq",
+            cancel:
+              "https://api.replicate.com/v1/predictions/ufawqhfynnddngldkgtslldrkq/cancel",
+          },
+          created_at: "2022-09-10T09:44:22.165836Z",
+          started_at: null,
+          completed_at: null,
+          status: "starting",
+          input: {
+            text: "Alice",
+          },
+          output: null,
+          error: null,
+          logs: null,
+          metrics: {},
+        });
+      const prediction = await client.deployments.predictions.create(
+        "replicate",
+        "greeter",
+        {
+          input: {
+            text: "Alice",
+          },
+          webhook: "http://test.host/webhook",
+          webhook_events_filter: ["output", "completed"],
+        }
+      );
+      expect(prediction.id).toBe("mfrgcyzzme2wkmbwgzrgmntcg");
+    });
+    // Add more tests for error handling, edge cases, etc.
+  });
+
+  describe("deployments", () => {
+    const deployment = {
+      owner: "acme",
+      name: "my-app-image-generator",
+      current_release: {
+        number: 1,
+        model: "stability-ai/sdxl",
+        version:
+          "da77bc59ee60423279fd632efb4795ab731d9e3ca9705ef3341091fb989b7eaf",
+        created_at: "2024-02-15T16:32:57.018467Z",
+        created_by: {
+          type: "organization",
+          username: "acme",
+          name: "Acme Corp, Inc.",
+          github_url: "https://github.com/acme",
+        },
+        configuration: {
+          hardware: "gpu-t4",
+          min_instances: 1,
+          max_instances: 5,
+        },
+      },
+    };
+
+    test("Gets a deployment", async () => {
+      nock(BASE_URL)
+        .get("/deployments/acme/my-app-image-generator")
+        .reply(200, deployment);
+
+      const result = await client.deployments.get(
+        "acme",
+        "my-app-image-generator"
+      );
+      expect(result.current_release.configuration.hardware).toBe("gpu-t4");
+    });
+
+    test("Creates a deployment", async () => {
+      const config = {
+        name: "my-app-image-generator",
+        model: "stability-ai/sdxl",
+        version:
+          "da77bc59ee60423279fd632efb4795ab731d9e3ca9705ef3341091fb989b7eaf",
+        hardware: "gpu-t4",
+        min_instances: 1,
+        max_instances: 5,
+      };
+      nock(BASE_URL).post("/deployments", config).reply(200, deployment);
+
+      const result = await client.deployments.create(config);
+      expect(result.name).toBe("my-app-image-generator");
+    });
+
+    test("Updates only the given fields of a deployment", async () => {
+      nock(BASE_URL)
+        .patch("/deployments/acme/my-app-image-generator", {
+          max_instances: 10,
+        })
+        .reply(200, {
+          ...deployment,
+          current_release: {
+            ...deployment.current_release,
+            number: 2,
+            configuration: {
+              ...deployment.current_release.configuration,
+              max_instances: 10,
+            },
+          },
+        });
+
+      const result = await client.deployments.update(
+        "acme",
+        "my-app-image-generator",
+        { max_instances: 10 }
+      );
+      expect(result.current_release.number).toBe(2);
+      expect(result.current_release.configuration.max_instances).toBe(10);
+    });
+
+    test("Deletes a deployment", async () => {
+      nock(BASE_URL)
+        .delete("/deployments/acme/my-app-image-generator")
+        .reply(204);
+
+      expect(
+        await client.deployments.delete("acme", "my-app-image-generator")
+      ).toBe(true);
+    });
+
+    test("Lists deployments", async () => {
+      nock(BASE_URL)
+        .get("/deployments")
+        .reply(200, {
+          results: [deployment],
+          next: `${BASE_URL}/deployments?cursor=next`,
+        })
+        .get("/deployments")
+        .query({ cursor: "next" })
+        .reply(200, {
+          results: [{ ...deployment, name: "another" }],
+          next: null,
+        });
+
+      const names = [];
+      for await (const item of client.deployments.list.all()) {
+        names.push(item.name);
+      }
+      expect(names).toEqual(["my-app-image-generator", "another"]);
+    });
+
+    test("Runs a deployment", async () => {
+      nock(BASE_URL)
+        .post("/deployments/acme/my-app-image-generator/predictions", {
+          input: { prompt: "a llama" },
+        })
+        .reply(201, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "starting",
+        })
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(200, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "succeeded",
+          output: ["https://example.com/llama.png"],
+        });
+
+      const output = await client.run(
+        "deployment:acme/my-app-image-generator",
+        { input: { prompt: "a llama" }, wait: { interval: 1 } }
+      );
+      expect(output).toEqual(["https://example.com/llama.png"]);
+    });
+
+    test("Throws for an invalid deployment reference", async () => {
+      await expect(
+        client.run("deployment:acme" as `deployment:${string}/${string}`, {
+          input: {},
+        })
+      ).rejects.toThrow("Invalid reference to deployment");
+    });
+  });
+
+  describe("references", () => {
+    const succeed = (path: string, body: nock.RequestBodyMatcher) =>
+      nock(BASE_URL)
+        .post(path, body)
+        .reply(201, { id: "ufawqhfynnddngldkgtslldrkq", status: "starting" })
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(200, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "succeeded",
+          output: "Hello, Alice",
+        });
+
+    test("Runs a deployment by its API URL", async () => {
+      succeed("/deployments/acme/hello/predictions", {
+        input: { text: "Alice" },
+      });
+
+      const output = await client.run(
+        "https://api.replicate.com/v1/deployments/acme/hello/predictions",
+        { input: { text: "Alice" }, wait: { interval: 1 } }
+      );
+      expect(output).toEqual("Hello, Alice");
+    });
+
+    test("Runs a model version by its API URL", async () => {
+      succeed("/predictions", { input: { text: "Alice" }, version: "abc123" });
+
+      const output = await client.run(
+        "https://api.replicate.com/v1/models/replicate/hello-world/versions/abc123",
+        { input: { text: "Alice" }, wait: { interval: 1 } }
+      );
+      expect(output).toEqual("Hello, Alice");
+    });
+
+    test("Runs a ModelVersionIdentifier", async () => {
+      succeed("/models/replicate/hello-world/predictions", {
+        input: { text: "Alice" },
+      });
+
+      const output = await client.run(
+        new ModelVersionIdentifier("replicate", "hello-world"),
+        { input: { text: "Alice" }, wait: { interval: 1 } }
+      );
+      expect(output).toEqual("Hello, Alice");
+    });
+
+    test("Runs a model version object", async () => {
+      succeed("/predictions", { input: { text: "Alice" }, version: "abc123" });
+
+      const version = {
+        id: "abc123",
+        created_at: "2022-04-26T19:29:04.418669Z",
+        cog_version: "0.3.0",
+        openapi_schema: {},
+      };
+      const output = await client.run(version, {
+        input: { text: "Alice" },
+        wait: { interval: 1 },
+      });
+      expect(output).toEqual("Hello, Alice");
+    });
+
+    test("Streams a deployment", async () => {
+      const requests: string[] = [];
+      const streamingClient = new Replicate({
+        auth: "test-token",
+        fetch: async (url, init) => {
+          requests.push(`${init?.method} ${url}`);
+          if (init?.method === "POST") {
+            return new Response(
+              JSON.stringify({
+                id: "ufawqhfynnddngldkgtslldrkq",
+                status: "starting",
+                urls: { stream: "https://stream.replicate.com/v1/abc" },
+              }),
+              { status: 201 }
+            );
+          }
+          return new Response("event: done\ndata: {}\n\n", {
+            headers: { "Content-Type": "text/event-stream" },
+          });
+        },
+      });
+
+      const events = [];
+      for await (const event of streamingClient.stream(
+        "deployment:acme/hello",
+        { input: { text: "Alice" } }
+      )) {
+        events.push(event.event);
+      }
+      expect(events).toEqual(["done"]);
+      expect(requests[0]).toEqual(
+        `POST ${BASE_URL}/deployments/acme/hello/predictions`
+      );
+    });
+
+    test("Throws for an invalid reference URL", async () => {
+      await expect(
+        client.run("https://api.replicate.com/v1/account", { input: {} })
+      ).rejects.toThrow("Invalid reference URL");
+    });
+
+    test("Validates and formats model version identifiers", () => {
+      const identifier = ModelVersionIdentifier.parse(
+        "replicate/hello-world:abc123"
+      );
+      expect(identifier.owner).toEqual("replicate");
+      expect(identifier.version).toEqual("abc123");
+      expect(identifier.toString()).toEqual("replicate/hello-world:abc123");
+      expect(new ModelVersionIdentifier("a", "b").toString()).toEqual("a/b");
+
+      expect(() => ModelVersionIdentifier.parse("own er/model")).toThrow(
+        "Invalid reference to model version"
+      );
+      expect(() => ModelVersionIdentifier.parse("owner/-model")).toThrow();
+      expect(() => ModelVersionIdentifier.parse("owner/model:ab-c")).toThrow();
+    });
+  });
+
+  describe("predictions.create with model", () => {
+    test("Calls the correct API route with the correct payload", async () => {
+      nock(BASE_URL)
+        .post("/models/meta/llama-2-70b-chat/predictions")
+        .reply(200, {
+          id: "heat2o3bzn3ahtr6bjfftvbaci",
+          model: "replicate/lifeboat-70b",
+          version: "d-c6559c5791b50af57b69f4a73f8e021c",
+          input: {
+            prompt: "Please write a haiku about llamas.",
+          },
+          logs: "",
+          error: null,
+          status: "starting",
+          created_at: "2023-11-27T13:35:45.99397566Z",
+          urls: {
+            cancel:
+              "https://api.replicate.com/v1/predictions/heat2o3bzn3ahtr6bjfftvbaci/cancel",
+            get: "https://api.replicate.com/v1/predictions/heat2o3bzn3ahtr6bjfftvbaci",
+          },
+        });
+      const prediction = await client.predictions.create({
+        model: "meta/llama-2-70b-chat",
+        input: {
+          prompt: "Please write a haiku about llamas.",
+        },
+        webhook: "http://test.host/webhook",
+        webhook_events_filter: ["output", "completed"],
+      });
+      expect(prediction.id).toBe("heat2o3bzn3ahtr6bjfftvbaci");
+    });
+    // Add more tests for error handling, edge cases, etc.
+  });
+
+  describe("hardware.list", () => {
+    test("Calls the correct API route", async () => {
+      nock(BASE_URL)
+        .get("/hardware")
+        .reply(200, [
+          { name: "CPU", sku: "cpu" },
+          { name: "Nvidia T4 GPU", sku: "gpu-t4" },
+          { name: "Nvidia A40 GPU", sku: "gpu-a40-small" },
+          { name: "Nvidia A40 (Large) GPU", sku: "gpu-a40-large" },
+        ]);
+
+      const hardware = await client.hardware.list();
+      expect(hardware.length).toBe(4);
+      expect(hardware[0].name).toBe("CPU");
+      expect(hardware[0].sku).toBe("cpu");
+    });
+    // Add more tests for error handling, edge cases, etc.
+  });
+
+  describe("models.create", () => {
+    test("Calls the correct API route with the correct payload", async () => {
+      nock(BASE_URL).post("/models").reply(200, {
+        owner: "test-owner",
+        name: "test-model",
+        visibility: "public",
+        hardware: "cpu",
+        description: "A test model",
+      });
+
+      const model = await client.models.create("test-owner", "test-model", {
+        visibility: "public",
+        hardware: "cpu",
+        description: "A test model",
+      });
+
+      expect(model.owner).toBe("test-owner");
+      expect(model.name).toBe("test-model");
+      expect(model.visibility).toBe("public");
+      // expect(model.hardware).toBe('cpu');
+      expect(model.description).toBe("A test model");
+    });
+  });
+
+  describe("run", () => {
+    test("Calls the correct API routes for a version", async () => {
+      const firstPollingRequest = true;
+
+      nock(BASE_URL)
+        .post("/predictions")
+        .reply(201, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "starting",
+        })
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .twice()
+        .reply(200, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "processing",
+        })
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(200, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "succeeded",
+          output: "Goodbye!",
+        });
+
+      const progress = jest.fn();
+
+      const output = await client.run(
+        "owner/model:5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca93cb72c9bf15ccaa",
+        {
+          input: { text: "Hello, world!" },
+          wait: { interval: 1 },
+        },
+        progress
+      );
+
+      expect(output).toBe("Goodbye!");
+
+      expect(progress).toHaveBeenNthCalledWith(1, {
+        id: "ufawqhfynnddngldkgtslldrkq",
+        status: "starting",
+      });
+
+      expect(progress).toHaveBeenNthCalledWith(2, {
+        id: "ufawqhfynnddngldkgtslldrkq",
+        status: "processing",
+      });
+
+      expect(progress).toHaveBeenNthCalledWith(3, {
+        id: "ufawqhfynnddngldkgtslldrkq",
+        status: "processing",
+      });
+
+      expect(progress).toHaveBeenNthCalledWith(4, {
+        id: "ufawqhfynnddngldkgtslldrkq",
+        status: "succeeded",
+        output: "Goodbye!",
+      });
+
+      expect(progress).toHaveBeenCalledTimes(4);
+    });
+
+    test("Calls the correct API routes for a model", async () => {
+      const firstPollingRequest = true;
+
+      nock(BASE_URL)
+        .post("/models/replicate/hello-world/predictions")
+        .reply(201, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "starting",
+        })
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .twice()
+        .reply(200, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "processing",
+        })
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(200, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "succeeded",
+          output: "Goodbye!",
+        });
+
+      const progress = jest.fn();
+
+      const output = await client.run(
+        "replicate/hello-world",
+        {
+          input: { text: "Hello, world!" },
+          wait: { interval: 1 },
+        },
+        progress
+      );
+
+      expect(output).toBe("Goodbye!");
+
+      expect(progress).toHaveBeenNthCalledWith(1, {
+        id: "ufawqhfynnddngldkgtslldrkq",
+        status: "starting",
+      });
+
+      expect(progress).toHaveBeenNthCalledWith(2, {
+        id: "ufawqhfynnddngldkgtslldrkq",
+        status: "processing",
+      });
+
+      expect(progress).toHaveBeenNthCalledWith(3, {
+        id: "ufawqhfynnddngldkgtslldrkq",
+        status: "processing",
+      });
+
+      expect(progress).toHaveBeenNthCalledWith(4, {
+        id: "ufawqhfynnddngldkgtslldrkq",
+        status: "succeeded",
+        output: "Goodbye!",
+      });
+
+      expect(progress).toHaveBeenCalledTimes(4);
+    });
+
+    test("Does not throw an error for identifier containing hyphen and full stop", async () => {
+      nock(BASE_URL)
+        .post("/predictions")
+        .reply(200, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "processing",
+        })
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(200, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "succeeded",
+          output: "foobar",
+        });
+
+      await expect(
+        client.run("a/b-1.0:abc123", { input: { text: "Hello, world!" } })
+      ).resolves.not.toThrow();
+    });
+
+    test("Throws an error for invalid identifiers", async () => {
+      const options = { input: { text: "Hello, world!" } };
+
+      // @ts-expect-error
+      await expect(client.run("owner:abc123", options)).rejects.toThrow();
+
+      await expect(client.run("/model:abc123", options)).rejects.toThrow();
+
+      // @ts-expect-error
+      await expect(client.run(":abc123", options)).rejects.toThrow();
+    });
+
+    test("Throws an error if webhook URL is invalid", async () => {
+      await expect(async () => {
+        await client.run(
+          "owner/model:5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca93cb72c9bf15ccaa",
+          {
+            input: {
+              text: "Alice",
+            },
+            webhook: "invalid-url",
+          }
+        );
+      }).rejects.toThrow("Invalid webhook URL");
+    });
+
+    test("Aborts the operation when abort signal is invoked", async () => {
+      const controller = new AbortController();
+      const { signal } = controller;
+
+      const scope = nock(BASE_URL)
+        .post("/predictions")
+        .reply(201, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "processing",
+        })
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(200, () => {
+          controller.abort();
+          return {
+            id: "ufawqhfynnddngldkgtslldrkq",
+            status: "processing",
+          };
+        })
+        .post("/predictions/ufawqhfynnddngldkgtslldrkq/cancel")
+        .reply(200, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "canceled",
+        });
+
+      await expect(
+        client.run(
+          "owner/model:5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca93cb72c9bf15ccaa",
+          {
+            input: { text: "Hello, world!" },
+            signal,
+          }
+        )
+      ).rejects.toMatchObject({ name: "AbortError" });
+
+      expect(signal.aborted).toBe(true);
+
+      scope.done();
+    });
+
+    test("Rejects without a request when the signal is already aborted", async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(
+        client.predictions.get("ufawqhfynnddngldkgtslldrkq", {
+          signal: controller.signal,
+        })
+      ).rejects.toMatchObject({ name: "AbortError" });
+    });
+
+    test("Stops retrying when the signal is aborted", async () => {
+      const controller = new AbortController();
+
+      nock(BASE_URL)
+        .persist()
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(503, "Service Unavailable");
+      setTimeout(() => controller.abort(), 10);
+
+      await expect(
+        client.predictions.get("ufawqhfynnddngldkgtslldrkq", {
+          signal: controller.signal,
+        })
+      ).rejects.toMatchObject({ name: "AbortError" });
+    });
+  });
+
+  describe("wait", () => {
+    test("Throws a PredictionTimeoutError after the timeout", async () => {
+      nock(BASE_URL)
+        .persist()
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(200, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "processing",
+          logs: "Step 1/50",
+        });
+
+      expect.hasAssertions();
+      try {
+        await client.wait(
+          {
+            id: "ufawqhfynnddngldkgtslldrkq",
+            status: "starting",
+          } as Prediction,
+          { interval: 10, timeout: 50 }
+        );
+      } catch (error) {
+        expect(error).toBeInstanceOf(PredictionTimeoutError);
+        expect((error as PredictionTimeoutError).message).toBe(
+          "Prediction ufawqhfynnddngldkgtslldrkq didn't finish before the timeout of 50ms"
+        );
+        expect((error as PredictionTimeoutError).prediction.logs).toBe(
+          "Step 1/50"
+        );
+      }
+    });
+
+    test("Cancels the prediction after the deadline if requested", async () => {
+      const scope = nock(BASE_URL)
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(200, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "processing",
         })
-        .get(
-          "/predictions?cursor=cD0yMDIyLTAxLTIxKzIzJTNBMTglM0EyNC41MzAzNTclMkIwMCUzQTAw"
+        .post("/predictions/ufawqhfynnddngldkgtslldrkq/cancel")
+        .reply(200, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "canceled",
+        });
+
+      await expect(
+        client.wait(
+          {
+            id: "ufawqhfynnddngldkgtslldrkq",
+            status: "starting",
+          } as Prediction,
+          { deadline: Date.now() - 1, cancelOnTimeout: true }
         )
+      ).rejects.toMatchObject({
+        name: "PredictionTimeoutError",
+        prediction: { status: "canceled" },
+      });
+      scope.done();
+    });
+
+    test("Doubles the polling interval with backoff", async () => {
+      nock(BASE_URL)
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .times(3)
         .reply(200, {
-          results: [{ id: "rrr4z55ocneqzikepnug6xezpe" }],
-          next: null,
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "processing",
+        })
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(200, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "succeeded",
+          output: "Goodbye!",
         });
 
-      const results: Prediction[] = [];
-      for await (const batch of client.paginate(client.predictions.list)) {
-        results.push(...batch);
+      const delays: number[] = [];
+      const setTimeoutSpy = jest
+        .spyOn(global, "setTimeout")
+        .mockImplementation(((callback: () => void, ms: number) => {
+          delays.push(ms);
+          callback();
+          return 0;
+        }) as any);
+
+      try {
+        const prediction = await client.wait(
+          {
+            id: "ufawqhfynnddngldkgtslldrkq",
+            status: "starting",
+          } as Prediction,
+          { interval: 100, backoff: true, maxInterval: 300 }
+        );
+        expect(prediction.output).toBe("Goodbye!");
+      } finally {
+        setTimeoutSpy.mockRestore();
       }
-      expect(results).toEqual([
-        { id: "ufawqhfynnddngldkgtslldrkq" },
-        { id: "rrr4z55ocneqzikepnug6xezpe" },
+
+      expect(delays).toEqual([100, 200, 300]);
+    });
+  });
+
+  describe("stream", () => {
+    const streamURL =
+      "https://streaming-api.svc.rno2.c.replicate.net/v1/predictions/ufawqhfynnddngldkgtslldrkq";
+
+    const eventStream = (...chunks: (string | Uint8Array)[]) => {
+      const encoder = new TextEncoder();
+      return new Response(
+        new ReadableStream({
+          start(controller) {
+            for (const chunk of chunks) {
+              controller.enqueue(
+                typeof chunk === "string" ? encoder.encode(chunk) : chunk
+              );
+            }
+            controller.close();
+          },
+        }),
+        { headers: { "Content-Type": "text/event-stream" } }
+      );
+    };
+
+    // Creates a client that responds to each request for the stream
+    // with the next of the given responses.
+    const createStreamingClient = (
+      connections: Response[],
+      requests: { url: string; init: any }[] = []
+    ) =>
+      new Replicate({
+        auth: "test-token",
+        fetch: async (url, init) => {
+          if (init?.method === "POST") {
+            return new Response(
+              JSON.stringify({
+                id: "ufawqhfynnddngldkgtslldrkq",
+                status: "starting",
+                urls: { stream: streamURL },
+              }),
+              { status: 201 }
+            );
+          }
+
+          if (
+            `${url}` === `${BASE_URL}/predictions/ufawqhfynnddngldkgtslldrkq`
+          ) {
+            return new Response(
+              JSON.stringify({
+                id: "ufawqhfynnddngldkgtslldrkq",
+                status: "succeeded",
+                output: ["Hello", ", world"],
+              })
+            );
+          }
+
+          requests.push({ url: `${url}`, init });
+          const response = connections.shift();
+          if (!response) {
+            throw new TypeError("fetch failed");
+          }
+          return response;
+        },
+      });
+
+    const collect = async (client: Replicate) => {
+      const events = [];
+      for await (const event of client.stream(
+        "replicate/hello-world:5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca93cb72c9bf15ccaa",
+        { input: { text: "Alice" } }
+      )) {
+        events.push({ event: event.event, data: event.data, id: event.id });
+      }
+      return events;
+    };
+
+    test("Sends stream requests through hooks", async () => {
+      const routes: string[] = [];
+      const client = createStreamingClient([
+        eventStream(
+          "event: output\ndata: Hello\n\n",
+          "event: done\ndata: {}\n\n"
+        ),
       ]);
+      client.use({
+        beforeRequest: (context) => {
+          routes.push(`${context.method} ${context.url}`);
+        },
+      });
 
-      // Add more tests for error handling, edge cases, etc.
+      await collect(client);
+
+      expect(routes).toEqual([
+        `POST ${BASE_URL}/predictions`,
+        `GET ${streamURL}`,
+      ]);
+    });
+
+    test("Reads streams in browsers without async iteration", async () => {
+      const response = eventStream(
+        "event: output\ndata: Hello\n\n",
+        "event: done\ndata: {}\n\n"
+      );
+      // Like Safari, whose ReadableStream isn't async iterable
+      Object.defineProperty(response.body, Symbol.asyncIterator, {
+        value: undefined,
+      });
+      const requests: { url: string; init: any }[] = [];
+      const client = createStreamingClient([response], requests);
+
+      expect(await collect(client)).toEqual([
+        { event: "output", data: "Hello", id: null },
+        { event: "done", data: "{}", id: null },
+      ]);
+      expect(requests).toHaveLength(1);
+    });
+
+    test("Parses events split across chunks", async () => {
+      const llama = new TextEncoder().encode("🦙");
+
+      const client = createStreamingClient([
+        eventStream(
+          ": connected\r\n\r\nevent: out",
+          "put\r\nid: 1\r\ndata: Hello, ",
+          llama.slice(0, 2),
+          llama.slice(2),
+          "\r",
+          "\n\r\nevent: output\nid: 2\ndata: key: value\ndata:second line\n\n",
+          "event: done\nid: 3\ndata: {}\n\n"
+        ),
+      ]);
+
+      expect(await collect(client)).toEqual([
+        { event: "output", data: "Hello, 🦙", id: "1" },
+        { event: "output", data: "key: value\nsecond line", id: "2" },
+        { event: "done", data: "{}", id: "3" },
+      ]);
+    });
+
+    test("Reconnects with the last event ID when the connection drops", async () => {
+      const requests: { url: string; init: any }[] = [];
+      const client = createStreamingClient(
+        [
+          eventStream("retry: 0\nevent: output\nid: 1\ndata: Hello\n\n"),
+          eventStream("event: output\nid: 2\ndata: , world\n\n", "event: do"),
+          eventStream("event: done\nid: 3\ndata: {}\n\n"),
+        ],
+        requests
+      );
+
+      expect(await collect(client)).toEqual([
+        { event: "output", data: "Hello", id: "1" },
+        { event: "output", data: ", world", id: "2" },
+        { event: "done", data: "{}", id: "3" },
+      ]);
+
+      expect(requests.length).toBe(3);
+      expect(requests[0].url).toBe(streamURL);
+      expect(requests[0].init.headers["Last-Event-ID"]).toBeUndefined();
+      expect(requests[1].init.headers["Last-Event-ID"]).toBe("1");
+      expect(requests[2].init.headers["Last-Event-ID"]).toBe("2");
+    });
+
+    test("Throws an error for error events", async () => {
+      const client = createStreamingClient([
+        eventStream(
+          "event: output\ndata: Hello\n\n",
+          'event: error\ndata: {"detail": "Out of memory"}\n\n'
+        ),
+      ]);
+
+      await expect(collect(client)).rejects.toThrow("Out of memory");
+    });
+
+    test("Concatenates output with text()", async () => {
+      const client = createStreamingClient([
+        eventStream(
+          "event: output\ndata: Hello\n\n",
+          "event: logs\ndata: Generated 2 tokens\n\n",
+          "event: output\ndata: , world\n\n",
+          "event: done\ndata: {}\n\n"
+        ),
+      ]);
+
+      const text = await client
+        .stream("replicate/hello-world", { input: { text: "Alice" } })
+        .text();
+      expect(text).toBe("Hello, world");
+    });
+
+    test("Calls listeners for each type of event", async () => {
+      const client = createStreamingClient([
+        eventStream(
+          "event: output\ndata: Hello\n\n",
+          "event: logs\ndata: Generated 2 tokens\n\n",
+          "event: output\ndata: , world\n\n",
+          'event: done\ndata: {"reason": "completed"}\n\n'
+        ),
+      ]);
+
+      const onOutput = jest.fn();
+      const onLogs = jest.fn();
+      const onDone = jest.fn();
+
+      const stream = client
+        .stream("replicate/hello-world", { input: { text: "Alice" }, onOutput })
+        .on("logs", onLogs)
+        .on("done", onDone);
+
+      let done;
+      for await (const event of stream) {
+        if (event.event === "done") {
+          done = event.json();
+        }
+      }
+
+      expect(done).toEqual({ reason: "completed" });
+      expect(onOutput).toHaveBeenNthCalledWith(1, "Hello");
+      expect(onOutput).toHaveBeenNthCalledWith(2, ", world");
+      expect(onLogs).toHaveBeenCalledWith("Generated 2 tokens");
+      expect(onDone).toHaveBeenCalledWith({
+        id: "ufawqhfynnddngldkgtslldrkq",
+        status: "succeeded",
+        output: ["Hello", ", world"],
+      });
+    });
+
+    test("Converts events to a text/event-stream response", async () => {
+      const client = createStreamingClient([
+        eventStream(
+          "event: output\nid: 1\ndata: Hello\n\n",
+          "event: output\nid: 2\ndata: line one\ndata: line two\n\n",
+          "event: done\nid: 3\ndata: {}\n\n"
+        ),
+      ]);
+
+      const onOutput = jest.fn();
+      const response = client
+        .stream("replicate/hello-world", { input: { text: "Alice" }, onOutput })
+        .toResponse();
+
+      expect(response.headers.get("Content-Type")).toBe("text/event-stream");
+      expect(await response.text()).toBe(
+        "event: output\nid: 1\ndata: Hello\n\n" +
+          "event: output\nid: 2\ndata: line one\ndata: line two\n\n" +
+          "event: done\nid: 3\ndata: {}\n\n"
+      );
+      expect(onOutput).toHaveBeenCalledTimes(2);
+    });
+
+    test("Forwards errors as error events in web streams", async () => {
+      const client = createStreamingClient([
+        eventStream('event: error\ndata: {"detail": "Out of memory"}\n\n'),
+      ]);
+
+      const stream = client
+        .stream("replicate/hello-world", { input: { text: "Alice" } })
+        .toReadableStream();
+
+      expect(await new Response(stream).text()).toBe(
+        'event: error\ndata: {"detail": "Out of memory"}\n\n'
+      );
+    });
+
+    test("Converts events to a Node.js readable stream", async () => {
+      const client = createStreamingClient([
+        eventStream(
+          "event: output\ndata: Hello\n\n",
+          "event: done\ndata: {}\n\n"
+        ),
+      ]);
+
+      const readable = client
+        .stream("replicate/hello-world", { input: { text: "Alice" } })
+        .toNodeReadable();
+
+      let text = "";
+      for await (const chunk of readable) {
+        text += chunk;
+      }
+      expect(text).toBe(
+        "event: output\ndata: Hello\n\nevent: done\ndata: {}\n\n"
+      );
+    });
+
+    test("Resolves with the completed prediction with wait()", async () => {
+      const client = createStreamingClient([
+        eventStream(
+          "event: output\ndata: Hello\n\n",
+          "event: done\ndata: {}\n\n"
+        ),
+      ]);
+
+      const prediction = await client
+        .stream("replicate/hello-world", { input: { text: "Alice" } })
+        .wait();
+      expect(prediction.status).toBe("succeeded");
     });
   });
 
-  describe("trainings.create", () => {
-    test("Calls the correct API route with the correct payload", async () => {
+  describe("run with useFileOutput", () => {
+    beforeEach(() => {
+      client = new Replicate({ auth: "test-token", useFileOutput: true });
+      client.fetch = fetch;
+    });
+
+    test("Wraps output URLs in FileOutput objects", async () => {
       nock(BASE_URL)
-        .post(
-          "/models/owner/model/versions/632231d0d49d34d5c4633bd838aee3d81d936e59a886fbf28524702003b4c532/trainings"
-        )
-        .reply(200, {
-          id: "zz4ibbonubfz7carwiefibzgga",
-          version:
-            "632231d0d49d34d5c4633bd838aee3d81d936e59a886fbf28524702003b4c532",
-          status: "starting",
-          input: {
-            text: "...",
+        .post("/predictions")
+        .reply(201, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "succeeded",
+          output: {
+            images: ["https://replicate.delivery/pbxt/out-0.png"],
+            caption: "a cat",
+            seed: 42,
           },
-          output: null,
-          error: null,
-          logs: null,
-          started_at: null,
-          created_at: "2023-03-28T21:47:58.566434Z",
-          completed_at: null,
         });
 
-      const training = await client.trainings.create(
-        "owner",
-        "model",
-        "632231d0d49d34d5c4633bd838aee3d81d936e59a886fbf28524702003b4c532",
-        {
-          destination: "new_owner/new_model",
-          input: {
-            text: "...",
-          },
-        }
+      const output: any = await client.run(
+        "owner/model:5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca93cb72c9bf15ccaa",
+        { input: { prompt: "a cat" } }
       );
-      expect(training.id).toBe("zz4ibbonubfz7carwiefibzgga");
+
+      expect(output.images[0]).toBeInstanceOf(FileOutput);
+      expect(output.images[0].url).toBe(
+        "https://replicate.delivery/pbxt/out-0.png"
+      );
+      expect(`${output.images[0]}`).toBe(
+        "https://replicate.delivery/pbxt/out-0.png"
+      );
+      expect(output.caption).toBe("a cat");
+      expect(output.seed).toBe(42);
+      expect(JSON.parse(JSON.stringify(output))).toEqual({
+        images: ["https://replicate.delivery/pbxt/out-0.png"],
+        caption: "a cat",
+        seed: 42,
+      });
     });
 
-    test("Throws an error if webhook is not a valid URL", async () => {
+    test("Downloads files without sending the API token", async () => {
+      nock("https://replicate.delivery", {
+        badheaders: ["authorization"],
+      })
+        .get("/pbxt/out-0.png")
+        .times(3)
+        .reply(200, "PNG", { "Content-Type": "image/png" });
+
+      const file = new FileOutput(
+        client,
+        "https://replicate.delivery/pbxt/out-0.png"
+      );
+
+      const blob = await file.blob();
+      expect(blob.type).toBe("image/png");
+      expect(await blob.text()).toBe("PNG");
+
+      const chunks: Uint8Array[] = [];
+      const reader = file.stream().getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+      }
+      expect(Buffer.concat(chunks).toString()).toBe("PNG");
+
+      const directory = await mkdtemp(path.join(tmpdir(), "replicate-"));
+      const destination = await file.saveTo(path.join(directory, "out.png"));
+      expect(await readFile(destination, "utf8")).toBe("PNG");
+    });
+
+    test("Reads files in browsers without async iteration", async () => {
+      const browserClient = new Replicate({
+        auth: "test-token",
+        fetch: async () => {
+          const response = new Response("PNG");
+          // Like Safari, whose ReadableStream isn't async iterable
+          Object.defineProperty(response.body, Symbol.asyncIterator, {
+            value: undefined,
+          });
+          return response;
+        },
+      });
+      const file = new FileOutput(
+        browserClient,
+        "https://replicate.delivery/pbxt/out-0.png"
+      );
+
+      const chunks: Uint8Array[] = [];
+      for await (const chunk of file) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks).toString()).toBe("PNG");
+
+      const text = await new Response(file.stream()).text();
+      expect(text).toBe("PNG");
+    });
+
+    test("Decodes data URIs", async () => {
+      const file = new FileOutput(client, "data:text/plain;base64,aGVsbG8=");
+
+      const blob = await file.blob();
+      expect(blob.type).toBe("text/plain");
+      expect(await blob.text()).toBe("hello");
+    });
+  });
+
+  describe("validateWebhook", () => {
+    const secret = "whsec_MfKQ9r8GKYqrTwjUPD8ILPZIo2LaLaSw";
+    const body = JSON.stringify({
+      id: "ufawqhfynnddngldkgtslldrkq",
+      status: "succeeded",
+      output: "hello Alice",
+    });
+
+    const sign = (id: string, timestamp: string, payload: string) => {
+      const key = Buffer.from(secret.slice("whsec_".length), "base64");
+      const digest = createHmac("sha256", key)
+        .update(`${id}.${timestamp}.${payload}`)
+        .digest("base64");
+      return `v1,${digest}`;
+    };
+
+    const headersFor = (timestamp = `${Math.floor(Date.now() / 1000)}`) => ({
+      "webhook-id": "msg_p5jXN8AQM9LWM0D4loKWxJek",
+      "webhook-timestamp": timestamp,
+      "webhook-signature": sign(
+        "msg_p5jXN8AQM9LWM0D4loKWxJek",
+        timestamp,
+        body
+      ),
+    });
+
+    test("Returns the prediction for a valid Request", async () => {
+      const request = new Request("http://test.host/webhook", {
+        method: "POST",
+        headers: headersFor(),
+        body,
+      });
+
+      const prediction = await validateWebhook(request, secret);
+      expect(prediction.id).toBe("ufawqhfynnddngldkgtslldrkq");
+      expect(prediction.output).toBe("hello Alice");
+    });
+
+    test("Accepts a raw body with plain object headers", async () => {
+      const prediction = await validateWebhook(
+        { body: Buffer.from(body), headers: headersFor() },
+        secret
+      );
+      expect(prediction.status).toBe("succeeded");
+    });
+
+    test("Accepts any of several space-delimited signatures", async () => {
+      const headers = headersFor();
+      headers[
+        "webhook-signature"
+      ] = `v1,bm90LWEtc2lnbmF0dXJl ${headers["webhook-signature"]}`;
+
       await expect(
-        client.trainings.create(
-          "owner",
-          "model",
-          "632231d0d49d34d5c4633bd838aee3d81d936e59a886fbf28524702003b4c532",
-          {
-            destination: "new_owner/new_model",
-            input: {
-              text: "...",
-            },
-            webhook: "invalid-url",
-          }
+        validateWebhook({ body, headers }, secret)
+      ).resolves.toHaveProperty("id", "ufawqhfynnddngldkgtslldrkq");
+    });
+
+    test("Throws an error if the signature doesn't match", async () => {
+      await expect(
+        validateWebhook(
+          { body: body.replace("Alice", "Mallory"), headers: headersFor() },
+          secret
         )
-      ).rejects.toThrow("Invalid webhook URL");
+      ).rejects.toThrow("Invalid webhook signature");
+    });
+
+    test("Throws an error if the timestamp is outside the tolerance", async () => {
+      const stale = `${Math.floor(Date.now() / 1000) - 10 * 60}`;
+
+      await expect(
+        validateWebhook({ body, headers: headersFor(stale) }, secret)
+      ).rejects.toThrow("Webhook timestamp is outside the tolerance window");
+
+      await expect(
+        validateWebhook({ body, headers: headersFor(stale) }, secret, {
+          tolerance: 15 * 60,
+        })
+      ).resolves.toHaveProperty("id", "ufawqhfynnddngldkgtslldrkq");
+    });
+
+    test("Throws an error if required headers are missing", async () => {
+      await expect(
+        validateWebhook({ body, headers: {} }, secret)
+      ).rejects.toThrow("Missing required webhook headers");
+    });
+  });
+
+  const webhookSecret = "whsec_MfKQ9r8GKYqrTwjUPD8ILPZIo2LaLaSw";
+  const webhookFor = (
+    prediction: object,
+    id = "msg_p5jXN8AQM9LWM0D4loKWxJek"
+  ) => {
+    const timestamp = `${Math.floor(Date.now() / 1000)}`;
+    const body = JSON.stringify(prediction);
+    const digest = createHmac(
+      "sha256",
+      Buffer.from(webhookSecret.slice("whsec_".length), "base64")
+    )
+      .update(`${id}.${timestamp}.${body}`)
+      .digest("base64");
+    const headers = {
+      "webhook-id": id,
+      "webhook-timestamp": timestamp,
+      "webhook-signature": `v1,${digest}`,
+    };
+    return { body, headers };
+  };
+
+  describe("WebhookReceiver", () => {
+    const secret = webhookSecret;
+    const url = "https://example.com/webhooks/replicate";
+
+    const created = {
+      id: "ufawqhfynnddngldkgtslldrkq",
+      status: "starting",
+      urls: {
+        get: "https://api.replicate.com/v1/predictions/ufawqhfynnddngldkgtslldrkq",
+      },
+    };
+    const completed = { ...created, status: "succeeded", output: "hello" };
+
+    test("run waits for the completed webhook instead of polling", async () => {
+      const receiver = new WebhookReceiver({ url, secret });
+      nock(BASE_URL)
+        .post("/models/acme/hello/predictions", {
+          input: { text: "hi" },
+          webhook: url,
+          webhook_events_filter: ["completed"],
+        })
+        .reply(201, created);
+
+      const output = client.run("acme/hello", {
+        input: { text: "hi" },
+        wait: { receiver },
+      });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      await expect(
+        receiver.receive(webhookFor({ ...created, status: "processing" }))
+      ).resolves.toHaveProperty("status", "processing");
+      await receiver.receive(webhookFor(completed));
+      await expect(output).resolves.toBe("hello");
+    });
+
+    test("Rejects webhooks with an invalid signature", async () => {
+      const receiver = new WebhookReceiver({ url, secret });
+      const webhook = webhookFor(completed);
+
+      await expect(
+        receiver.receive({
+          ...webhook,
+          body: webhook.body.replace("hello", ""),
+        })
+      ).rejects.toThrow("Invalid webhook signature");
     });
 
-    // Add more tests for error handling, edge cases, etc.
-  });
-
-  describe("trainings.get", () => {
-    test("Calls the correct API route with the correct payload", async () => {
+    test("Falls back to polling when the webhook doesn't arrive", async () => {
+      const receiver = new WebhookReceiver({ url, secret });
       nock(BASE_URL)
-        .get("/trainings/zz4ibbonubfz7carwiefibzgga")
-        .reply(200, {
-          id: "zz4ibbonubfz7carwiefibzgga",
-          version: "{version}",
-          status: "succeeded",
-          input: {
-            data: "...",
-            param1: "...",
-          },
-          output: {
-            version: "...",
-          },
-          error: null,
-          logs: null,
-          webhook_completed: null,
-          started_at: null,
-          created_at: "2023-03-28T21:47:58.566434Z",
-          completed_at: null,
-        });
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(200, completed);
 
-      const training = await client.trainings.get("zz4ibbonubfz7carwiefibzgga");
-      expect(training.status).toBe("succeeded");
+      const prediction = await client.wait(created as Prediction, {
+        receiver,
+        fallbackAfter: 10,
+      });
+      expect(prediction.output).toBe("hello");
     });
 
-    // Add more tests for error handling, edge cases, etc.
-  });
+    test("Listens for webhooks with a built-in server", async () => {
+      const receiver = await WebhookReceiver.listen({
+        secret,
+        host: "127.0.0.1",
+      });
+      try {
+        expect(receiver.url).toMatch(/^http:\/\/127\.0\.0\.1:\d+\/$/);
+        const port = new URL(receiver.url).port;
+        const waiting = receiver.waitFor(created.id);
+
+        // A client that disconnects mid-body doesn't stop the server
+        await new Promise<void>((resolve) => {
+          const socket = connect(Number(port), "127.0.0.1", () => {
+            socket.write(
+              "POST / HTTP/1.1\r\nHost: localhost\r\nContent-Length: 100\r\n\r\n{"
+            );
+            setTimeout(() => {
+              socket.destroy();
+              resolve();
+            }, 10);
+          });
+        });
 
-  describe("trainings.cancel", () => {
-    test("Calls the correct API route with the correct payload", async () => {
-      nock(BASE_URL)
-        .post("/trainings/zz4ibbonubfz7carwiefibzgga/cancel")
-        .reply(200, {
-          id: "zz4ibbonubfz7carwiefibzgga",
-          version: "{version}",
-          status: "canceled",
-          input: {
-            data: "...",
-            param1: "...",
-          },
-          output: {
-            version: "...",
-          },
-          error: null,
-          logs: null,
-          webhook_completed: null,
-          started_at: null,
-          created_at: "2023-03-28T21:47:58.566434Z",
-          completed_at: null,
+        const webhook = webhookFor(completed);
+        const invalid = await globalThis.fetch(`http://127.0.0.1:${port}/`, {
+          method: "POST",
+          headers: webhook.headers,
+          body: webhook.body.replace("hello", ""),
         });
+        expect(invalid.status).toBe(400);
 
-      const training = await client.trainings.cancel(
-        "zz4ibbonubfz7carwiefibzgga"
+        const response = await globalThis.fetch(`http://127.0.0.1:${port}/`, {
+          method: "POST",
+          headers: webhook.headers,
+          body: webhook.body,
+        });
+        expect(response.status).toBe(200);
+        await expect(waiting).resolves.toEqual(completed);
+      } finally {
+        await receiver.close();
+      }
+    });
+  });
+
+  describe("createWebhookHandler", () => {
+    const prediction = {
+      id: "ufawqhfynnddngldkgtslldrkq",
+      status: "starting",
+      logs: "",
+      output: null,
+    };
+
+    test("Calls a function for each type of event", async () => {
+      const events: string[] = [];
+      const record = async (p: Prediction, event: { type: string }) => {
+        events.push(`${event.type}:${p.status}`);
+      };
+      const handler = createWebhookHandler({
+        secret: webhookSecret,
+        onStart: record,
+        onLogs: record,
+        onOutput: record,
+        onFailed: record,
+        onCompleted: record,
+      });
+
+      const deliveries = [
+        prediction,
+        { ...prediction, status: "processing", logs: "Loading\n" },
+        {
+          ...prediction,
+          status: "processing",
+          logs: "Loading\n",
+          output: ["hello"],
+        },
+        { ...prediction, status: "failed", error: "Out of memory" },
+      ];
+      for (const delivery of deliveries) {
+        const id = `msg_${deliveries.indexOf(delivery)}`;
+        const { body, headers } = webhookFor(delivery, id);
+        const response = await handler.fetch(
+          new Request("http://test.host/webhook", {
+            method: "POST",
+            headers,
+            body,
+          })
+        );
+        expect(response.status).toBe(200);
+      }
+
+      expect(events).toEqual([
+        "start:starting",
+        "logs:processing",
+        "output:processing",
+        "failed:failed",
+        "completed:failed",
+      ]);
+    });
+
+    test("Skips webhooks that were already handled", async () => {
+      const onCompleted = jest.fn(async () => {});
+      const handler = createWebhookHandler({
+        secret: webhookSecret,
+        onCompleted,
+      });
+
+      const webhook = webhookFor({ ...prediction, status: "succeeded" });
+      await expect(handler.handle(webhook)).resolves.toHaveProperty(
+        "status",
+        "succeeded"
       );
-      expect(training.status).toBe("canceled");
+      await expect(handler.handle(webhook)).resolves.toHaveProperty(
+        "status",
+        "succeeded"
+      );
+      expect(onCompleted).toHaveBeenCalledTimes(1);
     });
 
-    // Add more tests for error handling, edge cases, etc.
-  });
+    test("Waits for a webhook that's being handled", async () => {
+      let fail: (error: Error) => void = () => {};
+      const onCompleted = jest.fn(
+        () =>
+          new Promise<void>((resolve, reject) => {
+            fail = reject;
+          })
+      );
+      const handler = createWebhookHandler({
+        secret: webhookSecret,
+        onCompleted,
+        onError: () => {},
+      });
 
-  describe("trainings.list", () => {
-    test("Calls the correct API route with the correct payload", async () => {
-      nock(BASE_URL)
-        .get("/trainings")
-        .reply(200, {
-          next: "https://api.replicate.com/v1/trainings?cursor=cD0yMDIyLTAxLTIxKzIzJTNBMTglM0EyNC41MzAzNTclMkIwMCUzQTAw",
-          previous: null,
-          results: [
-            {
-              id: "jpzd7hm5gfcapbfyt4mqytarku",
-              model: "stability-ai/sdxl",
-              version:
-                "b21cbe271e65c1718f2999b038c18b45e21e4fba961181fbfae9342fc53b9e05",
-              urls: {
-                get: "https://api.replicate.com/v1/trainings/jpzd7hm5gfcapbfyt4mqytarku",
-                cancel:
-                  "https://api.replicate.com/v1/trainings/jpzd7hm5gfcapbfyt4mqytarku/cancel",
-              },
-              created_at: "2022-04-26T20:00:40.658234Z",
-              started_at: "2022-04-26T20:00:84.583803Z",
-              completed_at: "2022-04-26T20:02:27.648305Z",
-              source: "web",
-              status: "succeeded",
-            },
-          ],
+      const webhook = webhookFor({ ...prediction, status: "succeeded" });
+      const request = () =>
+        new Request("http://test.host/webhook", {
+          method: "POST",
+          headers: webhook.headers,
+          body: webhook.body,
         });
+      const first = handler.fetch(request());
+      const retry = handler.fetch(request());
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      fail(new Error("Database unavailable"));
+
+      expect((await first).status).toBe(500);
+      expect((await retry).status).toBe(500);
+      expect(onCompleted).toHaveBeenCalledTimes(1);
+    });
 
-      const trainings = await client.trainings.list();
-      expect(trainings.results.length).toBe(1);
-      expect(trainings.results[0].id).toBe("jpzd7hm5gfcapbfyt4mqytarku");
+    test("Responds with 500 when onError throws", async () => {
+      const handler = createWebhookHandler({
+        secret: webhookSecret,
+        onCompleted: async () => {
+          throw new Error("Database unavailable");
+        },
+        onError: () => {
+          throw new Error("Logger unavailable");
+        },
+      });
+
+      const webhook = webhookFor({ ...prediction, status: "succeeded" });
+      const response = await handler.fetch(
+        new Request("http://test.host/webhook", {
+          method: "POST",
+          headers: webhook.headers,
+          body: webhook.body,
+        })
+      );
+      expect(response.status).toBe(500);
     });
 
-    test("Paginates results", async () => {
-      nock(BASE_URL)
-        .get("/trainings")
-        .reply(200, {
-          results: [{ id: "ufawqhfynnddngldkgtslldrkq" }],
-          next: "https://api.replicate.com/v1/trainings?cursor=cD0yMDIyLTAxLTIxKzIzJTNBMTglM0EyNC41MzAzNTclMkIwMCUzQTAw",
+    test("Responds with errors for invalid webhooks and failed handlers", async () => {
+      let attempts = 0;
+      const errors: string[] = [];
+      const handler = createWebhookHandler({
+        secret: webhookSecret,
+        onCompleted: async () => {
+          attempts += 1;
+          if (attempts === 1) {
+            throw new Error("Database unavailable");
+          }
+        },
+        onError: (error, p) => {
+          errors.push(`${p.id}: ${(error as Error).message}`);
+        },
+      });
+
+      const webhook = webhookFor({ ...prediction, status: "succeeded" });
+      const invalid = await handler.fetch(
+        new Request("http://test.host/webhook", {
+          method: "POST",
+          headers: webhook.headers,
+          body: webhook.body.replace("succeeded", "canceled"),
         })
-        .get(
-          "/trainings?cursor=cD0yMDIyLTAxLTIxKzIzJTNBMTglM0EyNC41MzAzNTclMkIwMCUzQTAw"
-        )
-        .reply(200, {
-          results: [{ id: "rrr4z55ocneqzikepnug6xezpe" }],
-          next: null,
+      );
+      expect(invalid.status).toBe(400);
+      expect(await invalid.text()).toBe("Invalid webhook signature");
+
+      // Replicate retries the webhook after the handler fails
+      const send = () => {
+        const res = {
+          statusCode: 0,
+          body: "",
+          setHeader: () => {},
+          end(message: string) {
+            this.body = message;
+          },
+        };
+        const req = Object.assign(Readable.from([Buffer.from(webhook.body)]), {
+          headers: webhook.headers,
         });
-
-      const results: Prediction[] = [];
-      for await (const batch of client.paginate(client.trainings.list)) {
-        results.push(...batch);
-      }
-      expect(results).toEqual([
-        { id: "ufawqhfynnddngldkgtslldrkq" },
-        { id: "rrr4z55ocneqzikepnug6xezpe" },
+        return handler.node(req as any, res as any).then(() => res);
+      };
+      await expect(send()).resolves.toHaveProperty("statusCode", 500);
+      await expect(send()).resolves.toHaveProperty("statusCode", 200);
+      expect(attempts).toBe(2);
+      expect(errors).toEqual([
+        "ufawqhfynnddngldkgtslldrkq: Database unavailable",
       ]);
 
-      // Add more tests for error handling, edge cases, etc.
+      const parsed = await new Promise<{ statusCode: number }>((resolve) => {
+        const res = {
+          statusCode: 0,
+          setHeader: () => {},
+          end: () => resolve(res),
+        };
+        handler.node(
+          { headers: webhook.headers, body: JSON.parse(webhook.body) } as any,
+          res as any
+        );
+      });
+      expect(parsed.statusCode).toBe(400);
+
+      const aborted = {
+        statusCode: 0,
+        setHeader: () => {},
+        end: () => {},
+      };
+      const req = Object.assign(
+        new Readable({
+          read() {
+            this.destroy(new Error("aborted"));
+          },
+        }),
+        { headers: webhook.headers }
+      );
+      await handler.node(req as any, aborted as any);
+      expect(aborted.statusCode).toBe(400);
     });
   });
 
-  describe("deployments.predictions.create", () => {
-    test("Calls the correct API route with the correct payload", async () => {
-      nock(BASE_URL)
-        .post("/deployments/replicate/greeter/predictions")
-        .reply(200, {
-          id: "mfrgcyzzme2wkmbwgzrgmntcg",
-          model: "replicate/hello-world",
-          version:
-            "5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca93cb72c9bf15ccaa",
-          urls: {
-            get: "https://api.replicate.com/v1/predictions/ufawqhfynnddngldkgtslldrkq",
-            cancel:
-              "https://api.replicate.com/v1/predictions/ufawqhfynnddngldkgtslldrkq/cancel",
-          },
-          created_at: "2022-09-10T09:44:22.165836Z",
-          started_at: null,
-          completed_at: null,
-          status: "starting",
-          input: {
-            text: "Alice",
+  describe("codegen", () => {
+    const openapi_schema = {
+      components: {
+        schemas: {
+          Input: {
+            type: "object",
+            required: ["prompt"],
+            properties: {
+              prompt: { type: "string", description: "Text prompt" },
+              scheduler: {
+                allOf: [{ $ref: "#/components/schemas/scheduler" }],
+                default: "DDIM",
+              },
+              image: { type: "string", format: "uri" },
+              "num-steps": { type: "integer", default: 50 },
+            },
           },
-          output: null,
-          error: null,
-          logs: null,
-          metrics: {},
-        });
-      const prediction = await client.deployments.predictions.create(
-        "replicate",
-        "greeter",
+          scheduler: { type: "string", enum: ["DDIM", "K_EULER"] },
+          Output: { type: "array", items: { type: "string", format: "uri" } },
+        },
+      },
+    };
+
+    test("Generates input and output types", () => {
+      const types = generateTypes([
         {
-          input: {
-            text: "Alice",
-          },
-          webhook: "http://test.host/webhook",
-          webhook_events_filter: ["output", "completed"],
-        }
+          refs: ["acme/hello:abc123"],
+          owner: "acme",
+          name: "hello",
+          version: "abc123",
+          schema: openapi_schema,
+        },
+      ]);
+
+      expect(types).toContain(`export interface AcmeHelloInput {
+  /** Text prompt */
+  prompt: string;
+  /** @default "DDIM" */
+  scheduler?: "DDIM" | "K_EULER";
+  image?: string | Blob | Buffer;
+  /** @default 50 */
+  "num-steps"?: number;
+}`);
+      expect(types).toContain("export type AcmeHelloOutput = string[];");
+      expect(types).toContain(
+        '"acme/hello:abc123": { input: AcmeHelloInput; output: AcmeHelloOutput };'
       );
-      expect(prediction.id).toBe("mfrgcyzzme2wkmbwgzrgmntcg");
     });
-    // Add more tests for error handling, edge cases, etc.
-  });
 
-  describe("predictions.create with model", () => {
-    test("Calls the correct API route with the correct payload", async () => {
+    test("Registers a model under its latest version", async () => {
       nock(BASE_URL)
-        .post("/models/meta/llama-2-70b-chat/predictions")
+        .get("/models/acme/hello")
         .reply(200, {
-          id: "heat2o3bzn3ahtr6bjfftvbaci",
-          model: "replicate/lifeboat-70b",
-          version: "d-c6559c5791b50af57b69f4a73f8e021c",
-          input: {
-            prompt: "Please write a haiku about llamas.",
-          },
-          logs: "",
-          error: null,
-          status: "starting",
-          created_at: "2023-11-27T13:35:45.99397566Z",
-          urls: {
-            cancel:
-              "https://api.replicate.com/v1/predictions/heat2o3bzn3ahtr6bjfftvbaci/cancel",
-            get: "https://api.replicate.com/v1/predictions/heat2o3bzn3ahtr6bjfftvbaci",
-          },
+          owner: "acme",
+          name: "hello",
+          latest_version: { id: "abc123", openapi_schema },
         });
-      const prediction = await client.predictions.create({
-        model: "meta/llama-2-70b-chat",
-        input: {
-          prompt: "Please write a haiku about llamas.",
-        },
-        webhook: "http://test.host/webhook",
-        webhook_events_filter: ["output", "completed"],
-      });
-      expect(prediction.id).toBe("heat2o3bzn3ahtr6bjfftvbaci");
+
+      const model = await fetchModelSchema(client, "acme/hello");
+      expect(model.refs).toEqual(["acme/hello", "acme/hello:abc123"]);
+      expect(generateTypes([model])).toContain(
+        '"acme/hello": { input: AcmeHelloInput; output: AcmeHelloOutput };'
+      );
     });
-    // Add more tests for error handling, edge cases, etc.
-  });
 
-  describe("hardware.list", () => {
-    test("Calls the correct API route", async () => {
-      nock(BASE_URL)
-        .get("/hardware")
-        .reply(200, [
-          { name: "CPU", sku: "cpu" },
-          { name: "Nvidia T4 GPU", sku: "gpu-t4" },
-          { name: "Nvidia A40 GPU", sku: "gpu-a40-small" },
-          { name: "Nvidia A40 (Large) GPU", sku: "gpu-a40-large" },
-        ]);
+    test("Writes types from a local schema with the command", async () => {
+      const directory = await mkdtemp(path.join(tmpdir(), "replicate-"));
+      const schemaFile = path.join(directory, "version.json");
+      const outFile = path.join(directory, "models.d.ts");
+      await writeFile(
+        schemaFile,
+        JSON.stringify({ id: "abc123", openapi_schema })
+      );
 
-      const hardware = await client.hardware.list();
-      expect(hardware.length).toBe(4);
-      expect(hardware[0].name).toBe("CPU");
-      expect(hardware[0].sku).toBe("cpu");
+      await new Promise((resolve, reject) => {
+        execFile(
+          process.execPath,
+          [
+            path.join(__dirname, "bin/replicate-codegen.js"),
+            `acme/hello:abc123=${schemaFile}`,
+            "--out",
+            outFile,
+          ],
+          (error, stdout) => (error ? reject(error) : resolve(stdout))
+        );
+      });
+
+      const types = await readFile(outFile, "utf8");
+      expect(types).toContain('declare module "replicate" {');
+      expect(types).toContain("export interface AcmeHelloInput {");
     });
-    // Add more tests for error handling, edge cases, etc.
-  });
 
-  describe("models.create", () => {
-    test("Calls the correct API route with the correct payload", async () => {
-      nock(BASE_URL).post("/models").reply(200, {
-        owner: "test-owner",
-        name: "test-model",
-        visibility: "public",
-        hardware: "cpu",
-        description: "A test model",
+    test("Prints types and reports errors with the command", async () => {
+      const runCodegen = async (argv: string[]) => {
+        let stdout = "";
+        let stderr = "";
+        const code = await codegen(argv, {
+          client,
+          stdout: {
+            write: (text: string) => {
+              stdout += text;
+            },
+          },
+          stderr: {
+            write: (text: string) => {
+              stderr += text;
+            },
+          },
+        });
+        return { code, stdout, stderr };
+      };
+
+      nock(BASE_URL)
+        .get("/models/acme/hello/versions/abc123")
+        .reply(200, { id: "abc123", openapi_schema });
+      const printed = await runCodegen(["acme/hello:abc123"]);
+      expect(printed.code).toBe(0);
+      expect(printed.stdout).toContain("export interface AcmeHelloInput {");
+
+      const invalid = await runCodegen(["acme"]);
+      expect(invalid).toEqual({
+        code: 1,
+        stdout: "",
+        stderr:
+          "Invalid reference to model version: acme. Expected format: owner/name or owner/name:version\n",
       });
 
-      const model = await client.models.create("test-owner", "test-model", {
-        visibility: "public",
-        hardware: "cpu",
-        description: "A test model",
+      const missing = await runCodegen([]);
+      expect(missing.code).toBe(1);
+      expect(missing.stderr).toContain("Usage: replicate-codegen");
+    });
+
+    test("Types run with registered models", async () => {
+      nock(BASE_URL)
+        .post("/models/acme/typed/predictions")
+        .reply(201, {
+          id: "ufawqhfynnddngldkgtslldrkq",
+          status: "succeeded",
+          output: ["https://example.com/out.png"],
+        });
+
+      const output: string[] = await client.run("acme/typed", {
+        input: { prompt: "a llama" },
       });
+      expect(output).toEqual(["https://example.com/out.png"]);
 
-      expect(model.owner).toBe("test-owner");
-      expect(model.name).toBe("test-model");
-      expect(model.visibility).toBe("public");
-      // expect(model.hardware).toBe('cpu');
-      expect(model.description).toBe("A test model");
+      // @ts-expect-error
+      const check = () => client.run("acme/typed", { input: { prompt: 1 } });
+      expect(check).toBeDefined();
     });
   });
 
-  describe("run", () => {
-    test("Calls the correct API routes for a version", async () => {
-      const firstPollingRequest = true;
+  describe("cli", () => {
+    const runCli = async (argv: string[]) => {
+      let stdout = "";
+      let stderr = "";
+      const code = await cli(argv, {
+        client,
+        stdout: {
+          write: (text: string) => {
+            stdout += text;
+          },
+        },
+        stderr: {
+          write: (text: string) => {
+            stderr += text;
+          },
+        },
+      });
+      return { code, stdout, stderr };
+    };
+
+    test("Runs a model with inputs from arguments", async () => {
+      const directory = await mkdtemp(path.join(tmpdir(), "replicate-"));
+      const file = path.join(directory, "input.txt");
+      await writeFile(file, "hello");
 
       nock(BASE_URL)
-        .post("/predictions")
-        .reply(201, {
-          id: "ufawqhfynnddngldkgtslldrkq",
-          status: "starting",
-        })
-        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
-        .twice()
-        .reply(200, {
-          id: "ufawqhfynnddngldkgtslldrkq",
-          status: "processing",
+        .post("/models/acme/hello/predictions", {
+          input: {
+            text: "Alice",
+            count: 3,
+            document: "data:application/octet-stream;base64,aGVsbG8=",
+          },
         })
-        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
-        .reply(200, {
+        .reply(201, {
           id: "ufawqhfynnddngldkgtslldrkq",
           status: "succeeded",
-          output: "Goodbye!",
+          output: ["Hello", "Alice"],
         });
 
-      const progress = jest.fn();
+      const result = await runCli([
+        "run",
+        "acme/hello",
+        "text=Alice",
+        "count=3",
+        `document=@${file}`,
+      ]);
+      expect(result).toEqual({ code: 0, stdout: "Hello\nAlice\n", stderr: "" });
+    });
 
-      const output = await client.run(
-        "owner/model:5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca93cb72c9bf15ccaa",
-        {
-          input: { text: "Hello, world!" },
-          wait: { interval: 1 },
-        },
-        progress
-      );
+    test("Reports input files that don't exist", async () => {
+      const directory = await mkdtemp(path.join(tmpdir(), "replicate-"));
+      const file = path.join(directory, "missing.txt");
 
-      expect(output).toBe("Goodbye!");
+      const result = await runCli(["run", "acme/hello", `document=@${file}`]);
+      expect(result.code).toBe(1);
+      expect(result.stderr).toContain(`No such file: ${file}`);
+    });
 
-      expect(progress).toHaveBeenNthCalledWith(1, {
+    test("Saves file outputs to a directory", async () => {
+      const directory = await mkdtemp(path.join(tmpdir(), "replicate-"));
+      nock(BASE_URL).post("/models/acme/hello/predictions").reply(201, {
         id: "ufawqhfynnddngldkgtslldrkq",
-        status: "starting",
+        status: "succeeded",
+        output: "https://replicate.delivery/abc/out.txt",
       });
+      nock("https://replicate.delivery").get("/abc/out.txt").reply(200, "hi");
 
-      expect(progress).toHaveBeenNthCalledWith(2, {
-        id: "ufawqhfynnddngldkgtslldrkq",
-        status: "processing",
-      });
+      const result = await runCli(["run", "acme/hello", "-o", directory]);
+      const saved = path.join(directory, "out.txt");
+      expect(result.stdout).toEqual(`${saved}\n`);
+      expect(await readFile(saved, "utf8")).toEqual("hi");
+    });
 
-      expect(progress).toHaveBeenNthCalledWith(3, {
+    test("Prints resources as fields, rows or JSON", async () => {
+      const prediction = {
         id: "ufawqhfynnddngldkgtslldrkq",
-        status: "processing",
-      });
+        model: "acme/hello",
+        status: "canceled",
+      };
+      nock(BASE_URL)
+        .post("/predictions/ufawqhfynnddngldkgtslldrkq/cancel")
+        .reply(200, prediction)
+        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
+        .reply(200, prediction)
+        .get("/hardware")
+        .reply(200, [
+          { sku: "cpu", name: "CPU" },
+          { sku: "gpu-a40-large", name: "Nvidia A40 (Large) GPU" },
+        ]);
 
-      expect(progress).toHaveBeenNthCalledWith(4, {
-        id: "ufawqhfynnddngldkgtslldrkq",
-        status: "succeeded",
-        output: "Goodbye!",
-      });
+      const canceled = await runCli([
+        "predictions",
+        "cancel",
+        "ufawqhfynnddngldkgtslldrkq",
+      ]);
+      expect(canceled.stdout).toEqual(
+        "id:     ufawqhfynnddngldkgtslldrkq\nmodel:  acme/hello\nstatus: canceled\n"
+      );
 
-      expect(progress).toHaveBeenCalledTimes(4);
+      const json = await runCli([
+        "predictions",
+        "get",
+        "ufawqhfynnddngldkgtslldrkq",
+        "--json",
+      ]);
+      expect(JSON.parse(json.stdout)).toEqual(prediction);
+
+      const hardware = await runCli(["hardware", "list"]);
+      expect(hardware.stdout).toEqual(
+        "cpu\tCPU\ngpu-a40-large\tNvidia A40 (Large) GPU\n"
+      );
     });
 
-    test("Calls the correct API routes for a model", async () => {
-      const firstPollingRequest = true;
+    test("Reports usage and API errors", async () => {
+      const unknown = await runCli(["models", "delete", "acme/hello"]);
+      expect(unknown.code).toBe(1);
+      expect(unknown.stderr).toContain("Unknown command: models delete");
 
-      nock(BASE_URL)
-        .post("/models/replicate/hello-world/predictions")
-        .reply(201, {
-          id: "ufawqhfynnddngldkgtslldrkq",
-          status: "starting",
-        })
-        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
-        .twice()
-        .reply(200, {
-          id: "ufawqhfynnddngldkgtslldrkq",
-          status: "processing",
-        })
-        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
-        .reply(200, {
-          id: "ufawqhfynnddngldkgtslldrkq",
-          status: "succeeded",
-          output: "Goodbye!",
-        });
+      const missing = await runCli(["predictions", "get"]);
+      expect(missing.code).toBe(1);
+      expect(missing.stderr).toContain("Missing arguments for predictions get");
 
-      const progress = jest.fn();
+      const malformed = await runCli(["models", "get", "acme"]);
+      expect(malformed.code).toBe(1);
+      expect(malformed.stderr).toContain(
+        "Invalid reference to model version: acme"
+      );
 
-      const output = await client.run(
-        "replicate/hello-world",
-        {
-          input: { text: "Hello, world!" },
-          wait: { interval: 1 },
-        },
-        progress
+      const versioned = await runCli(["models", "versions", "acme/hello:abc"]);
+      expect(versioned.code).toBe(1);
+      expect(versioned.stderr).toContain(
+        "Unexpected version in acme/hello:abc. Expected owner/name"
       );
 
-      expect(output).toBe("Goodbye!");
+      nock(BASE_URL).get("/models/acme/missing").reply(404, "Not found");
+      const failed = await runCli(["models", "get", "acme/missing"]);
+      expect(failed.code).toBe(1);
+      expect(failed.stderr).toContain("failed with status 404");
+    });
+  });
 
-      expect(progress).toHaveBeenNthCalledWith(1, {
-        id: "ufawqhfynnddngldkgtslldrkq",
-        status: "starting",
+  describe("testing", () => {
+    let server: FakeServer;
+    let replicate: Replicate;
+
+    beforeEach(() => {
+      server = new FakeServer({ token: "test-token" });
+      replicate = new Replicate({ auth: "test-token", fetch: server.fetch });
+    });
+
+    test("Runs models registered as functions", async () => {
+      expect.hasAssertions();
+
+      server.addModel("acme/hello", (input, { log }) => {
+        log("Saying hello");
+        return `hello ${input.name}`;
       });
 
-      expect(progress).toHaveBeenNthCalledWith(2, {
-        id: "ufawqhfynnddngldkgtslldrkq",
-        status: "processing",
+      const statuses: string[] = [];
+      const output = await replicate.run(
+        "acme/hello",
+        { input: { name: "world" }, wait: { interval: 1 } },
+        (prediction) => {
+          statuses.push(prediction.status);
+        }
+      );
+      expect(output).toEqual("hello world");
+      expect(statuses[0]).toEqual("starting");
+      expect(statuses[statuses.length - 1]).toEqual("succeeded");
+
+      const [prediction] = Array.from(server.predictions.values());
+      expect(prediction.model).toEqual("acme/hello");
+      expect(prediction.logs).toEqual("Saying hello\n");
+      expect(server.requests[0]).toEqual({
+        method: "POST",
+        path: "/models/acme/hello/predictions",
+        body: { input: { name: "world" } },
       });
+    });
 
-      expect(progress).toHaveBeenNthCalledWith(3, {
-        id: "ufawqhfynnddngldkgtslldrkq",
-        status: "processing",
+    test("Streams output from async generators", async () => {
+      expect.hasAssertions();
+
+      server.addModel("acme/count", async function* (input, { log }) {
+        for (let i = 1; i <= input.to; i++) {
+          log(`Counting ${i}`);
+          yield `${i} `;
+        }
       });
 
-      expect(progress).toHaveBeenNthCalledWith(4, {
-        id: "ufawqhfynnddngldkgtslldrkq",
-        status: "succeeded",
-        output: "Goodbye!",
+      const events: string[] = [];
+      for await (const event of replicate.stream("acme/count", {
+        input: { to: 3 },
+      })) {
+        events.push(`${event.event}:${event.data}`);
+      }
+      expect(events).toEqual([
+        "logs:Counting 1",
+        "output:1 ",
+        "logs:Counting 2",
+        "output:2 ",
+        "logs:Counting 3",
+        "output:3 ",
+        "done:{}",
+      ]);
+
+      const [prediction] = Array.from(server.predictions.values());
+      expect(prediction.output).toEqual(["1 ", "2 ", "3 "]);
+    });
+
+    test("Streams long outputs without piling up abort listeners", async () => {
+      expect.hasAssertions();
+
+      server.addModel("acme/count", async function* (input) {
+        for (let i = 1; i <= input.to; i++) {
+          await new Promise((resolve) => setTimeout(resolve, 1));
+          yield `${i} `;
+        }
       });
 
-      expect(progress).toHaveBeenCalledTimes(4);
+      const controller = new AbortController();
+      let listeners = 0;
+      for await (const event of replicate.stream("acme/count", {
+        input: { to: 20 },
+        signal: controller.signal,
+      })) {
+        listeners = Math.max(
+          listeners,
+          getEventListeners(controller.signal, "abort").length
+        );
+      }
+      expect(listeners).toBeLessThanOrEqual(1);
     });
 
-    test("Does not throw an error for identifier containing hyphen and full stop", async () => {
-      nock(BASE_URL)
-        .post("/predictions")
-        .reply(200, {
-          id: "ufawqhfynnddngldkgtslldrkq",
-          status: "processing",
-        })
-        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
-        .reply(200, {
-          id: "ufawqhfynnddngldkgtslldrkq",
-          status: "succeeded",
-          output: "foobar",
-        });
+    test("Fails and cancels predictions", async () => {
+      expect.hasAssertions();
 
+      server.addModel("acme/broken", () => {
+        throw new Error("CUDA out of memory");
+      });
       await expect(
-        client.run("a/b-1.0:abc123", { input: { text: "Hello, world!" } })
-      ).resolves.not.toThrow();
+        replicate.run("acme/broken", { input: {}, wait: { interval: 1 } })
+      ).rejects.toThrow("CUDA out of memory");
+
+      const version = server.addModel(
+        "acme/slow",
+        (input, { signal }) =>
+          new Promise((resolve, reject) => {
+            signal.addEventListener("abort", () => reject(signal.reason));
+          })
+      );
+      const prediction = await replicate.predictions.create({
+        version: version.id,
+        input: {},
+      });
+      const canceled = await replicate.predictions.cancel(prediction.id);
+      expect(canceled.status).toEqual("canceled");
     });
 
-    test("Throws an error for invalid identifiers", async () => {
-      const options = { input: { text: "Hello, world!" } };
+    test("Rate limits requests with Retry-After", async () => {
+      expect.hasAssertions();
 
-      // @ts-expect-error
-      await expect(client.run("owner:abc123", options)).rejects.toThrow();
+      server.addModel("acme/hello", () => "hello");
+      const prediction = await replicate.predictions.create({
+        model: "acme/hello",
+        input: {},
+      });
 
-      await expect(client.run("/model:abc123", options)).rejects.toThrow();
+      server.rateLimit({ count: 2, retryAfter: 0 });
+      const result = await replicate.predictions.get(prediction.id);
+      expect(result.id).toEqual(prediction.id);
+      expect(server.requests.map((r) => r.method)).toEqual([
+        "POST",
+        "GET",
+        "GET",
+        "GET",
+      ]);
 
-      // @ts-expect-error
-      await expect(client.run(":abc123", options)).rejects.toThrow();
+      server.failRequests({
+        status: 422,
+        path: "/predictions",
+        detail: "Nope",
+      });
+      await expect(
+        replicate.predictions.create({ model: "acme/hello", input: {} })
+      ).resolves.toBeDefined();
+      await expect(replicate.predictions.list()).rejects.toThrow("Nope");
     });
 
-    test("Throws an error if webhook URL is invalid", async () => {
-      await expect(async () => {
-        await client.run(
-          "owner/model:5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca93cb72c9bf15ccaa",
-          {
-            input: {
-              text: "Alice",
-            },
-            webhook: "invalid-url",
-          }
-        );
-      }).rejects.toThrow("Invalid webhook URL");
+    test("Trains models into new versions", async () => {
+      expect.hasAssertions();
+
+      const base = server.addModel("acme/base", () => "base", {
+        train: (input, { log }) => {
+          log(`Training for ${input.steps} steps`);
+          return { weights: "https://example.com/weights.tar" };
+        },
+      });
+      server.addModel("test-user/tuned", () => "old");
+
+      const training = await replicate.trainings.create(
+        "acme",
+        "base",
+        base.id,
+        { destination: "test-user/tuned", input: { steps: 10 } }
+      );
+      const result = await replicate.wait(training, { interval: 1 });
+      expect(result.status).toEqual("succeeded");
+      expect(result.logs).toEqual("Training for 10 steps\n");
+      expect(result.output.weights).toEqual("https://example.com/weights.tar");
+
+      const output = await replicate.run(
+        `test-user/tuned:${result.output.version}`,
+        { input: {}, wait: { interval: 1 } }
+      );
+      expect(output).toEqual("base");
     });
 
-    test("Aborts the operation when abort signal is invoked", async () => {
-      const controller = new AbortController();
-      const { signal } = controller;
+    test("Serves models, deployments, hardware and collections", async () => {
+      expect.hasAssertions();
 
-      const scope = nock(BASE_URL)
-        .post("/predictions", (body) => {
-          controller.abort();
-          return body;
-        })
-        .reply(201, {
-          id: "ufawqhfynnddngldkgtslldrkq",
-          status: "processing",
-        })
-        .persist()
-        .get("/predictions/ufawqhfynnddngldkgtslldrkq")
-        .reply(200, {
-          id: "ufawqhfynnddngldkgtslldrkq",
-          status: "processing",
-        })
-        .post("/predictions/ufawqhfynnddngldkgtslldrkq/cancel")
-        .reply(200, {
-          id: "ufawqhfynnddngldkgtslldrkq",
-          status: "canceled",
-        });
+      server.addModel("acme/hello", (input) => `hello ${input.name}`);
+      server.addCollection({ slug: "greetings", models: ["acme/hello"] });
 
-      await client.run(
-        "owner/model:5c7d5dc6dd8bf75c1acaa8565735e7986bc5b66206b55cca93cb72c9bf15ccaa",
-        {
-          input: { text: "Hello, world!" },
-          signal,
-        }
+      const model = await replicate.models.get("acme", "hello");
+      expect(model.latest_version).not.toBeNull();
+      const versions = await replicate.models.versions.list("acme", "hello");
+      expect(versions.results).toHaveLength(1);
+
+      const collection = await replicate.collections.get("greetings");
+      expect(collection.models).toEqual([
+        expect.objectContaining({ owner: "acme", name: "hello" }),
+      ]);
+
+      const hardware = await replicate.hardware.list();
+      expect(hardware.map((h) => h.sku)).toContain("gpu-t4");
+
+      await replicate.deployments.create({
+        name: "greeter",
+        model: "acme/hello",
+        version: versions.results[0].id,
+        hardware: "cpu",
+        min_instances: 0,
+        max_instances: 1,
+      });
+      const output = await replicate.run("deployment:test-user/greeter", {
+        input: { name: "deployment" },
+        wait: { interval: 1 },
+      });
+      expect(output).toEqual("hello deployment");
+
+      await expect(replicate.models.get("acme", "missing")).rejects.toThrow(
+        NotFoundError
       );
 
-      expect(signal.aborted).toBe(true);
+      const unauthorized = new Replicate({
+        auth: "wrong",
+        fetch: server.fetch,
+      });
+      await expect(unauthorized.hardware.list()).rejects.toThrow(
+        AuthenticationError
+      );
+    });
+    test("Records and replays interactions with cassettes", async () => {
+      expect.hasAssertions();
 
-      scope.done();
+      server = new FakeServer({ token: "secret-token" });
+      server.addModel("acme/echo", async function* (input) {
+        yield* input.words;
+      });
+
+      const recording = new Cassette();
+      const recorder = new Replicate({
+        auth: "secret-token",
+        fetch: recording.record(server.fetch),
+      });
+      const input = { words: ["hello", "world"] };
+      const output = await recorder.run("acme/echo", {
+        input,
+        wait: { interval: 1 },
+      });
+      const streamed: string[] = [];
+      for await (const event of recorder.stream("acme/echo", { input })) {
+        streamed.push(event.toString());
+      }
+
+      const dir = await mkdtemp(path.join(tmpdir(), "replicate-cassette-"));
+      const file = path.join(dir, "echo.json");
+      await recording.save(file);
+      const saved = await readFile(file, "utf8");
+      expect(saved).not.toContain("secret-token");
+      expect(saved).toContain("Token [REDACTED]");
+      expect(saved).toContain("event: output");
+
+      const cassette = await Cassette.load(file);
+      const replayer = new Replicate({
+        auth: "another-token",
+        fetch: cassette.replay(),
+      });
+      await expect(
+        replayer.run("acme/echo", { input, wait: { interval: 1 } })
+      ).resolves.toEqual(output);
+      const replayed: string[] = [];
+      for await (const event of replayer.stream("acme/echo", { input })) {
+        replayed.push(event.toString());
+      }
+      expect(replayed).toEqual(streamed);
+      expect(replayed.join("")).toEqual("helloworld");
+
+      await expect(
+        replayer.predictions.create({ model: "acme/echo", input: {} })
+      ).rejects.toThrow(
+        'No recorded interaction matches POST https://api.replicate.com/v1/models/acme/echo/predictions with body {"input":{}}'
+      );
+      expect(cassette.unmatched).toHaveLength(1);
+
+      await expect(replayer.predictions.get("missing")).rejects.toBeInstanceOf(
+        UnmatchedRequestError
+      );
+      expect(cassette.unmatched).toHaveLength(2);
+      expect(cassette.unmatched[1]).toEqual({
+        method: "GET",
+        url: "https://api.replicate.com/v1/predictions/missing",
+        body: null,
+      });
     });
   });
 
@@ -0,0 +1,200 @@
+const { PredictionFailedError } = require("./error");
+const { transformFileOutputs } = require("./output");
+const { createPrediction, resolveReference } = require("./reference");
+const { sleep, throwIfAborted } = require("./util");
+
+/**
+ * Check whether a prediction has finished.
+ *
+ * @param {object} prediction - The prediction object
+ * @returns {boolean} - True if the prediction succeeded, failed or was canceled
+ */
+function isTerminal(prediction) {
+  return (
+    prediction.status === "succeeded" ||
+    prediction.status === "failed" ||
+    prediction.status === "canceled"
+  );
+}
+
+/**
+ * Run a model over many inputs.
+ *
+ * Up to `concurrency` workers each take the next input,
+ * create its prediction and poll it until it finishes,
+ * so that at most `concurrency` predictions are being created or running at a time.
+ * A prediction that fails, or a request that fails for one input,
+ * is reported in that input's result without stopping the batch.
+ * Stopping the iteration stops creating predictions.
+ *
+ * @param {object} client - The Replicate client
+ * @param {string|object} ref - Required. The model version identifier in the format "owner/name" or "owner/name:version", a deployment in the format "deployment:owner/name", an API URL for a model, model version or deployment, a `ModelVersionIdentifier`, or a model, model version or deployment object
+ * @param {object[]} inputs - Required. An array of model inputs
+ * @param {object} [options]
+ * @param {number} [options.concurrency] - Maximum number of predictions running at a time. Defaults to 5
+ * @param {boolean} [options.ordered] - Set to true to yield results in the order of the inputs, rather than as they complete. Defaults to false
+ * @param {object} [options.wait] - Options for polling the predictions
+ * @param {number} [options.wait.interval] - Polling interval in milliseconds. Defaults to 500
+ * @param {object} [options.checkpoint] - A checkpoint from an earlier run of the same batch
+ * @param {Function} [options.onCheckpoint] - Callback function that receives the checkpoint each time a prediction is created
+ * @param {Function} [options.onProgress] - Callback function that receives the counts of `total`, `created`, `succeeded` and `failed` predictions each time one finishes
+ * @param {string} [options.webhook] - An HTTPS URL for receiving a webhook when each prediction has new output
+ * @param {string[]} [options.webhook_events_filter] - You can change which events trigger webhook requests by specifying webhook events (`start`|`output`|`logs`|`completed`)
+ * @param {boolean} [options.validate] - Set to true to validate each input against the model version's schema before creating its prediction. Defaults to false
+ * @param {AbortSignal} [options.signal] - AbortSignal to stop the batch. Running predictions aren't canceled
+ * @yields {object} The result for each input, with its `index`, `input`, `prediction`, and either `output` or `error`
+ */
+async function* runBatch(client, ref, inputs, options = {}) {
+  const {
+    concurrency = 5,
+    ordered = false,
+    wait = {},
+    checkpoint = {},
+    onCheckpoint,
+    onProgress,
+    signal,
+    ...data
+  } = options;
+  const { interval = 500 } = wait;
+
+  // Fail before creating any predictions if the reference is invalid
+  resolveReference(ref);
+
+  const items = Array.from(inputs);
+  const ids = { ...checkpoint.predictions };
+  const results = new Map();
+  const progress = {
+    total: items.length,
+    created: Object.keys(ids).length,
+    succeeded: 0,
+    failed: 0,
+  };
+
+  // Wakes up the generator when a result is ready or a worker throws
+  let wake = null;
+  const notify = () => {
+    if (wake) {
+      const resolve = wake;
+      wake = null;
+      resolve();
+    }
+  };
+
+  const settle = async (index, prediction, error) => {
+    const result = { index, input: items[index], prediction };
+
+    if (error) {
+      result.error = error;
+    } else if (prediction.status === "succeeded") {
+      result.output = client.useFileOutput
+        ? transformFileOutputs(client, prediction.output)
+        : prediction.output;
+    } else {
+      result.error = new PredictionFailedError(
+        prediction.status === "canceled"
+          ? "Prediction canceled"
+          : `Prediction failed: ${prediction.error}`,
+        prediction
+      );
+    }
+
+    if (result.error) {
+      progress.failed += 1;
+    } else {
+      progress.succeeded += 1;
+    }
+    if (onProgress) {
+      await onProgress({ ...progress });
+    }
+    results.set(index, result);
+    notify();
+  };
+
+  const start = async (index) => {
+    if (ids[index]) {
+      // Resume a prediction created by an earlier run
+      return client.predictions.get(ids[index], { signal });
+    }
+
+    const created = await createPrediction(client, ref, {
+      ...data,
+      input: items[index],
+      signal,
+    });
+    ids[index] = created.id;
+    progress.created += 1;
+    if (onCheckpoint) {
+      await onCheckpoint({ predictions: { ...ids } });
+    }
+    return created;
+  };
+
+  let next = 0;
+  let stopped = false;
+  const worker = async () => {
+    while (!stopped && next < items.length) {
+      const index = next++;
+      let prediction;
+      try {
+        prediction = await start(index);
+        while (!stopped && !isTerminal(prediction)) {
+          await sleep(interval, signal);
+          prediction = await client.predictions.get(prediction.id, { signal });
+        }
+      } catch (error) {
+        // Rethrow aborts, and record any other error as the input's result
+        throwIfAborted(signal);
+        await settle(index, undefined, error);
+        continue;
+      }
+
+      if (!stopped) {
+        await settle(index, prediction);
+      }
+    }
+  };
+
+  // The index of the next result to yield, or -1 if it isn't ready
+  const readyIndex = (yielded) => {
+    if (ordered) {
+      return results.has(yielded) ? yielded : -1;
+    }
+    return results.size > 0 ? results.keys().next().value : -1;
+  };
+
+  let failure = null;
+  const workers = Array.from(
+    { length: Math.min(concurrency, items.length) },
+    worker
+  );
+  Promise.all(workers).catch((error) => {
+    failure = { error };
+    notify();
+  });
+
+  try {
+    let yielded = 0;
+    while (yielded < items.length) {
+      if (failure) {
+        throw failure.error;
+      }
+
+      const index = readyIndex(yielded);
+      if (index === -1) {
+        await new Promise((resolve) => {
+          wake = resolve;
+        });
+        continue;
+      }
+
+      const result = results.get(index);
+      results.delete(index);
+      yielded += 1;
+      yield result;
+    }
+  } finally {
+    stopped = true;
+  }
+}
+
+module.exports = { runBatch };
@@ -0,0 +1,259 @@
+const { readFile, writeFile } = require("node:fs/promises");
+const { isDeepStrictEqual } = require("node:util");
+const { UnmatchedRequestError } = require("./error");
+
+/**
+ * The text that replaces the API token in recorded interactions.
+ */
+const REDACTED = "[REDACTED]";
+
+/**
+ * Check whether a response body is text, like JSON or server-sent events,
+ * rather than binary data.
+ *
+ * @param {string|null} contentType - The Content-Type header of the response
+ * @returns {boolean} - True if the body is text
+ */
+function isText(contentType) {
+  return (
+    !contentType ||
+    contentType.startsWith("text/") ||
+    contentType.includes("json") ||
+    contentType.includes("xml")
+  );
+}
+
+/**
+ * Parse a request body as JSON if it is JSON,
+ * so that cassettes are readable and bodies match regardless of formatting.
+ *
+ * Bodies that aren't strings, like form data for file uploads, are recorded as null.
+ *
+ * @param {any} body - The request body
+ * @returns {any} - The parsed body, the body as it is if it isn't JSON, or null
+ */
+function parseBody(body) {
+  if (typeof body !== "string") {
+    return null;
+  }
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return body;
+  }
+}
+
+/**
+ * Get the method, URL and headers of a call to fetch.
+ *
+ * @param {string|URL|Request} input - The URL or request
+ * @param {object} init - The fetch options
+ * @returns {{method: string, url: string, headers: Headers, body: any}} - The request
+ */
+function describeRequest(input, init) {
+  const request = input instanceof Request ? input : null;
+  return {
+    method: (init.method || (request ? request.method : "GET")).toUpperCase(),
+    url: String(request ? request.url : input),
+    headers: new Headers(init.headers || (request ? request.headers : {})),
+    body: parseBody(init.body),
+  };
+}
+
+/**
+ * A list of recorded HTTP interactions with the Replicate API,
+ * for running tests without network access.
+ *
+ * Record the calls a client makes by passing `cassette.record(fetch)`
+ * as the client's `fetch` option, and save them with `cassette.save(path)`.
+ * Then load the cassette in later test runs and pass `cassette.replay()` instead,
+ * to respond to each call with the response that was recorded for it.
+ *
+ * @example
+ * const cassette = await Cassette.load("cassettes/run.json");
+ * const replicate = new Replicate({ auth: "test", fetch: cassette.replay() });
+ */
+class Cassette {
+  /**
+   * Create a cassette.
+   *
+   * @param {object[]} [interactions] - The recorded interactions, as saved by `save`
+   */
+  constructor(interactions = []) {
+    this.interactions = interactions;
+    this.unmatched = [];
+
+    // Response bodies that are still being recorded, like streams
+    this.pending = new Set();
+  }
+
+  /**
+   * Load a cassette from a JSON file saved with `save`.
+   *
+   * @param {string} path - The path of the file
+   * @returns {Promise<Cassette>} - Resolves with the cassette
+   */
+  static async load(path) {
+    const data = JSON.parse(await readFile(path, "utf8"));
+    return new Cassette(data.interactions);
+  }
+
+  /**
+   * Save the cassette to a JSON file,
+   * after the responses being recorded have finished.
+   *
+   * @param {string} path - The path of the file
+   * @returns {Promise<void>} - Resolves when the file is written
+   */
+  async save(path) {
+    await Promise.all(this.pending);
+    await writeFile(path, `${JSON.stringify(this.toJSON(), null, 2)}\n`);
+  }
+
+  /**
+   * Get the contents of the cassette for saving.
+   *
+   * @returns {object} - The cassette format version and the interactions
+   */
+  toJSON() {
+    return { version: 1, interactions: this.interactions };
+  }
+
+  /**
+   * Wrap fetch to record every call made through it,
+   * including API requests, file downloads and streams of server-sent events.
+   *
+   * The API token is replaced with `[REDACTED]` wherever it appears in the interactions.
+   * Response bodies are recorded as they're read,
+   * so streams are passed through to the client as they arrive.
+   *
+   * @param {Function} [fetch] - The fetch function to record. Defaults to `globalThis.fetch`
+   * @returns {Function} - A fetch function to pass as the client's `fetch` option
+   */
+  record(fetch = globalThis.fetch) {
+    return async (input, init = {}) => {
+      const { method, url, headers, body } = describeRequest(input, init);
+      const response = await fetch(input, init);
+
+      const auth = headers.get("Authorization") || "";
+      const token = auth.replace(/^(Bearer|Token) /, "");
+      const redact = (text) =>
+        token ? text.split(token).join(REDACTED) : text;
+
+      const recordedHeaders = {};
+      for (const [key, value] of headers) {
+        recordedHeaders[key] = redact(value);
+      }
+      // The recorded body is decoded, so it's replayed without these
+      const responseHeaders = new Headers(response.headers);
+      responseHeaders.delete("Content-Encoding");
+      responseHeaders.delete("Content-Length");
+
+      const interaction = {
+        request: {
+          method,
+          url: redact(url),
+          headers: recordedHeaders,
+          body: body === null ? null : JSON.parse(redact(JSON.stringify(body))),
+        },
+        response: {
+          status: response.status,
+          headers: Object.fromEntries(responseHeaders),
+          body: null,
+        },
+      };
+      // Keep interactions in the order the requests were made
+      this.interactions.push(interaction);
+
+      if (!response.body) {
+        return response;
+      }
+
+      const contentType = response.headers.get("Content-Type");
+      const [forClient, forCassette] = response.body.tee();
+      const recording = (async () => {
+        const chunks = [];
+        try {
+          for await (const chunk of forCassette) {
+            chunks.push(chunk);
+          }
+        } catch (error) {
+          // Record what was received before the stream was aborted
+        }
+
+        const data = Buffer.concat(chunks);
+        if (isText(contentType)) {
+          const text = redact(data.toString("utf8"));
+          interaction.response.body =
+            contentType && contentType.includes("json")
+              ? parseBody(text)
+              : text;
+        } else {
+          interaction.response.body = data.toString("base64");
+          interaction.response.encoding = "base64";
+        }
+      })();
+      this.pending.add(recording);
+      recording.then(() => this.pending.delete(recording));
+
+      return new Response(forClient, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      });
+    };
+  }
+
+  /**
+   * Create a fetch function that responds with the recorded interactions,
+   * without making any requests.
+   *
+   * Each call is matched to the first interaction that wasn't used before
+   * with the same method, URL and body,
+   * so repeated calls, like polling a prediction, get each recorded response in turn.
+   * Calls that don't match any interaction throw an `UnmatchedRequestError`,
+   * which the client doesn't retry, and are added to `cassette.unmatched`.
+   *
+   * @returns {Function} - A fetch function to pass as the client's `fetch` option
+   */
+  replay() {
+    const used = new Set();
+
+    return async (input, init = {}) => {
+      const { method, url, body } = describeRequest(input, init);
+      const index = this.interactions.findIndex(
+        ({ request }, i) =>
+          !used.has(i) &&
+          request.method === method &&
+          request.url === url &&
+          isDeepStrictEqual(request.body, body)
+      );
+
+      if (index === -1) {
+        const request = { method, url, body };
+        this.unmatched.push(request);
+        throw new UnmatchedRequestError(
+          `No recorded interaction matches ${method} ${url}${
+            body === null ? "" : ` with body ${JSON.stringify(body)}`
+          }`,
+          request
+        );
+      }
+
+      used.add(index);
+      const { response } = this.interactions[index];
+      let data = response.body;
+      if (response.encoding === "base64") {
+        data = Buffer.from(data, "base64");
+      } else if (data !== null && typeof data !== "string") {
+        data = JSON.stringify(data);
+      }
+      return new Response(data, {
+        status: response.status,
+        headers: response.headers,
+      });
+    };
+  }
+}
+
+module.exports = { Cassette };
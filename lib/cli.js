@@ -0,0 +1,372 @@
+const { createReadStream } = require("node:fs");
+const { mkdir, stat } = require("node:fs/promises");
+const path = require("node:path");
+const { parseArgs } = require("node:util");
+const ModelVersionIdentifier = require("./identifier");
+const { FileOutput, transformFileOutputs } = require("./output");
+
+const USAGE = `Usage: replicate <command> [options]
+
+Commands:
+  run <ref> [key=value...]          Run a model and print its output
+  stream <ref> [key=value...]       Run a model and print its output as it's generated
+  predictions list                  List your predictions
+  predictions get <id>              Get a prediction
+  predictions cancel <id>           Cancel a prediction
+  trainings create <owner/name:version> --destination <owner/name> [key=value...]
+                                    Train a model
+  trainings get <id>                Get a training
+  trainings cancel <id>             Cancel a training
+  models get <owner/name>           Get a model
+  models versions <owner/name>      List the versions of a model
+  hardware list                     List the hardware available for running models
+  collections list                  List collections of models
+
+A <ref> is a model as owner/name, a model version as owner/name:version,
+or a deployment as deployment:owner/name.
+
+Inputs:
+  key=value   A string, or a number, boolean, array or object if the value is valid JSON
+  key=@path   A local file, which is uploaded or sent as a data URI
+
+Options:
+  --json                     Print the API response as JSON
+  -o, --output-dir <dir>     Save files in the output of run to a directory
+  -d, --destination <model>  The model to push trained versions to
+  -h, --help                 Show this help
+
+The API token is read from REPLICATE_API_TOKEN.
+`;
+
+/**
+ * Parse a reference to a model without a version.
+ *
+ * @param {string} ref - The model in the format `owner/name`
+ * @returns {{owner: string, name: string}} - The model owner and name
+ * @throws {Error} If the reference is malformed or has a version
+ */
+function parseModel(ref) {
+  const { owner, name, version } = ModelVersionIdentifier.parse(ref);
+  if (version) {
+    throw new Error(`Unexpected version in ${ref}. Expected owner/name`);
+  }
+  return { owner, name };
+}
+
+/**
+ * Parse model inputs from `key=value` arguments.
+ *
+ * Values that start with `@` are read from the file at the path that follows.
+ *
+ * @param {string[]} args - The arguments
+ * @returns {Promise<object>} - Resolves with the model inputs
+ * @throws {Error} If an argument isn't in the format `key=value`, or a file can't be read
+ */
+async function parseInputs(args) {
+  const input = {};
+  for (const arg of args) {
+    const index = arg.indexOf("=");
+    if (index < 1) {
+      throw new Error(`Invalid input: ${arg}. Expected format: key=value`);
+    }
+
+    const key = arg.slice(0, index);
+    const value = arg.slice(index + 1);
+    if (value.startsWith("@")) {
+      // Check the file before opening it, since nothing may read the stream
+      // if the command fails, and its errors would crash the process
+      const file = value.slice(1);
+      const stats = await stat(file).catch(() => null);
+      if (!stats || !stats.isFile()) {
+        throw new Error(`Invalid input: ${arg}. No such file: ${file}`);
+      }
+      input[key] = createReadStream(file);
+      continue;
+    }
+
+    try {
+      input[key] = JSON.parse(value);
+    } catch (error) {
+      input[key] = value;
+    }
+  }
+  return input;
+}
+
+/**
+ * Format fields of an object as aligned `name: value` lines.
+ *
+ * @param {object} data - The object
+ * @param {string[]} fields - The fields to print, skipping missing ones
+ * @returns {string} - The formatted fields
+ */
+function formatFields(data, fields) {
+  const present = fields.filter(
+    (field) => data[field] !== undefined && data[field] !== null
+  );
+  const width = Math.max(0, ...present.map((field) => field.length));
+  return present
+    .map((field) => {
+      const value = data[field];
+      const text = typeof value === "string" ? value : JSON.stringify(value);
+      return `${`${field}:`.padEnd(width + 2)}${text}\n`;
+    })
+    .join("");
+}
+
+/**
+ * Format a list of objects as tab-separated rows.
+ *
+ * @param {object[]} items - The objects
+ * @param {string[]} fields - The field to print in each column
+ * @returns {string} - The formatted rows
+ */
+function formatRows(items, fields) {
+  return items
+    .map((item) => {
+      const values = fields.map((field) =>
+        item[field] === undefined || item[field] === null ? "" : item[field]
+      );
+      return `${values.join("\t")}\n`;
+    })
+    .join("");
+}
+
+/**
+ * Format model output for a terminal.
+ *
+ * @param {any} output - The output
+ * @returns {string} - Strings as they are, arrays of strings one per line, and anything else as JSON
+ */
+function formatOutput(output) {
+  if (typeof output === "string") {
+    return `${output}\n`;
+  }
+  if (Array.isArray(output) && output.every((i) => typeof i === "string")) {
+    return output.map((item) => `${item}\n`).join("");
+  }
+  return `${JSON.stringify(output, null, 2)}\n`;
+}
+
+/**
+ * Save the files in model output to a directory,
+ * replacing them with the paths they were saved to.
+ *
+ * @param {object} client - The Replicate client
+ * @param {any} output - The output
+ * @param {string} directory - The directory to save files to
+ * @returns {Promise<any>} - Resolves with a copy of the output with paths in place of files
+ */
+async function saveFileOutputs(client, output, directory) {
+  await mkdir(directory, { recursive: true });
+
+  let count = 0;
+  const save = async (value) => {
+    if (value instanceof FileOutput) {
+      count += 1;
+      const name = value.url.startsWith("data:")
+        ? `output-${count}`
+        : path.basename(new URL(value.url).pathname) || `output-${count}`;
+      return value.saveTo(path.join(directory, name));
+    }
+    if (Array.isArray(value)) {
+      const result = [];
+      for (const item of value) {
+        result.push(await save(item));
+      }
+      return result;
+    }
+    if (value && typeof value === "object") {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = await save(item);
+      }
+      return result;
+    }
+    return value;
+  };
+
+  return save(transformFileOutputs(client, output));
+}
+
+/**
+ * Run the `replicate` command.
+ *
+ * @param {string[]} argv - The command-line arguments, without the node executable and script
+ * @param {object} context
+ * @param {object} context.client - The Replicate client
+ * @param {object} context.stdout - The stream to print results to
+ * @param {object} context.stderr - The stream to print errors and logs to
+ * @returns {Promise<number>} - Resolves with the exit code
+ */
+async function main(argv, { client, stdout, stderr }) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        json: { type: "boolean" },
+        "output-dir": { type: "string", short: "o" },
+        destination: { type: "string", short: "d" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  const { values, positionals } = args;
+  const [command, ...rest] = positionals;
+  if (values.help || !command) {
+    (values.help ? stdout : stderr).write(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const print = (data, format) => {
+    stdout.write(values.json ? `${JSON.stringify(data, null, 2)}\n` : format);
+  };
+
+  const prediction = (data) =>
+    print(
+      data,
+      formatFields(data, [
+        "id",
+        "model",
+        "version",
+        "status",
+        "created_at",
+        "completed_at",
+        "error",
+        "output",
+      ])
+    );
+
+  const commands = {
+    run: async (ref, ...inputs) => {
+      const output = await client.run(ref, {
+        input: await parseInputs(inputs),
+      });
+      const dir = values["output-dir"];
+      const result = dir ? await saveFileOutputs(client, output, dir) : output;
+      print(result, formatOutput(result));
+    },
+    stream: async (ref, ...inputs) => {
+      const input = await parseInputs(inputs);
+      for await (const event of client.stream(ref, { input })) {
+        if (values.json) {
+          stdout.write(`${JSON.stringify(event)}\n`);
+        } else if (event.event === "output") {
+          stdout.write(event.data);
+        } else if (event.event === "logs") {
+          stderr.write(`${event.data}\n`);
+        }
+      }
+      if (!values.json) {
+        stdout.write("\n");
+      }
+    },
+    "predictions list": async () => {
+      const page = await client.predictions.list();
+      print(
+        page,
+        formatRows(page.results, ["id", "model", "status", "created_at"])
+      );
+    },
+    "predictions get": async (id) =>
+      prediction(await client.predictions.get(id)),
+    "predictions cancel": async (id) =>
+      prediction(await client.predictions.cancel(id)),
+    "trainings create": async (ref, ...inputs) => {
+      if (!values.destination) {
+        throw new Error("Missing --destination for the trained model");
+      }
+      const { owner, name, version } = ModelVersionIdentifier.parse(ref);
+      if (!version) {
+        throw new Error(
+          `Missing version in ${ref}. Expected owner/name:version`
+        );
+      }
+      prediction(
+        await client.trainings.create(owner, name, version, {
+          destination: values.destination,
+          input: await parseInputs(inputs),
+        })
+      );
+    },
+    "trainings get": async (id) => prediction(await client.trainings.get(id)),
+    "trainings cancel": async (id) =>
+      prediction(await client.trainings.cancel(id)),
+    "models get": async (ref) => {
+      const { owner, name } = parseModel(ref);
+      const model = await client.models.get(owner, name);
+      print(
+        model,
+        formatFields(
+          {
+            ...model,
+            latest_version: model.latest_version && model.latest_version.id,
+          },
+          [
+            "owner",
+            "name",
+            "description",
+            "visibility",
+            "url",
+            "run_count",
+            "latest_version",
+          ]
+        )
+      );
+    },
+    "models versions": async (ref) => {
+      const { owner, name } = parseModel(ref);
+      const page = await client.models.versions.list(owner, name);
+      print(page, formatRows(page.results, ["id", "created_at"]));
+    },
+    "hardware list": async () => {
+      const hardware = await client.hardware.list();
+      print(hardware, formatRows(hardware, ["sku", "name"]));
+    },
+    "collections list": async () => {
+      const page = await client.collections.list();
+      print(page, formatRows(page.results, ["slug", "name"]));
+    },
+  };
+
+  // Commands are either one word, like `run`, or a resource and an action
+  let name = command;
+  let params = rest;
+  if (!commands[name]) {
+    name = `${command} ${rest[0]}`;
+    params = rest.slice(1);
+  }
+  if (!commands[name]) {
+    stderr.write(
+      `Unknown command: ${[command, ...rest].join(" ")}\n\n${USAGE}`
+    );
+    return 1;
+  }
+
+  // Each command's function takes its required arguments as parameters
+  if (params.length < commands[name].length) {
+    stderr.write(`Missing arguments for ${name}\n\n${USAGE}`);
+    return 1;
+  }
+
+  if (!client.auth) {
+    stderr.write("Set REPLICATE_API_TOKEN to your API token\n");
+    return 1;
+  }
+
+  try {
+    await commands[name](...params);
+    return 0;
+  } catch (error) {
+    stderr.write(`${error.message}\n`);
+    return 1;
+  }
+}
+
+module.exports = { main, parseInputs };
@@ -0,0 +1,335 @@
+const { readFile, writeFile } = require("node:fs/promises");
+const { parseArgs } = require("node:util");
+const ModelVersionIdentifier = require("./identifier");
+const { resolveSchema } = require("./schema");
+
+/**
+ * Format a JSON value as a TypeScript literal type.
+ *
+ * @param {any} value - The value
+ * @returns {string} - The literal type
+ */
+function literal(value) {
+  return JSON.stringify(value);
+}
+
+/**
+ * Format a property name, quoting it if it isn't a valid identifier.
+ *
+ * @param {string} name - The property name
+ * @returns {string} - The property key
+ */
+function propertyKey(name) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : literal(name);
+}
+
+/**
+ * Format the description and default of a schema as a doc comment.
+ *
+ * @param {object} schema - The resolved schema of a property
+ * @param {string} indent - The indentation of the property
+ * @returns {string} - The doc comment, or an empty string if there's nothing to say
+ */
+function docComment(schema, indent) {
+  const lines = [];
+  const description = schema.description || schema.title;
+  if (description) {
+    lines.push(...description.replace(/\*\//g, "*\\/").split("\n"));
+  }
+  if (schema.default !== undefined) {
+    lines.push(`@default ${JSON.stringify(schema.default)}`);
+  }
+
+  if (lines.length === 0) {
+    return "";
+  }
+  if (lines.length === 1) {
+    return `${indent}/** ${lines[0]} */\n`;
+  }
+  return `${indent}/**\n${lines
+    .map((line) => `${indent} * ${line}`.trimEnd())
+    .join("\n")}\n${indent} */\n`;
+}
+
+/**
+ * Convert a JSON Schema to a TypeScript type.
+ *
+ * @param {object} root - The OpenAPI schema of the model version
+ * @param {object} schema - The schema to convert
+ * @param {object} options
+ * @param {string} options.indent - The indentation of the line the type starts on
+ * @param {boolean} options.input - Set to true for inputs, where URIs can also be files
+ * @returns {string} - The TypeScript type
+ */
+function toType(root, schema, options) {
+  const resolved = resolveSchema(root, schema || {});
+
+  if (resolved.enum) {
+    return resolved.enum.map(literal).join(" | ");
+  }
+
+  const alternatives = resolved.anyOf || resolved.oneOf;
+  if (alternatives) {
+    const types = alternatives.map((a) => toType(root, a, options));
+    return [...new Set(types)].join(" | ");
+  }
+
+  switch (resolved.type) {
+    case "string":
+      // File inputs are uploaded or encoded as data URIs
+      return resolved.format === "uri" && options.input
+        ? "string | Blob | Buffer"
+        : "string";
+    case "integer":
+    case "number":
+      return "number";
+    case "boolean":
+      return "boolean";
+    case "null":
+      return "null";
+    case "array": {
+      const item = toType(root, resolved.items, options);
+      return /[|&]/.test(item) ? `(${item})[]` : `${item}[]`;
+    }
+    case "object":
+      return resolved.properties
+        ? objectType(root, resolved, options)
+        : "Record<string, unknown>";
+    default:
+      return "unknown";
+  }
+}
+
+/**
+ * Convert an object schema to a TypeScript object type,
+ * with properties in the order Cog gives them.
+ *
+ * @param {object} root - The OpenAPI schema of the model version
+ * @param {object} schema - The resolved object schema
+ * @param {object} options
+ * @param {string} options.indent - The indentation of the line the type starts on
+ * @param {boolean} options.input - Set to true for inputs, where URIs can also be files
+ * @returns {string} - The TypeScript type
+ */
+function objectType(root, schema, options) {
+  const indent = `${options.indent}  `;
+  const required = schema.required || [];
+  const properties = Object.entries(schema.properties).map(
+    ([name, property]) => [name, resolveSchema(root, property)]
+  );
+  properties.sort(([, a], [, b]) => (a["x-order"] || 0) - (b["x-order"] || 0));
+
+  const lines = properties.map(([name, property]) => {
+    const optional = required.includes(name) ? "" : "?";
+    const key = `${propertyKey(name)}${optional}`;
+    const type = toType(root, property, { ...options, indent });
+    return `${docComment(property, indent)}${indent}${key}: ${type};`;
+  });
+
+  return `{\n${lines.join("\n")}\n${options.indent}}`;
+}
+
+/**
+ * Make a TypeScript type name for a model, like `StabilityAiSdxl`.
+ *
+ * @param {string} owner - The model owner
+ * @param {string} name - The model name
+ * @returns {string} - The type name
+ */
+function typeName(owner, name) {
+  const result = `${owner} ${name}`
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.slice(1))
+    .join("");
+  return /^[0-9]/.test(result) ? `Model${result}` : result;
+}
+
+/**
+ * Generate TypeScript declarations for the inputs and outputs of model versions.
+ *
+ * The declarations add each model to the `ModelTypes` interface of `replicate`,
+ * so that `replicate.run` infers the input and output types from the reference.
+ *
+ * @param {object[]} models - The models to generate types for
+ * @param {string[]} models[].refs - The references to register the types under, like `owner/name` and `owner/name:version`
+ * @param {string} models[].owner - The model owner
+ * @param {string} models[].name - The model name
+ * @param {string} [models[].version] - The model version ID
+ * @param {object} models[].schema - The `openapi_schema` of the model version
+ * @returns {string} - The contents of a TypeScript declaration file
+ */
+function generateTypes(models) {
+  const names = new Set();
+  const declarations = [];
+  const entries = [];
+
+  for (const model of models) {
+    const schemas = (model.schema.components || {}).schemas || {};
+    if (!schemas.Input) {
+      throw new Error(`Schema for ${model.refs[0]} has no Input component`);
+    }
+
+    let name = typeName(model.owner, model.name);
+    if (names.has(name) && model.version) {
+      name = `${name}V${model.version.slice(0, 8)}`;
+    }
+    names.add(name);
+
+    const input = toType(model.schema, schemas.Input, {
+      indent: "",
+      input: true,
+    });
+    const output = schemas.Output
+      ? toType(model.schema, schemas.Output, { indent: "", input: false })
+      : "unknown";
+
+    declarations.push(
+      input.startsWith("{")
+        ? `export interface ${name}Input ${input}`
+        : `export type ${name}Input = ${input};`,
+      `export type ${name}Output = ${output};`
+    );
+    for (const ref of model.refs) {
+      entries.push(
+        `    ${literal(ref)}: { input: ${name}Input; output: ${name}Output };`
+      );
+    }
+  }
+
+  return [
+    "// Generated by replicate-codegen from the schemas of:",
+    ...models.map((model) => `// - ${model.refs[model.refs.length - 1]}`),
+    "// Run replicate-codegen again to update this file.",
+    "",
+    'import "replicate";',
+    "",
+    ...declarations.flatMap((declaration) => [declaration, ""]),
+    'declare module "replicate" {',
+    "  interface ModelTypes {",
+    ...entries,
+    "  }",
+    "}",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Fetch the schema of a model version to generate types for.
+ *
+ * A reference to a model uses its latest version,
+ * and registers the types under both the model and the version.
+ *
+ * @param {object} client - The Replicate client
+ * @param {string} ref - The model or model version, as `owner/name` or `owner/name:version`
+ * @returns {Promise<object>} - Resolves with the model for `generateTypes`
+ */
+async function fetchModelSchema(client, ref) {
+  const { owner, name, version } = ModelVersionIdentifier.parse(ref);
+
+  if (version) {
+    const data = await client.models.versions.get(owner, name, version);
+    return { refs: [ref], owner, name, version, schema: data.openapi_schema };
+  }
+
+  const model = await client.models.get(owner, name);
+  if (!model.latest_version) {
+    throw new Error(`Model ${ref} has no versions`);
+  }
+  const latest = model.latest_version.id;
+  return {
+    refs: [ref, `${ref}:${latest}`],
+    owner,
+    name,
+    version: latest,
+    schema: model.latest_version.openapi_schema,
+  };
+}
+
+/**
+ * Read the schema of a model version to generate types for from JSON,
+ * either a model version from the API or its `openapi_schema`.
+ *
+ * @param {string} ref - The reference to register the types under, as `owner/name` or `owner/name:version`
+ * @param {object} json - The parsed JSON
+ * @returns {object} - The model for `generateTypes`
+ */
+function readModelSchema(ref, json) {
+  const { owner, name, version } = ModelVersionIdentifier.parse(ref);
+  const schema = json.openapi_schema || json;
+  return { refs: [ref], owner, name, version, schema };
+}
+
+const USAGE = `Usage: replicate-codegen [--out <file>] <ref>...
+
+Generate TypeScript types for the inputs and outputs of models,
+so that replicate.run infers them from the model reference.
+
+Each <ref> is a model or model version, as owner/name or owner/name:version.
+Its schema is fetched from the API with the token in REPLICATE_API_TOKEN.
+To read the schema from a local JSON file instead, pass <ref>=<file>,
+where the file holds a model version or its openapi_schema.
+
+Options:
+  -o, --out <file>  Write the types to a file instead of stdout
+  -h, --help        Show this help
+`;
+
+/**
+ * Run the `replicate-codegen` command.
+ *
+ * @param {string[]} argv - The command-line arguments, without the node executable and script
+ * @param {object} context
+ * @param {object} context.client - The Replicate client to fetch schemas with
+ * @param {object} context.stdout - The stream to print the types and help to
+ * @param {object} context.stderr - The stream to print errors to
+ * @returns {Promise<number>} - Resolves with the exit code
+ */
+async function main(argv, { client, stdout, stderr }) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        out: { type: "string", short: "o" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  const { values, positionals } = args;
+  if (values.help || positionals.length === 0) {
+    (values.help ? stdout : stderr).write(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  try {
+    const models = [];
+    for (const arg of positionals) {
+      const [ref, file] = arg.split("=");
+      if (file) {
+        const json = JSON.parse(await readFile(file, "utf8"));
+        models.push(readModelSchema(ref, json));
+      } else {
+        models.push(await fetchModelSchema(client, ref));
+      }
+    }
+
+    const types = generateTypes(models);
+    if (values.out) {
+      await writeFile(values.out, types);
+    } else {
+      stdout.write(types);
+    }
+    return 0;
+  } catch (error) {
+    stderr.write(`${error.message}\n`);
+    return 1;
+  }
+}
+
+module.exports = { generateTypes, fetchModelSchema, readModelSchema, main };
@@ -2,11 +2,14 @@
  * Fetch a model collection
  *
  * @param {string} collection_slug - Required. The slug of the collection. See http://replicate.com/collections
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
  * @returns {Promise<object>} - Resolves with the collection data
  */
-async function getCollection(collection_slug) {
+async function getCollection(collection_slug, options = {}) {
   const response = await this.request(`/collections/${collection_slug}`, {
     method: "GET",
+    signal: options.signal,
   });
 
   return response.json();
@@ -15,11 +18,14 @@ async function getCollection(collection_slug) {
 /**
  * Fetch a list of model collections
  *
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
  * @returns {Promise<object>} - Resolves with the collections data
  */
-async function listCollections() {
+async function listCollections(options = {}) {
   const response = await this.request("/collections", {
     method: "GET",
+    signal: options.signal,
   });
 
   return response.json();
@@ -1,17 +1,24 @@
+const { toHandle } = require("./handle");
+const { validatePredictionInput } = require("./schema");
+const { transformFileInputs } = require("./util");
+
 /**
  * Create a new prediction with a deployment
  *
  * @param {string} deployment_owner - Required. The username of the user or organization who owns the deployment
  * @param {string} deployment_name - Required. The name of the deployment
  * @param {object} options
- * @param {object} options.input - Required. An object with the model inputs
+ * @param {object} options.input - Required. An object with the model inputs. File values (Blob, Buffer, or stream) are uploaded or encoded as data URIs
  * @param {boolean} [options.stream] - Whether to stream the prediction output. Defaults to false
  * @param {string} [options.webhook] - An HTTPS URL for receiving a webhook when the prediction has new output
  * @param {string[]} [options.webhook_events_filter] - You can change which events trigger webhook requests by specifying webhook events (`start`|`output`|`logs`|`completed`)
- * @returns {Promise<object>} Resolves with the created prediction data
+ * @param {boolean} [options.validate] - Set to true to validate the inputs against the schema of the deployment's current model version before creating the prediction, and fill in defaults. Defaults to false
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
+ * @returns {Promise<object>} Resolves with the created prediction data, or a `PredictionHandle` if the client was created with `usePredictionHandles`
+ * @throws {InputValidationError} If `validate` is true and any input is invalid
  */
 async function createPrediction(deployment_owner, deployment_name, options) {
-  const { stream, ...data } = options;
+  const { stream, validate, signal, ...data } = options;
 
   if (data.webhook) {
     try {
@@ -22,14 +29,154 @@ async function createPrediction(deployment_owner, deployment_name, options) {
     }
   }
 
+  if (validate) {
+    const target = {
+      type: "deployment",
+      owner: deployment_owner,
+      name: deployment_name,
+    };
+    data.input = await validatePredictionInput(
+      this,
+      target,
+      data.input,
+      signal
+    );
+  }
+
+  if (data.input) {
+    data.input = await transformFileInputs(this, data.input, { signal });
+  }
+
   const response = await this.request(
     `/deployments/${deployment_owner}/${deployment_name}/predictions`,
     {
       method: "POST",
       data: { ...data, stream },
+      signal,
     }
   );
 
+  return toHandle(this, await response.json());
+}
+
+/**
+ * Get information about a deployment
+ *
+ * @param {string} deployment_owner - Required. The username of the user or organization who owns the deployment
+ * @param {string} deployment_name - Required. The name of the deployment
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
+ * @returns {Promise<object>} Resolves with the deployment data
+ */
+async function getDeployment(deployment_owner, deployment_name, options = {}) {
+  const response = await this.request(
+    `/deployments/${deployment_owner}/${deployment_name}`,
+    {
+      method: "GET",
+      signal: options.signal,
+    }
+  );
+
+  return response.json();
+}
+
+/**
+ * Create a deployment
+ *
+ * @param {object} config - Required. The deployment configuration
+ * @param {string} config.name - Required. The name of the deployment
+ * @param {string} config.model - Required. The full name of the model that you want to deploy, e.g. stability-ai/sdxl
+ * @param {string} config.version - Required. The 64-character string ID of the model version that you want to deploy
+ * @param {string} config.hardware - Required. The SKU for the hardware used to run the model, via `replicate.hardware.list()`
+ * @param {number} config.min_instances - Required. The minimum number of instances for scaling
+ * @param {number} config.max_instances - Required. The maximum number of instances for scaling
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
+ * @returns {Promise<object>} Resolves with the created deployment data
+ */
+async function createDeployment(config, options = {}) {
+  const response = await this.request("/deployments", {
+    method: "POST",
+    data: config,
+    signal: options.signal,
+  });
+
+  return response.json();
+}
+
+/**
+ * Update an existing deployment
+ *
+ * Only the fields that are set are changed,
+ * and any change creates a new release of the deployment.
+ *
+ * @param {string} deployment_owner - Required. The username of the user or organization who owns the deployment
+ * @param {string} deployment_name - Required. The name of the deployment
+ * @param {object} config - Required. The deployment changes
+ * @param {string} [config.version] - The 64-character string ID of the model version that you want to deploy
+ * @param {string} [config.hardware] - The SKU for the hardware used to run the model, via `replicate.hardware.list()`
+ * @param {number} [config.min_instances] - The minimum number of instances for scaling
+ * @param {number} [config.max_instances] - The maximum number of instances for scaling
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
+ * @returns {Promise<object>} Resolves with the updated deployment data
+ */
+async function updateDeployment(
+  deployment_owner,
+  deployment_name,
+  config,
+  options = {}
+) {
+  const response = await this.request(
+    `/deployments/${deployment_owner}/${deployment_name}`,
+    {
+      method: "PATCH",
+      data: config,
+      signal: options.signal,
+    }
+  );
+
+  return response.json();
+}
+
+/**
+ * Delete a deployment
+ *
+ * @param {string} deployment_owner - Required. The username of the user or organization who owns the deployment
+ * @param {string} deployment_name - Required. The name of the deployment
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
+ * @returns {Promise<boolean>} Resolves with true if the deployment was deleted
+ */
+async function deleteDeployment(
+  deployment_owner,
+  deployment_name,
+  options = {}
+) {
+  const response = await this.request(
+    `/deployments/${deployment_owner}/${deployment_name}`,
+    {
+      method: "DELETE",
+      signal: options.signal,
+    }
+  );
+
+  return response.status === 204;
+}
+
+/**
+ * List deployments
+ *
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
+ * @returns {Promise<object>} Resolves with the list of deployments
+ */
+async function listDeployments(options = {}) {
+  const response = await this.request("/deployments", {
+    method: "GET",
+    signal: options.signal,
+  });
+
   return response.json();
 }
 
@@ -37,4 +184,9 @@ module.exports = {
   predictions: {
     create: createPrediction,
   },
+  get: getDeployment,
+  create: createDeployment,
+  update: updateDeployment,
+  delete: deleteDeployment,
+  list: listDeployments,
 };
@@ -1,5 +1,8 @@
 /**
  * A representation of an API error.
+ *
+ * The API describes errors with a problem details JSON object
+ * (see RFC 7807), whose fields are copied onto the error when present.
  */
 class ApiError extends Error {
   /**
@@ -8,14 +11,264 @@ class ApiError extends Error {
    * @param {string} message - Error message
    * @param {Request} request - HTTP request
    * @param {Response} response - HTTP response
+   * @param {object} [problem] - The parsed problem details from the response body
+   * @param {string} [problem.type] - A URI reference that identifies the problem type
+   * @param {string} [problem.title] - A short summary of the problem type
+   * @param {string} [problem.detail] - An explanation specific to this occurrence of the problem
    * @returns {ApiError} - An instance of ApiError
    */
-  constructor(message, request, response) {
+  constructor(message, request, response, problem = {}) {
     super(message);
     this.name = "ApiError";
     this.request = request;
     this.response = response;
+    this.status = response ? response.status : undefined;
+    this.type = problem.type;
+    this.title = problem.title;
+    this.detail = problem.detail;
   }
 }
 
-module.exports = ApiError;
+/**
+ * An error for a request with a missing or invalid API token (401).
+ */
+class AuthenticationError extends ApiError {
+  constructor(message, request, response, problem) {
+    super(message, request, response, problem);
+    this.name = "AuthenticationError";
+  }
+}
+
+/**
+ * An error for a request the API token isn't allowed to make (403).
+ */
+class PermissionDeniedError extends ApiError {
+  constructor(message, request, response, problem) {
+    super(message, request, response, problem);
+    this.name = "PermissionDeniedError";
+  }
+}
+
+/**
+ * An error for a request to a resource that doesn't exist (404).
+ */
+class NotFoundError extends ApiError {
+  constructor(message, request, response, problem) {
+    super(message, request, response, problem);
+    this.name = "NotFoundError";
+  }
+}
+
+/**
+ * An error for a request with invalid parameters or model inputs (422).
+ */
+class ValidationError extends ApiError {
+  /**
+   * Creates a representation of a validation error.
+   *
+   * @param {string} message - Error message
+   * @param {Request} request - HTTP request
+   * @param {Response} response - HTTP response
+   * @param {object} [problem] - The parsed problem details from the response body
+   * @param {object[]} [problem.invalid_fields] - Details of each invalid field
+   * @returns {ValidationError} - An instance of ValidationError
+   */
+  constructor(message, request, response, problem = {}) {
+    super(message, request, response, problem);
+    this.name = "ValidationError";
+    this.invalidFields = (problem.invalid_fields || []).map((field) => ({
+      type: field.type,
+      field: field.field,
+      description: field.description,
+    }));
+  }
+}
+
+/**
+ * An error for a request that was rejected because of rate limiting (429).
+ */
+class RateLimitError extends ApiError {
+  /**
+   * Creates a representation of a rate limit error.
+   *
+   * @param {string} message - Error message
+   * @param {Request} request - HTTP request
+   * @param {Response} response - HTTP response
+   * @param {object} [problem] - The parsed problem details from the response body
+   * @returns {RateLimitError} - An instance of RateLimitError
+   */
+  constructor(message, request, response, problem) {
+    super(message, request, response, problem);
+    this.name = "RateLimitError";
+    this.retryAfter = parseRetryAfter(
+      response ? response.headers.get("Retry-After") : null
+    );
+  }
+}
+
+/**
+ * An error for a request that failed because of a problem with the API (5xx).
+ */
+class ServerError extends ApiError {
+  constructor(message, request, response, problem) {
+    super(message, request, response, problem);
+    this.name = "ServerError";
+  }
+}
+
+/**
+ * An error thrown when a prediction doesn't finish before a timeout or deadline.
+ */
+class PredictionTimeoutError extends Error {
+  /**
+   * Creates a representation of a prediction timeout.
+   *
+   * @param {string} message - Error message
+   * @param {object} prediction - The last known state of the prediction
+   * @returns {PredictionTimeoutError} - An instance of PredictionTimeoutError
+   */
+  constructor(message, prediction) {
+    super(message);
+    this.name = "PredictionTimeoutError";
+    this.prediction = prediction;
+  }
+}
+
+/**
+ * An error thrown when a prediction finishes with a `failed` status.
+ */
+class PredictionFailedError extends Error {
+  /**
+   * Creates a representation of a failed prediction.
+   *
+   * @param {string} message - Error message
+   * @param {object} prediction - The failed prediction, including its `error`, `logs` and `metrics`
+   * @returns {PredictionFailedError} - An instance of PredictionFailedError
+   */
+  constructor(message, prediction) {
+    super(message);
+    this.name = "PredictionFailedError";
+    this.prediction = prediction;
+  }
+}
+
+/**
+ * An error thrown when model inputs don't match the model version's schema.
+ * Thrown before the prediction is created, when inputs are validated with `validate: true`.
+ */
+class InputValidationError extends Error {
+  /**
+   * Creates a representation of invalid model inputs.
+   *
+   * @param {string} message - Error message
+   * @param {object[]} invalidFields - Details of each invalid field, with its `type`, `field` and `description`
+   * @returns {InputValidationError} - An instance of InputValidationError
+   */
+  constructor(message, invalidFields) {
+    super(message);
+    this.name = "InputValidationError";
+    this.invalidFields = invalidFields;
+  }
+}
+
+/**
+ * An error thrown by a replayed cassette for a request that doesn't match any recorded interaction.
+ * Requests that throw it aren't retried, since every retry would fail the same way.
+ */
+class UnmatchedRequestError extends Error {
+  /**
+   * Creates a representation of an unmatched request.
+   *
+   * @param {string} message - Error message
+   * @param {object} request - The `method`, `url` and `body` of the request
+   * @returns {UnmatchedRequestError} - An instance of UnmatchedRequestError
+   */
+  constructor(message, request) {
+    super(message);
+    this.name = "UnmatchedRequestError";
+    this.request = request;
+  }
+}
+
+/**
+ * Parse the value of a Retry-After header.
+ *
+ * @param {string|null} value - The header value, either a number of seconds or an HTTP date
+ * @returns {number|undefined} - The number of seconds to wait, or undefined if the value is missing or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return undefined;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return Number.parseInt(value, 10);
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return undefined;
+  }
+
+  return Math.max(0, Math.ceil((date.getTime() - Date.now()) / 1000));
+}
+
+/**
+ * Create the error for an unsuccessful API response,
+ * choosing the subclass of ApiError that matches its status code.
+ *
+ * @param {Request} request - HTTP request
+ * @param {Response} response - HTTP response
+ * @param {string} responseText - The response body
+ * @returns {ApiError} - An instance of ApiError or one of its subclasses
+ */
+function createApiError(request, response, responseText) {
+  let problem = {};
+  try {
+    const json = JSON.parse(responseText);
+    if (json && typeof json === "object" && !Array.isArray(json)) {
+      problem = json;
+    }
+  } catch (error) {
+    // The body isn't JSON, so there are no problem details
+  }
+
+  // Describe the problem, or show the body if it doesn't have problem details
+  const reason = String(problem.detail || problem.title || responseText);
+  const message = `Request to ${request.url} failed with status ${
+    response.status
+  } ${response.statusText}: ${reason}${reason.endsWith(".") ? "" : "."}`;
+
+  let ErrorClass = ApiError;
+  if (response.status === 401) {
+    ErrorClass = AuthenticationError;
+  } else if (response.status === 403) {
+    ErrorClass = PermissionDeniedError;
+  } else if (response.status === 404) {
+    ErrorClass = NotFoundError;
+  } else if (response.status === 422) {
+    ErrorClass = ValidationError;
+  } else if (response.status === 429) {
+    ErrorClass = RateLimitError;
+  } else if (response.status >= 500) {
+    ErrorClass = ServerError;
+  }
+
+  return new ErrorClass(message, request, response, problem);
+}
+
+module.exports = {
+  ApiError,
+  AuthenticationError,
+  PermissionDeniedError,
+  NotFoundError,
+  ValidationError,
+  RateLimitError,
+  ServerError,
+  PredictionTimeoutError,
+  PredictionFailedError,
+  InputValidationError,
+  UnmatchedRequestError,
+  createApiError,
+  parseRetryAfter,
+};
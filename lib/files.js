@@ -0,0 +1,101 @@
+/**
+ * Upload a file that can be passed as an input when running a model
+ *
+ * @param {Blob|Buffer|ArrayBuffer|ArrayBufferView} file - Required. The file content
+ * @param {object} [options]
+ * @param {string} [options.filename] - The name of the file. Defaults to the name of the `File`, or a generated name
+ * @param {string} [options.content_type] - The MIME type of the file. Defaults to the type of the `Blob`, or `application/octet-stream`
+ * @param {object} [options.metadata] - User-provided metadata associated with the file
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
+ * @returns {Promise<object>} - Resolves with the file data
+ */
+async function createFile(file, options = {}) {
+  let blob;
+  if (typeof Blob !== "undefined" && file instanceof Blob) {
+    blob = file;
+  } else if (file instanceof ArrayBuffer || ArrayBuffer.isView(file)) {
+    blob = new Blob([file], {
+      type: options.content_type || "application/octet-stream",
+    });
+  } else {
+    throw new Error(
+      "Invalid file argument, must be a Blob, File, Buffer, or ArrayBuffer"
+    );
+  }
+
+  const filename = options.filename || file.name || `file_${Date.now()}`;
+
+  const form = new FormData();
+  form.append("content", blob, filename);
+  form.append(
+    "metadata",
+    new Blob([JSON.stringify(options.metadata || {})], {
+      type: "application/json",
+    })
+  );
+
+  const response = await this.request("/files", {
+    method: "POST",
+    data: form,
+    signal: options.signal,
+  });
+
+  return response.json();
+}
+
+/**
+ * List user files
+ *
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
+ * @returns {Promise<object>} - Resolves with a page of files
+ */
+async function listFiles(options = {}) {
+  const response = await this.request("/files", {
+    method: "GET",
+    signal: options.signal,
+  });
+
+  return response.json();
+}
+
+/**
+ * Get metadata for a file
+ *
+ * @param {string} file_id - Required. The ID of the file.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
+ * @returns {Promise<object>} - Resolves with the file data
+ */
+async function getFile(file_id, options = {}) {
+  const response = await this.request(`/files/${file_id}`, {
+    method: "GET",
+    signal: options.signal,
+  });
+
+  return response.json();
+}
+
+/**
+ * Delete a file
+ *
+ * @param {string} file_id - Required. The ID of the file.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
+ * @returns {Promise<boolean>} - Resolves with true if the file was deleted
+ */
+async function deleteFile(file_id, options = {}) {
+  const response = await this.request(`/files/${file_id}`, {
+    method: "DELETE",
+    signal: options.signal,
+  });
+
+  return response.status === 204;
+}
+
+module.exports = {
+  create: createFile,
+  list: listFiles,
+  get: getFile,
+  delete: deleteFile,
+};
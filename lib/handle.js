@@ -0,0 +1,275 @@
+const { fetchWithHooks } = require("./hooks");
+const { PredictionStream, Stream } = require("./stream");
+const { sleep } = require("./util");
+
+/**
+ * Check whether a prediction or training has finished.
+ *
+ * @param {object} prediction - The prediction or training object
+ * @returns {boolean} - True if it succeeded, failed or was canceled
+ */
+function isTerminal(prediction) {
+  return (
+    prediction.status === "succeeded" ||
+    prediction.status === "failed" ||
+    prediction.status === "canceled"
+  );
+}
+
+/**
+ * A prediction with methods for waiting for it, canceling it and reading its output.
+ *
+ * The handle has the same fields as the prediction object returned by the API,
+ * and updates them each time it fetches the prediction.
+ * Clients created with `usePredictionHandles` return handles
+ * from `predictions.create`, `predictions.get`, `predictions.cancel`,
+ * and `deployments.predictions.create`.
+ */
+class PredictionHandle {
+  /**
+   * Create a handle for a prediction.
+   *
+   * @param {object} client - The Replicate client
+   * @param {object} data - The prediction object returned by the API
+   */
+  constructor(client, data) {
+    // Keep the client and listeners out of the prediction's fields
+    Object.defineProperty(this, "client", { value: client });
+    Object.defineProperty(this, "listeners", {
+      value: { status: [], logs: [], output: [], done: [] },
+    });
+    Object.assign(this, data);
+  }
+
+  /**
+   * The resource module used to fetch and cancel the prediction.
+   *
+   * @returns {object} - The client's `predictions`
+   */
+  get resource() {
+    return this.client.predictions;
+  }
+
+  /**
+   * Register a listener for a type of event.
+   *
+   * `status` listeners receive the handle and the previous status when the status changes,
+   * `logs` listeners receive new log text,
+   * `output` listeners receive the output when it changes,
+   * and `done` listeners receive the handle when the prediction finishes.
+   * Events are emitted when the handle fetches the prediction,
+   * with `reload`, `wait`, `cancel` or `tailLogs`.
+   *
+   * @param {"status"|"logs"|"output"|"done"} type - The event type
+   * @param {Function} listener - The listener, which may be async
+   * @returns {PredictionHandle} - This handle, for chaining
+   */
+  on(type, listener) {
+    if (!this.listeners[type]) {
+      throw new Error(`Unknown prediction event type: ${type}`);
+    }
+
+    this.listeners[type].push(listener);
+    return this;
+  }
+
+  /**
+   * Remove a listener registered with `on`.
+   *
+   * @param {"status"|"logs"|"output"|"done"} type - The event type
+   * @param {Function} listener - The listener
+   * @returns {PredictionHandle} - This handle, for chaining
+   */
+  off(type, listener) {
+    if (!this.listeners[type]) {
+      throw new Error(`Unknown prediction event type: ${type}`);
+    }
+
+    const index = this.listeners[type].indexOf(listener);
+    if (index !== -1) {
+      this.listeners[type].splice(index, 1);
+    }
+    return this;
+  }
+
+  async emit(type, ...args) {
+    for (const listener of this.listeners[type]) {
+      await listener(...args);
+    }
+  }
+
+  /**
+   * Replace the fields of the handle with a newer state of the prediction,
+   * and emit events for what changed.
+   *
+   * @param {object} data - The prediction object returned by the API
+   * @returns {Promise<PredictionHandle>} - Resolves with this handle
+   */
+  async update(data) {
+    const previous = { ...this };
+    Object.assign(this, data);
+
+    const logs = this.logs || "";
+    const previousLogs = previous.logs || "";
+    if (logs.length > previousLogs.length && logs.startsWith(previousLogs)) {
+      await this.emit("logs", logs.slice(previousLogs.length));
+    } else if (logs !== previousLogs) {
+      await this.emit("logs", logs);
+    }
+
+    if (JSON.stringify(this.output) !== JSON.stringify(previous.output)) {
+      await this.emit("output", this.output);
+    }
+
+    if (this.status !== previous.status) {
+      await this.emit("status", this, previous.status);
+      if (isTerminal(this)) {
+        await this.emit("done", this);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Fetch the latest state of the prediction.
+   *
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
+   * @returns {Promise<PredictionHandle>} - Resolves with this handle
+   */
+  async reload(options = {}) {
+    const data = await this.resource.get(this.id, options);
+    return this.update(data);
+  }
+
+  /**
+   * Cancel the prediction.
+   *
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
+   * @returns {Promise<PredictionHandle>} - Resolves with this handle
+   */
+  async cancel(options = {}) {
+    const data = await this.resource.cancel(this.id, options);
+    return this.update(data);
+  }
+
+  /**
+   * Wait for the prediction to finish, updating the handle each time it's polled.
+   *
+   * @param {object} [options] - The options for `replicate.wait`, like `interval`, `timeout` and `signal`
+   * @returns {Promise<PredictionHandle>} - Resolves with this handle when the prediction succeeded or was canceled
+   * @throws {PredictionFailedError} If the prediction failed
+   * @throws {PredictionTimeoutError} If the prediction doesn't finish before the timeout or deadline
+   */
+  async wait(options) {
+    try {
+      const data = await this.client.wait(this, options, async (current) => {
+        await this.update(current);
+      });
+      return this.update(data);
+    } catch (error) {
+      if (error.prediction) {
+        await this.update(error.prediction);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read the new log text of the prediction as it runs,
+   * polling until it finishes.
+   *
+   * @param {object} [options]
+   * @param {number} [options.interval] - Polling interval in milliseconds. Defaults to 500
+   * @param {AbortSignal} [options.signal] - AbortSignal to stop polling
+   * @yields {string} Log text that wasn't yielded before
+   */
+  async *tailLogs(options = {}) {
+    const { interval = 500, signal } = options;
+
+    let offset = 0;
+    for (;;) {
+      const logs = this.logs || "";
+      if (logs.length < offset) {
+        offset = 0;
+      }
+      if (logs.length > offset) {
+        yield logs.slice(offset);
+        offset = logs.length;
+      }
+
+      if (isTerminal(this)) {
+        return;
+      }
+
+      await sleep(interval, signal);
+      await this.reload({ signal });
+    }
+  }
+
+  /**
+   * Stream the output of the prediction,
+   * if it was created with `stream: true`.
+   *
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - AbortSignal to stop streaming
+   * @returns {PredictionStream} An async iterable of each streamed event from the prediction
+   * @throws {Error} If the prediction doesn't support streaming
+   */
+  stream(options = {}) {
+    const { signal } = options;
+    if (!this.urls || !this.urls.stream) {
+      throw new Error("Prediction does not support streaming");
+    }
+
+    const events = new Stream({
+      url: this.urls.stream,
+      fetch: fetchWithHooks(this.client, signal),
+      options: { signal },
+    });
+    return new PredictionStream(events, () => this.reload({ signal }));
+  }
+
+  /**
+   * Get the prediction object, without the handle's methods.
+   *
+   * @returns {object} - The prediction fields
+   */
+  toJSON() {
+    return { ...this };
+  }
+}
+
+/**
+ * A training with methods for waiting for it, canceling it and reading its logs.
+ *
+ * Clients created with `usePredictionHandles` return training handles
+ * from `trainings.create`, `trainings.get` and `trainings.cancel`.
+ */
+class TrainingHandle extends PredictionHandle {
+  /**
+   * The resource module used to fetch and cancel the training.
+   *
+   * @returns {object} - The client's `trainings`
+   */
+  get resource() {
+    return this.client.trainings;
+  }
+}
+
+/**
+ * Wrap a prediction or training in a handle,
+ * if the client was created with `usePredictionHandles`.
+ *
+ * @param {object} client - The Replicate client
+ * @param {object} data - The prediction or training object returned by the API
+ * @param {typeof PredictionHandle} [Handle] - The handle class. Defaults to `PredictionHandle`
+ * @returns {object} - The handle, or the data as it is
+ */
+function toHandle(client, data, Handle = PredictionHandle) {
+  return client.usePredictionHandles ? new Handle(client, data) : data;
+}
+
+module.exports = { PredictionHandle, TrainingHandle, toHandle };
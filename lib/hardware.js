@@ -1,11 +1,14 @@
 /**
  * List hardware
  *
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
  * @returns {Promise<object[]>} Resolves with the array of hardware
  */
-async function listHardware() {
+async function listHardware(options = {}) {
   const response = await this.request("/hardware", {
     method: "GET",
+    signal: options.signal,
   });
 
   return response.json();
@@ -0,0 +1,150 @@
+/**
+ * Names of the hooks that can be added to a client.
+ */
+const HOOK_NAMES = ["beforeRequest", "afterResponse", "onError"];
+
+/**
+ * Create the hook lists for a client.
+ *
+ * @param {object} [hooks] - Hooks to start with, each a function or an array of functions
+ * @returns {object} - An object with an array of functions for each hook
+ */
+function createHooks(hooks = {}) {
+  const result = {};
+  for (const name of HOOK_NAMES) {
+    result[name] = [];
+  }
+  addHooks(result, hooks);
+  return result;
+}
+
+/**
+ * Add middleware to a client's hook lists.
+ *
+ * @param {object} hooks - The client's hook lists
+ * @param {object} middleware - An object with a function or an array of functions for any of the hooks
+ * @throws {Error} If the middleware has an unknown hook or a hook that isn't a function
+ */
+function addHooks(hooks, middleware) {
+  for (const [name, value] of Object.entries(middleware || {})) {
+    if (!HOOK_NAMES.includes(name)) {
+      throw new Error(
+        `Unknown hook: ${name}. Expected one of ${HOOK_NAMES.join(", ")}`
+      );
+    }
+
+    for (const hook of [].concat(value)) {
+      if (typeof hook !== "function") {
+        throw new Error(`Invalid ${name} hook. Expected a function`);
+      }
+      hooks[name].push(hook);
+    }
+  }
+}
+
+/**
+ * Check whether a hook returned a response.
+ *
+ * @param {any} value - The value returned by a hook
+ * @returns {boolean} - True if the value looks like a Response
+ */
+function isResponse(value) {
+  return Boolean(
+    value &&
+      typeof value === "object" &&
+      typeof value.status === "number" &&
+      value.headers
+  );
+}
+
+/**
+ * Send a request through a client's hooks.
+ *
+ * `beforeRequest` hooks run in order before the request is sent,
+ * and can change the request context, like its `url`, `headers` or `data`.
+ * If one returns a Response, the request isn't sent and that response is used instead.
+ * `afterResponse` hooks run in order with the context and the response,
+ * which they can replace by returning another Response.
+ * `onError` hooks run with the error and the context
+ * if sending the request or checking the response throws.
+ * The error is rethrown after the hooks run.
+ *
+ * The context has the `route`, `url`, `method`, `params`, `data`, `headers` and `signal`
+ * of the request, and after the request, its `startTime` and `duration` in milliseconds.
+ *
+ * @param {object} hooks - The client's hook lists
+ * @param {object} context - The request context
+ * @param {Function} send - A function that sends the request and returns a Promise that resolves with a Response object
+ * @param {Function} [check] - A function that throws if the response is unsuccessful
+ * @returns {Promise<Response>} - Resolves with the response object
+ */
+async function runHooks(hooks, context, send, check) {
+  context.startTime = Date.now();
+
+  try {
+    let response;
+    for (const hook of hooks.beforeRequest) {
+      const result = await hook(context);
+      if (isResponse(result)) {
+        response = result;
+        break;
+      }
+    }
+
+    if (!response) {
+      response = await send(context);
+    }
+    context.duration = Date.now() - context.startTime;
+
+    for (const hook of hooks.afterResponse) {
+      const result = await hook(context, response);
+      if (isResponse(result)) {
+        response = result;
+      }
+    }
+
+    if (check) {
+      await check(response);
+    }
+
+    return response;
+  } catch (error) {
+    if (context.duration === undefined) {
+      context.duration = Date.now() - context.startTime;
+    }
+
+    for (const hook of hooks.onError) {
+      await hook(error, context);
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Create a fetch function that sends requests through a client's hooks,
+ * for requests that don't go through `request`, like reading a prediction's stream.
+ *
+ * @param {object} client - The Replicate client
+ * @param {AbortSignal} [signal] - AbortSignal for the request context
+ * @returns {Function} - A fetch function
+ */
+function fetchWithHooks(client, signal) {
+  const { fetch } = client;
+  return (url, init = {}) =>
+    runHooks(
+      client.hooks,
+      {
+        route: url,
+        url: new URL(url),
+        method: init.method || "GET",
+        params: {},
+        data: undefined,
+        headers: init.headers,
+        signal,
+      },
+      (context) => fetch(context.url, { ...init, headers: context.headers })
+    );
+}
+
+module.exports = { createHooks, addHooks, runHooks, fetchWithHooks };
@@ -22,7 +22,7 @@ class ModelVersionIdentifier {
    */
   static parse(ref) {
     const match = ref.match(
-      /^(?<owner>[^/]+)\/(?<name>[^/:]+)(:(?<version>.+))?$/
+      /^(?<owner>[a-zA-Z0-9][a-zA-Z0-9._-]*)\/(?<name>[a-zA-Z0-9][a-zA-Z0-9._-]*)(:(?<version>[a-zA-Z0-9]+))?$/
     );
     if (!match) {
       throw new Error(
@@ -34,6 +34,16 @@ class ModelVersionIdentifier {
 
     return new ModelVersionIdentifier(owner, name, version);
   }
+
+  /**
+   * Format the identifier as a reference
+   *
+   * @returns {string} The reference in the format `owner/name` or `owner/name:version`
+   */
+  toString() {
+    const ref = `${this.owner}/${this.name}`;
+    return this.version ? `${ref}:${this.version}` : ref;
+  }
 }
 
 module.exports = ModelVersionIdentifier;
@@ -3,11 +3,14 @@
  *
  * @param {string} model_owner - Required. The name of the user or organization that owns the model
  * @param {string} model_name - Required. The name of the model
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
  * @returns {Promise<object>} Resolves with the model data
  */
-async function getModel(model_owner, model_name) {
+async function getModel(model_owner, model_name, options = {}) {
   const response = await this.request(`/models/${model_owner}/${model_name}`, {
     method: "GET",
+    signal: options.signal,
   });
 
   return response.json();
@@ -18,13 +21,16 @@ async function getModel(model_owner, model_name) {
  *
  * @param {string} model_owner - Required. The name of the user or organization that owns the model
  * @param {string} model_name - Required. The name of the model
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
  * @returns {Promise<object>} Resolves with the list of model versions
  */
-async function listModelVersions(model_owner, model_name) {
+async function listModelVersions(model_owner, model_name, options = {}) {
   const response = await this.request(
     `/models/${model_owner}/${model_name}/versions`,
     {
       method: "GET",
+      signal: options.signal,
     }
   );
 
@@ -37,13 +43,21 @@ async function listModelVersions(model_owner, model_name) {
  * @param {string} model_owner - Required. The name of the user or organization that owns the model
  * @param {string} model_name - Required. The name of the model
  * @param {string} version_id - Required. The model version
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
  * @returns {Promise<object>} Resolves with the model version data
  */
-async function getModelVersion(model_owner, model_name, version_id) {
+async function getModelVersion(
+  model_owner,
+  model_name,
+  version_id,
+  options = {}
+) {
   const response = await this.request(
     `/models/${model_owner}/${model_name}/versions/${version_id}`,
     {
       method: "GET",
+      signal: options.signal,
     }
   );
 
@@ -53,11 +67,14 @@ async function getModelVersion(model_owner, model_name, version_id) {
 /**
  * List all public models
  *
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
  * @returns {Promise<object>} Resolves with the model version data
  */
-async function listModels() {
+async function listModels(options = {}) {
   const response = await this.request("/models", {
     method: "GET",
+    signal: options.signal,
   });
 
   return response.json();
@@ -76,14 +93,17 @@ async function listModels() {
  * @param {string} options.paper_url - A URL for the model's paper.
  * @param {string} options.license_url - A URL for the model's license.
  * @param {string} options.cover_image_url - A URL for the model's cover image. This should be an image file.
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
  * @returns {Promise<object>} Resolves with the model version data
  */
 async function createModel(model_owner, model_name, options) {
-  const data = { owner: model_owner, name: model_name, ...options };
+  const { signal, ...rest } = options;
+  const data = { owner: model_owner, name: model_name, ...rest };
 
   const response = await this.request("/models", {
     method: "POST",
     data,
+    signal,
   });
 
   return response.json();
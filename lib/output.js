@@ -0,0 +1,216 @@
+const { getBodyReader } = require("./util");
+
+/**
+ * Decode a data URI into a response.
+ *
+ * @param {string} uri - A URI in the format `data:[<media-type>][;base64],<data>`
+ * @returns {Response} - A response with the decoded content
+ */
+function decodeDataURI(uri) {
+  const match = uri.match(
+    /^data:(?<type>[^;,]*)(?<base64>;base64)?,(?<data>.*)$/s
+  );
+  if (!match) {
+    throw new Error(`Invalid data URI: ${uri.slice(0, 32)}...`);
+  }
+
+  const { type, base64, data } = match.groups;
+
+  let bytes;
+  if (base64) {
+    const binary = atob(data);
+    bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+  } else {
+    bytes = new TextEncoder().encode(decodeURIComponent(data));
+  }
+
+  return new Response(bytes, {
+    headers: { "Content-Type": type || "text/plain" },
+  });
+}
+
+/**
+ * A file produced by a model.
+ *
+ * Downloads go through `Replicate.request`,
+ * so they use the client's `fetch` function and automatic retries.
+ * Converting a file output to a string or JSON returns its URL.
+ */
+class FileOutput {
+  /**
+   * Create a new file output.
+   *
+   * @param {object} client - The Replicate client
+   * @param {string} url - The URL of the file
+   */
+  constructor(client, url) {
+    this.client = client;
+    this.url = url;
+  }
+
+  /**
+   * Fetch the file.
+   *
+   * @returns {Promise<Response>} - Resolves with the response for the file
+   */
+  async fetch() {
+    if (this.url.startsWith("data:")) {
+      return decodeDataURI(this.url);
+    }
+
+    return this.client.request(new URL(this.url), { method: "GET" });
+  }
+
+  /**
+   * Download the file into a Blob.
+   *
+   * @returns {Promise<Blob>} - Resolves with the file content
+   */
+  async blob() {
+    const response = await this.fetch();
+    return response.blob();
+  }
+
+  /**
+   * Download the file into an ArrayBuffer.
+   *
+   * @returns {Promise<ArrayBuffer>} - Resolves with the file content
+   */
+  async arrayBuffer() {
+    const response = await this.fetch();
+    return response.arrayBuffer();
+  }
+
+  /**
+   * Stream the file content.
+   *
+   * The file is requested when the stream is first read.
+   *
+   * @returns {ReadableStream<Uint8Array>} - A web stream of the file content
+   */
+  stream() {
+    let reader;
+    return new ReadableStream({
+      pull: async (controller) => {
+        if (!reader) {
+          const response = await this.fetch();
+          reader = getBodyReader(response.body);
+        }
+
+        const { done, value } = await reader.read();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(new Uint8Array(value));
+        }
+      },
+      cancel: async (reason) => {
+        if (reader) {
+          await reader.cancel(reason);
+        }
+      },
+    });
+  }
+
+  /**
+   * Write the file to disk.
+   *
+   * Only available in Node.js.
+   *
+   * @param {string} path - Required. The destination path
+   * @returns {Promise<string>} - Resolves with the destination path
+   */
+  async saveTo(path) {
+    const fs = require("node:fs/promises");
+
+    const handle = await fs.open(path, "w");
+    try {
+      for await (const chunk of this) {
+        await handle.write(chunk);
+      }
+    } finally {
+      await handle.close();
+    }
+
+    return path;
+  }
+
+  async *[Symbol.asyncIterator]() {
+    const response = await this.fetch();
+    const reader = getBodyReader(response.body);
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+          return;
+        }
+        yield new Uint8Array(value);
+      }
+    } finally {
+      await reader.cancel().catch(() => {});
+    }
+  }
+
+  toString() {
+    return this.url;
+  }
+
+  toJSON() {
+    return this.url;
+  }
+}
+
+/**
+ * Replace URLs in model output with `FileOutput` objects.
+ *
+ * Walks arrays and plain objects recursively.
+ * Strings that are HTTP(S) URLs or data URIs are wrapped;
+ * everything else is returned unchanged.
+ *
+ * @param {object} client - The Replicate client
+ * @param {any} output - The prediction output
+ * @returns {any} - A copy of the output with URLs replaced
+ */
+function transformFileOutputs(client, output) {
+  if (typeof output === "string") {
+    if (output.startsWith("data:")) {
+      return new FileOutput(client, output);
+    }
+
+    if (/^https?:\/\//.test(output)) {
+      try {
+        // eslint-disable-next-line no-new
+        new URL(output);
+        return new FileOutput(client, output);
+      } catch (err) {
+        return output;
+      }
+    }
+
+    return output;
+  }
+
+  if (Array.isArray(output)) {
+    return output.map((item) => transformFileOutputs(client, item));
+  }
+
+  if (
+    output &&
+    typeof output === "object" &&
+    (Object.getPrototypeOf(output) === Object.prototype ||
+      Object.getPrototypeOf(output) === null)
+  ) {
+    const result = {};
+    for (const [key, value] of Object.entries(output)) {
+      result[key] = transformFileOutputs(client, value);
+    }
+    return result;
+  }
+
+  return output;
+}
+
+module.exports = { FileOutput, transformFileOutputs };
@@ -1,17 +1,24 @@
+const { toHandle } = require("./handle");
+const { validatePredictionInput } = require("./schema");
+const { transformFileInputs } = require("./util");
+
 /**
  * Create a new prediction
  *
  * @param {object} options
- * @param {string} options.model - The model.
+ * @param {string} options.model - The model. With `version`, only used to look up the version's schema when validating inputs
  * @param {string} options.version - The model version.
- * @param {object} options.input - Required. An object with the model inputs
+ * @param {object} options.input - Required. An object with the model inputs. File values (Blob, Buffer, or stream) are uploaded or encoded as data URIs
  * @param {string} [options.webhook] - An HTTPS URL for receiving a webhook when the prediction has new output
  * @param {string[]} [options.webhook_events_filter] - You can change which events trigger webhook requests by specifying webhook events (`start`|`output`|`logs`|`completed`)
  * @param {boolean} [options.stream] - Whether to stream the prediction output. Defaults to false
- * @returns {Promise<object>} Resolves with the created prediction
+ * @param {boolean} [options.validate] - Set to true to validate the inputs against the model version's schema before creating the prediction, and fill in defaults. Defaults to false
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
+ * @returns {Promise<object>} Resolves with the created prediction, or a `PredictionHandle` if the client was created with `usePredictionHandles`
+ * @throws {InputValidationError} If `validate` is true and any input is invalid
  */
 async function createPrediction(options) {
-  const { model, version, stream, ...data } = options;
+  const { model, version, stream, validate, signal, ...data } = options;
 
   if (data.webhook) {
     try {
@@ -22,60 +29,88 @@ async function createPrediction(options) {
     }
   }
 
+  if (validate) {
+    const [owner, name] = model ? model.split("/") : [];
+    const target = version
+      ? { type: "version", owner, name, version }
+      : { type: "model", owner, name };
+    data.input = await validatePredictionInput(
+      this,
+      target,
+      data.input,
+      signal
+    );
+  }
+
+  if (data.input) {
+    data.input = await transformFileInputs(this, data.input, { signal });
+  }
+
   let response;
   if (version) {
     response = await this.request("/predictions", {
       method: "POST",
       data: { ...data, stream, version },
+      signal,
     });
   } else if (model) {
     response = await this.request(`/models/${model}/predictions`, {
       method: "POST",
       data: { ...data, stream },
+      signal,
     });
   } else {
     throw new Error("Either model or version must be specified");
   }
 
-  return response.json();
+  return toHandle(this, await response.json());
 }
 
 /**
  * Fetch a prediction by ID
  *
  * @param {number} prediction_id - Required. The prediction ID
- * @returns {Promise<object>} Resolves with the prediction data
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
+ * @returns {Promise<object>} Resolves with the prediction data, or a `PredictionHandle` if the client was created with `usePredictionHandles`
  */
-async function getPrediction(prediction_id) {
+async function getPrediction(prediction_id, options = {}) {
   const response = await this.request(`/predictions/${prediction_id}`, {
     method: "GET",
+    signal: options.signal,
   });
 
-  return response.json();
+  return toHandle(this, await response.json());
 }
 
 /**
  * Cancel a prediction by ID
  *
  * @param {string} prediction_id - Required. The training ID
- * @returns {Promise<object>} Resolves with the data for the training
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
+ * @returns {Promise<object>} Resolves with the data for the training, or a `PredictionHandle` if the client was created with `usePredictionHandles`
  */
-async function cancelPrediction(prediction_id) {
+async function cancelPrediction(prediction_id, options = {}) {
   const response = await this.request(`/predictions/${prediction_id}/cancel`, {
     method: "POST",
+    signal: options.signal,
   });
 
-  return response.json();
+  return toHandle(this, await response.json());
 }
 
 /**
  * List all predictions
  *
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
  * @returns {Promise<object>} - Resolves with a page of predictions
  */
-async function listPredictions() {
+async function listPredictions(options = {}) {
   const response = await this.request("/predictions", {
     method: "GET",
+    signal: options.signal,
   });
 
   return response.json();
@@ -0,0 +1,151 @@
+const ModelVersionIdentifier = require("./identifier");
+
+/**
+ * Pattern for the owner or name of a model or deployment.
+ */
+const NAME = "[a-zA-Z0-9][a-zA-Z0-9._-]*";
+
+/**
+ * Paths of API URLs that identify a model, model version or deployment.
+ */
+const URL_PATTERNS = [
+  {
+    type: "version",
+    pattern: new RegExp(
+      `^/v1/models/(?<owner>${NAME})/(?<name>${NAME})/versions/(?<version>[a-zA-Z0-9]+)(/predictions)?/?$`
+    ),
+  },
+  {
+    type: "model",
+    pattern: new RegExp(
+      `^/v1/models/(?<owner>${NAME})/(?<name>${NAME})(/predictions)?/?$`
+    ),
+  },
+  {
+    type: "deployment",
+    pattern: new RegExp(
+      `^/v1/deployments/(?<owner>${NAME})/(?<name>${NAME})(/predictions)?/?$`
+    ),
+  },
+];
+
+/**
+ * Resolve a reference to something that can run predictions.
+ *
+ * Accepts:
+ * - a model or model version, as `owner/name` or `owner/name:version`
+ * - a deployment, as `deployment:owner/name`
+ * - an API URL for a model, model version or deployment, like `https://api.replicate.com/v1/deployments/owner/name/predictions`
+ * - a `ModelVersionIdentifier`
+ * - a model version, model or deployment object returned by the API
+ *
+ * @param {string|object} ref - The reference
+ * @returns {{type: "model"|"version"|"deployment", owner?: string, name?: string, version?: string, schema?: object}} - What the reference points to, and the OpenAPI schema of a model version object
+ * @throws {Error} If the reference is invalid
+ */
+function resolveReference(ref) {
+  if (ref instanceof ModelVersionIdentifier) {
+    return ref.version
+      ? {
+          type: "version",
+          owner: ref.owner,
+          name: ref.name,
+          version: ref.version,
+        }
+      : { type: "model", owner: ref.owner, name: ref.name };
+  }
+
+  if (ref && typeof ref === "object") {
+    // A deployment from `deployments.get`
+    if (ref.owner && ref.name && ref.current_release) {
+      return { type: "deployment", owner: ref.owner, name: ref.name };
+    }
+
+    // A model version from `models.versions.get`
+    if (typeof ref.id === "string" && "openapi_schema" in ref) {
+      return { type: "version", version: ref.id, schema: ref.openapi_schema };
+    }
+
+    // A model from `models.get`
+    if (ref.owner && ref.name) {
+      return { type: "model", owner: ref.owner, name: ref.name };
+    }
+
+    throw new Error(
+      "Invalid reference object. Expected a model, model version or deployment"
+    );
+  }
+
+  if (typeof ref !== "string") {
+    throw new Error("Invalid reference. Expected a string or object");
+  }
+
+  if (ref.startsWith("deployment:")) {
+    const match = ref.match(
+      new RegExp(`^deployment:(?<owner>${NAME})/(?<name>${NAME})$`)
+    );
+    if (!match) {
+      throw new Error(
+        `Invalid reference to deployment: ${ref}. Expected format: deployment:owner/name`
+      );
+    }
+    return { type: "deployment", ...match.groups };
+  }
+
+  if (ref.startsWith("https://") || ref.startsWith("http://")) {
+    const { pathname } = new URL(ref);
+    for (const { type, pattern } of URL_PATTERNS) {
+      const match = pathname.match(pattern);
+      if (match) {
+        const { owner, name, version } = match.groups;
+        return type === "version"
+          ? { type, owner, name, version }
+          : { type, owner, name };
+      }
+    }
+    throw new Error(
+      `Invalid reference URL: ${ref}. Expected an API URL for a model, model version or deployment`
+    );
+  }
+
+  return resolveReference(ModelVersionIdentifier.parse(ref));
+}
+
+/**
+ * Create a prediction with the endpoint for a reference.
+ *
+ * @param {object} client - The Replicate client
+ * @param {string|object} ref - A reference accepted by `resolveReference`
+ * @param {object} options - Options for creating the prediction, like `input`, `stream` and `signal`
+ * @returns {Promise<object>} Resolves with the created prediction data
+ * @throws {Error} If the reference is invalid
+ */
+async function createPrediction(client, ref, options) {
+  const target = resolveReference(ref);
+
+  switch (target.type) {
+    case "deployment":
+      return client.deployments.predictions.create(
+        target.owner,
+        target.name,
+        options
+      );
+    case "version":
+      // Model version objects carry their schema, so validating doesn't fetch it
+      if (target.schema && options.validate) {
+        client.versionSchemas.set(target.version, target.schema);
+      }
+      return client.predictions.create({
+        ...options,
+        version: target.version,
+        model: target.owner ? `${target.owner}/${target.name}` : undefined,
+      });
+    default:
+      return client.predictions.create({
+        ...options,
+        model: `${target.owner}/${target.name}`,
+      });
+  }
+}
+
+module.exports = { resolveReference, createPrediction };
@@ -0,0 +1,248 @@
+const { parseRetryAfter } = require("./error");
+const { abortReason } = require("./util");
+
+/**
+ * Check whether a request creates a prediction or training.
+ *
+ * Creation requests have their own budget,
+ * so that polling for results isn't starved by a burst of new predictions.
+ *
+ * @param {string} method - HTTP method
+ * @param {URL} url - Request URL
+ * @returns {"create"|"request"} - The kind of request
+ */
+function requestKind(method, url) {
+  if (method === "POST" && /\/(predictions|trainings)\/?$/.test(url.pathname)) {
+    return "create";
+  }
+  return "request";
+}
+
+/**
+ * Create the state for one kind of request.
+ *
+ * @param {number} [perSecond] - Maximum number of requests to start per second
+ * @param {number} [maxConcurrency] - Maximum number of requests in flight
+ * @returns {object} - The budget
+ */
+function createBudget(perSecond, maxConcurrency) {
+  const rate = perSecond || Number.POSITIVE_INFINITY;
+  return {
+    rate,
+    maxRate: rate,
+    maxConcurrency: maxConcurrency || Number.POSITIVE_INFINITY,
+    active: 0,
+    nextStart: 0,
+    pausedUntil: 0,
+  };
+}
+
+/**
+ * Read the number of seconds until a rate limit resets
+ * from a response's rate limit headers, if the limit is used up.
+ *
+ * @param {Response} response - HTTP response
+ * @returns {number|undefined} - Seconds until more requests are allowed
+ */
+function rateLimitReset(response) {
+  const { headers } = response;
+  const remaining =
+    headers.get("RateLimit-Remaining") || headers.get("X-RateLimit-Remaining");
+  if (remaining === null || Number.parseInt(remaining, 10) > 0) {
+    return undefined;
+  }
+
+  const reset =
+    headers.get("RateLimit-Reset") || headers.get("X-RateLimit-Reset");
+  const seconds = Number.parseInt(reset, 10);
+  if (Number.isNaN(seconds)) {
+    return undefined;
+  }
+
+  // Some APIs send the reset time as a Unix timestamp rather than a delay
+  const now = Date.now() / 1000;
+  return seconds > now ? seconds - now : seconds;
+}
+
+/**
+ * A queue that limits how many requests a client has in flight
+ * and how quickly it starts them.
+ *
+ * Requests that create predictions or trainings and all other requests,
+ * like polling for a prediction's status, have separate budgets.
+ * When the API responds with 429 or reports that a rate limit is used up,
+ * requests of that kind are paused until the limit resets,
+ * and the rate is halved, then increased again with each successful request.
+ */
+class RequestScheduler {
+  /**
+   * Create a request scheduler.
+   *
+   * @param {object} [options]
+   * @param {number} [options.maxConcurrency] - Maximum number of requests in flight. Defaults to no limit
+   * @param {number} [options.createsPerSecond] - Maximum number of prediction and training creation requests to start per second. Defaults to no limit
+   * @param {number} [options.createConcurrency] - Maximum number of creation requests in flight. Defaults to no limit
+   * @param {number} [options.requestsPerSecond] - Maximum number of other requests to start per second. Defaults to no limit
+   */
+  constructor(options = {}) {
+    this.maxConcurrency = options.maxConcurrency || Number.POSITIVE_INFINITY;
+    this.active = 0;
+    this.queue = [];
+    this.timer = null;
+    this.budgets = {
+      create: createBudget(options.createsPerSecond, options.createConcurrency),
+      request: createBudget(options.requestsPerSecond),
+    };
+  }
+
+  /**
+   * Run a request when the budget for its kind allows it.
+   *
+   * @param {"create"|"request"} kind - The kind of request
+   * @param {Function} task - A function that returns a Promise that resolves with a Response object
+   * @param {AbortSignal} [signal] - A signal that removes the request from the queue when aborted
+   * @returns {Promise<Response>} - Resolves with the response object
+   */
+  async schedule(kind, task, signal) {
+    await this.acquire(kind, signal);
+    try {
+      const response = await task();
+      this.observe(kind, response);
+      return response;
+    } finally {
+      this.release(kind);
+    }
+  }
+
+  /**
+   * Wait for a slot to start a request.
+   *
+   * @param {"create"|"request"} kind - The kind of request
+   * @param {AbortSignal} [signal] - A signal that removes the request from the queue when aborted
+   * @returns {Promise<void>} - Resolves when the request can start
+   */
+  acquire(kind, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortReason(signal));
+        return;
+      }
+
+      const waiter = { kind, resolve, signal };
+      if (signal) {
+        waiter.onAbort = () => {
+          this.queue = this.queue.filter((w) => w !== waiter);
+          reject(abortReason(signal));
+        };
+        signal.addEventListener("abort", waiter.onAbort, { once: true });
+      }
+
+      this.queue.push(waiter);
+      this.drain();
+    });
+  }
+
+  /**
+   * Free the slot of a finished request.
+   *
+   * @param {"create"|"request"} kind - The kind of request
+   */
+  release(kind) {
+    this.active -= 1;
+    this.budgets[kind].active -= 1;
+    this.drain();
+  }
+
+  /**
+   * Adapt the budget for a kind of request to a response.
+   *
+   * @param {"create"|"request"} kind - The kind of request
+   * @param {Response} response - HTTP response
+   */
+  observe(kind, response) {
+    const budget = this.budgets[kind];
+
+    if (response.status === 429) {
+      const retryAfter = parseRetryAfter(response.headers.get("Retry-After"));
+      const pause = retryAfter === undefined ? 1 : retryAfter;
+      budget.pausedUntil = Math.max(
+        budget.pausedUntil,
+        Date.now() + pause * 1000
+      );
+      if (Number.isFinite(budget.rate)) {
+        budget.rate = Math.max(budget.rate / 2, budget.maxRate / 16);
+      }
+      return;
+    }
+
+    const reset = rateLimitReset(response);
+    if (reset !== undefined) {
+      budget.pausedUntil = Math.max(
+        budget.pausedUntil,
+        Date.now() + reset * 1000
+      );
+    }
+
+    if (response.ok && budget.rate < budget.maxRate) {
+      budget.rate = Math.min(budget.rate + 1, budget.maxRate);
+    }
+  }
+
+  /**
+   * Start as many queued requests as the budgets allow,
+   * in the order they were queued,
+   * and schedule another pass for requests that have to wait.
+   */
+  drain() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const now = Date.now();
+    let wakeAt = Number.POSITIVE_INFINITY;
+    const blocked = new Set();
+
+    for (const waiter of [...this.queue]) {
+      if (this.active >= this.maxConcurrency) {
+        break;
+      }
+
+      // Keep requests of the same kind in order
+      if (blocked.has(waiter.kind)) {
+        continue;
+      }
+
+      const budget = this.budgets[waiter.kind];
+      if (budget.active >= budget.maxConcurrency) {
+        blocked.add(waiter.kind);
+        continue;
+      }
+
+      const startAt = Math.max(budget.nextStart, budget.pausedUntil);
+      if (startAt > now) {
+        blocked.add(waiter.kind);
+        wakeAt = Math.min(wakeAt, startAt);
+        continue;
+      }
+
+      this.queue = this.queue.filter((w) => w !== waiter);
+      if (waiter.signal) {
+        waiter.signal.removeEventListener("abort", waiter.onAbort);
+      }
+
+      this.active += 1;
+      budget.active += 1;
+      if (Number.isFinite(budget.rate)) {
+        budget.nextStart = Math.max(budget.nextStart, now) + 1000 / budget.rate;
+      }
+      waiter.resolve();
+    }
+
+    if (this.queue.length > 0 && Number.isFinite(wakeAt)) {
+      this.timer = setTimeout(() => this.drain(), wakeAt - now);
+    }
+  }
+}
+
+module.exports = { RequestScheduler, requestKind };
@@ -0,0 +1,284 @@
+const { InputValidationError } = require("./error");
+const { isFileInput } = require("./util");
+
+/**
+ * Checks for the JSON Schema types used by model inputs.
+ */
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  boolean: (value) => typeof value === "boolean",
+  array: (value) => Array.isArray(value),
+  object: (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value),
+  null: (value) => value === null,
+};
+
+/**
+ * Describe the type of a value for an error message.
+ *
+ * @param {any} value - The value
+ * @returns {string} - The JSON Schema type of the value
+ */
+function describeType(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (Number.isInteger(value)) {
+    return "integer";
+  }
+  return typeof value;
+}
+
+/**
+ * Resolve `$ref` and `allOf` in a schema,
+ * like the enums that Cog puts in `components.schemas`.
+ *
+ * @param {object} root - The OpenAPI schema of the model version
+ * @param {object} schema - The schema to resolve
+ * @returns {object} - The schema with references merged in
+ */
+function resolveSchema(root, schema) {
+  let result = { ...schema };
+
+  if (result.$ref) {
+    const path = result.$ref.replace(/^#\//, "").split("/");
+    const target = path.reduce((node, key) => (node ? node[key] : node), root);
+    if (!target) {
+      throw new Error(`Invalid schema reference: ${result.$ref}`);
+    }
+    const { $ref, ...rest } = result;
+    result = { ...resolveSchema(root, target), ...rest };
+  }
+
+  if (result.allOf) {
+    const { allOf, ...rest } = result;
+    result = rest;
+    for (const part of allOf) {
+      result = { ...resolveSchema(root, part), ...result };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check a value against a schema,
+ * adding a problem for each way it doesn't match.
+ *
+ * @param {object} root - The OpenAPI schema of the model version
+ * @param {object} schema - The schema for the value
+ * @param {any} value - The value
+ * @param {string} field - The name of the field, for error messages
+ * @param {object[]} problems - The list of problems to add to
+ */
+function checkValue(root, schema, value, field, problems) {
+  const resolved = resolveSchema(root, schema);
+  const add = (type, description) =>
+    problems.push({ type, field, description });
+
+  const alternatives = resolved.anyOf || resolved.oneOf;
+  if (alternatives) {
+    const matches = alternatives.some((alternative) => {
+      const result = [];
+      checkValue(root, alternative, value, field, result);
+      return result.length === 0;
+    });
+    if (!matches) {
+      const types = alternatives.map((a) => resolveSchema(root, a).type);
+      add("type", `Expected ${types.join(" or ")}, got ${describeType(value)}`);
+    }
+    return;
+  }
+
+  if (resolved.type && TYPE_CHECKS[resolved.type]) {
+    // File values are uploaded or encoded as data URIs before the prediction is created
+    const isFile = resolved.format === "uri" && isFileInput(value);
+    if (!TYPE_CHECKS[resolved.type](value) && !isFile) {
+      add("type", `Expected ${resolved.type}, got ${describeType(value)}`);
+      return;
+    }
+  }
+
+  if (resolved.enum && !resolved.enum.includes(value)) {
+    add(
+      "enum",
+      `Expected one of ${resolved.enum
+        .map((v) => JSON.stringify(v))
+        .join(", ")}, got ${JSON.stringify(value)}`
+    );
+    return;
+  }
+
+  if (typeof value === "number") {
+    if (resolved.minimum !== undefined && value < resolved.minimum) {
+      add("minimum", `Must be at least ${resolved.minimum}, got ${value}`);
+    }
+    if (resolved.maximum !== undefined && value > resolved.maximum) {
+      add("maximum", `Must be at most ${resolved.maximum}, got ${value}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (resolved.minLength !== undefined && value.length < resolved.minLength) {
+      add(
+        "min_length",
+        `Must be at least ${resolved.minLength} characters, got ${value.length}`
+      );
+    }
+    if (resolved.maxLength !== undefined && value.length > resolved.maxLength) {
+      add(
+        "max_length",
+        `Must be at most ${resolved.maxLength} characters, got ${value.length}`
+      );
+    }
+  }
+
+  if (Array.isArray(value) && resolved.items) {
+    for (const [index, item] of value.entries()) {
+      checkValue(root, resolved.items, item, `${field}[${index}]`, problems);
+    }
+  }
+}
+
+/**
+ * Validate model inputs against the `Input` schema of a model version.
+ *
+ * Checks the type, allowed values and range of each input,
+ * that required inputs are present, and that there are no unknown inputs.
+ * Missing inputs that have a default are set to it.
+ *
+ * @param {object} openapiSchema - The `openapi_schema` of the model version
+ * @param {object} input - The model inputs
+ * @returns {{input: object, invalidFields: object[]}} - The inputs with defaults applied, and details of each invalid field
+ */
+function validateInput(openapiSchema, input = {}) {
+  const components = (openapiSchema && openapiSchema.components) || {};
+  const schemas = components.schemas;
+  if (!schemas || !schemas.Input) {
+    throw new Error("Model version schema has no Input component");
+  }
+
+  const schema = resolveSchema(openapiSchema, schemas.Input);
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const result = { ...input };
+  const invalidFields = [];
+
+  for (const [field, value] of Object.entries(input)) {
+    if (value === undefined) {
+      continue;
+    }
+    if (!properties[field]) {
+      if (!schema.additionalProperties) {
+        invalidFields.push({
+          type: "unknown",
+          field,
+          description: `Unknown input. Expected one of ${Object.keys(
+            properties
+          ).join(", ")}`,
+        });
+      }
+      continue;
+    }
+    checkValue(openapiSchema, properties[field], value, field, invalidFields);
+  }
+
+  for (const [field, property] of Object.entries(properties)) {
+    if (result[field] !== undefined) {
+      continue;
+    }
+    const resolved = resolveSchema(openapiSchema, property);
+    if (resolved.default !== undefined) {
+      result[field] = resolved.default;
+    } else if (required.includes(field)) {
+      invalidFields.push({
+        type: "required",
+        field,
+        description: "Missing required input",
+      });
+    }
+  }
+
+  return { input: result, invalidFields };
+}
+
+/**
+ * Get the OpenAPI schema of the model version a reference runs,
+ * from the client's cache if it was fetched before.
+ *
+ * Model versions are immutable, so their schemas are cached by version ID.
+ * References to a model or deployment are looked up each time,
+ * since their latest version or current release can change.
+ *
+ * @param {object} client - The Replicate client
+ * @param {object} target - The result of `resolveReference`
+ * @param {AbortSignal} [signal] - AbortSignal to cancel the requests
+ * @returns {Promise<{version: string, schema: object}>} - Resolves with the version ID and its OpenAPI schema
+ */
+async function getVersionSchema(client, target, signal) {
+  const cache = client.versionSchemas;
+  let { owner, name, version } = target;
+
+  if (target.type === "deployment") {
+    const deployment = await client.deployments.get(owner, name, { signal });
+    [owner, name] = deployment.current_release.model.split("/");
+    version = deployment.current_release.version;
+  } else if (target.type === "model") {
+    const model = await client.models.get(owner, name, { signal });
+    if (!model.latest_version) {
+      throw new Error(
+        `Model ${owner}/${name} has no versions to validate inputs against`
+      );
+    }
+    cache.set(model.latest_version.id, model.latest_version.openapi_schema);
+    version = model.latest_version.id;
+  }
+
+  if (!cache.has(version)) {
+    if (!owner || !name) {
+      throw new Error(
+        `Can't validate inputs for model version ${version} without its model. Pass the model with the version`
+      );
+    }
+    const data = await client.models.versions.get(owner, name, version, {
+      signal,
+    });
+    cache.set(version, data.openapi_schema);
+  }
+
+  return { version, schema: cache.get(version) };
+}
+
+/**
+ * Validate model inputs for a prediction before it's created.
+ *
+ * @param {object} client - The Replicate client
+ * @param {object} target - The result of `resolveReference`
+ * @param {object} input - The model inputs
+ * @param {AbortSignal} [signal] - AbortSignal to cancel the requests
+ * @returns {Promise<object>} - Resolves with the inputs with defaults applied
+ * @throws {InputValidationError} If any input is invalid
+ */
+async function validatePredictionInput(client, target, input, signal) {
+  const { version, schema } = await getVersionSchema(client, target, signal);
+  const result = validateInput(schema, input);
+
+  if (result.invalidFields.length > 0) {
+    const details = result.invalidFields
+      .map(({ field, description }) => `  ${field}: ${description}`)
+      .join("\n");
+    throw new InputValidationError(
+      `Invalid input for model version ${version}:\n${details}`,
+      result.invalidFields
+    );
+  }
+
+  return result.input;
+}
+
+module.exports = { resolveSchema, validateInput, validatePredictionInput };
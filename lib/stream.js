@@ -1,14 +1,5 @@
-// Attempt to use readable-stream if available, attempt to use the built-in stream module.
-let Readable;
-try {
-  Readable = require("readable-stream").Readable;
-} catch (e) {
-  try {
-    Readable = require("stream").Readable;
-  } catch (e) {
-    Readable = null;
-  }
-}
+const { ApiError, createApiError } = require("./error");
+const { getBodyReader, sleep } = require("./util");
 
 /**
  * A server-sent event.
@@ -39,50 +30,131 @@ class ServerSentEvent {
 
     return "";
   }
+
+  /**
+   * Parse the event data as JSON.
+   *
+   * The data of `error` and `done` events is always JSON.
+   *
+   * @returns {any} The parsed data.
+   */
+  json() {
+    return JSON.parse(this.data);
+  }
 }
 
 /**
- * A stream of server-sent events.
+ * Default time in milliseconds to wait before reconnecting to a stream,
+ * unless the server sets a different time with a `retry` field.
+ */
+const DEFAULT_RETRY = 1000;
+
+/**
+ * Maximum number of consecutive reconnection attempts that receive no data.
+ */
+const MAX_RECONNECT_ATTEMPTS = 5;
+
+/**
+ * An incremental parser for the `text/event-stream` format.
+ *
+ * Chunks are decoded with a streaming decoder and lines are buffered
+ * until they're complete, so events and multi-byte characters
+ * can be split across chunks in any way.
+ *
+ * @see https://html.spec.whatwg.org/multipage/server-sent-events.html#event-stream-interpretation
  */
-class Stream extends Readable {
+class ServerSentEventParser {
+  constructor() {
+    this.decoder = new TextDecoder("utf-8");
+    this.buffer = "";
+    this.started = false;
+
+    this.event = "";
+    this.data = [];
+    this.lastEventId = null;
+    this.retry = null;
+  }
+
   /**
-   * Create a new stream of server-sent events.
+   * Parse a chunk of the stream.
    *
-   * @param {string} url The URL to connect to.
-   * @param {object} options The fetch options.
+   * @param {Uint8Array|string} chunk The chunk to parse.
+   * @returns {ServerSentEvent[]} The events completed by this chunk.
    */
-  constructor(url, options) {
-    if (!Readable) {
-      throw new Error(
-        "Readable streams are not supported. Please use Node.js 18 or later, or install the readable-stream package."
-      );
+  push(chunk) {
+    let text =
+      typeof chunk === "string"
+        ? chunk
+        : this.decoder.decode(chunk, { stream: true });
+
+    if (!this.started && text) {
+      this.started = true;
+      if (text.startsWith("\uFEFF")) {
+        text = text.slice(1);
+      }
     }
 
-    super();
-    this.url = url;
-    this.options = options;
+    this.buffer += text;
+
+    const events = [];
+    const newline = /\r\n|\r|\n/g;
+    let start = 0;
+    let match = newline.exec(this.buffer);
+    while (match) {
+      // A trailing CR may be the first half of a CRLF split across chunks
+      if (match[0] === "\r" && match.index === this.buffer.length - 1) {
+        break;
+      }
+
+      const sse = this.decode(this.buffer.slice(start, match.index));
+      if (sse) {
+        events.push(sse);
+      }
+
+      start = newline.lastIndex;
+      match = newline.exec(this.buffer);
+    }
+    this.buffer = this.buffer.slice(start);
+
+    return events;
+  }
 
-    this.event = null;
+  /**
+   * Reset the parser at the end of a connection.
+   *
+   * An incomplete event at the end of a connection is discarded,
+   * but the last event ID and retry time are kept for reconnecting.
+   */
+  reset() {
+    this.decoder = new TextDecoder("utf-8");
+    this.buffer = "";
+    this.started = false;
+    this.event = "";
     this.data = [];
-    this.lastEventId = null;
-    this.retry = null;
   }
 
+  /**
+   * Process a single line of the stream.
+   *
+   * @param {string} line The line, without its line ending.
+   * @returns {ServerSentEvent|null} The event dispatched by a blank line, if any.
+   */
   decode(line) {
     if (!line) {
-      if (!this.event && !this.data.length && !this.lastEventId) {
+      if (!this.data.length) {
+        this.event = "";
         return null;
       }
 
       const sse = new ServerSentEvent(
-        this.event,
+        this.event || "message",
         this.data.join("\n"),
-        this.lastEventId
+        this.lastEventId,
+        this.retry
       );
 
-      this.event = null;
+      this.event = "";
       this.data = [];
-      this.retry = null;
 
       return sse;
     }
@@ -91,49 +163,454 @@ class Stream extends Readable {
       return null;
     }
 
-    const [field, value] = line.split(": ");
+    let field = line;
+    let value = "";
+    const index = line.indexOf(":");
+    if (index !== -1) {
+      field = line.slice(0, index);
+      value = line.slice(index + 1);
+      if (value.startsWith(" ")) {
+        value = value.slice(1);
+      }
+    }
+
     if (field === "event") {
       this.event = value;
     } else if (field === "data") {
       this.data.push(value);
     } else if (field === "id") {
-      this.lastEventId = value;
+      if (!value.includes("\0")) {
+        this.lastEventId = value;
+      }
+    } else if (field === "retry") {
+      if (/^\d+$/.test(value)) {
+        this.retry = Number.parseInt(value, 10);
+      }
     }
 
     return null;
   }
+}
+
+/**
+ * Encode events in the `text/event-stream` format.
+ *
+ * An error thrown while reading the events is sent as a final `error` event,
+ * so that clients reading the encoded stream receive it too.
+ *
+ * @param {AsyncIterable<ServerSentEvent>} events The events to encode.
+ * @yields {string} Each encoded event.
+ */
+async function* encodeEvents(events) {
+  const encode = ({ event, data, id, retry }) => {
+    let text = `event: ${event}\n`;
+    if (id) {
+      text += `id: ${id}\n`;
+    }
+    if (retry !== null && retry !== undefined) {
+      text += `retry: ${retry}\n`;
+    }
+    for (const line of `${data}`.split(/\r\n|\r|\n/)) {
+      text += `data: ${line}\n`;
+    }
+    return `${text}\n`;
+  };
+
+  try {
+    for await (const sse of events) {
+      yield encode(sse);
+    }
+  } catch (error) {
+    yield encode(new ServerSentEvent("error", error.message));
+  }
+}
+
+/**
+ * Convert events to a web stream in the `text/event-stream` format.
+ *
+ * @param {AsyncIterable<ServerSentEvent>} events The events to convert.
+ * @returns {ReadableStream<Uint8Array>} The encoded stream.
+ */
+function toReadableStream(events) {
+  const encoder = new TextEncoder();
+  const chunks = encodeEvents(events);
+
+  return new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await chunks.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(encoder.encode(value));
+      }
+    },
+    async cancel() {
+      await chunks.return();
+    },
+  });
+}
+
+/**
+ * Convert events to a response in the `text/event-stream` format.
+ *
+ * @param {AsyncIterable<ServerSentEvent>} events The events to convert.
+ * @param {ResponseInit} [init] Options for the response.
+ * @returns {Response} The response.
+ */
+function toResponse(events, init = {}) {
+  return new Response(toReadableStream(events), {
+    ...init,
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      ...init.headers,
+    },
+  });
+}
+
+/**
+ * Convert events to a Node.js readable stream in the `text/event-stream` format.
+ *
+ * Uses the readable-stream package if it's installed,
+ * or the built-in stream module otherwise.
+ *
+ * @param {AsyncIterable<ServerSentEvent>} events The events to convert.
+ * @returns {import("stream").Readable} The encoded stream.
+ */
+function toNodeReadable(events) {
+  let Readable;
+  try {
+    Readable = require("readable-stream").Readable;
+  } catch (e) {
+    try {
+      Readable = require("stream").Readable;
+    } catch (e) {
+      throw new Error(
+        "Readable streams are not supported. Please use Node.js 18 or later, or install the readable-stream package."
+      );
+    }
+  }
+
+  return Readable.from(encodeEvents(events), { objectMode: false });
+}
+
+/**
+ * A stream of server-sent events.
+ *
+ * If the connection drops before a `done` event is received,
+ * the stream reconnects and sends the ID of the last event it received
+ * in the `Last-Event-ID` header, so the server can resume where it left off.
+ *
+ * The stream only depends on `fetch`, so it works in any runtime.
+ * Iterate over it with `for await`,
+ * or convert it with `toReadableStream`, `toResponse`, or `toNodeReadable`.
+ */
+class Stream {
+  /**
+   * Create a new stream of server-sent events.
+   *
+   * @param {object} config
+   * @param {string} config.url The URL to connect to.
+   * @param {Function} [config.fetch] The fetch function to use. Defaults to `globalThis.fetch`.
+   * @param {object} [config.options] The fetch options.
+   */
+  constructor({ url, fetch = globalThis.fetch, options = {} }) {
+    this.url = url;
+    this.fetch = fetch;
+    this.options = options;
+  }
+
+  /**
+   * Connect to the stream.
+   *
+   * @param {string|null} lastEventId The ID of the last event received, if any.
+   * @returns {Promise<Response>} Resolves with the response.
+   */
+  async connect(lastEventId) {
+    const headers = {
+      Accept: "text/event-stream",
+      "Cache-Control": "no-store",
+    };
+    if (lastEventId) {
+      headers["Last-Event-ID"] = lastEventId;
+    }
+
+    const init = { ...this.options, headers };
+
+    // Call fetch unbound to avoid `TypeError: Illegal invocation` in Cloudflare Workers
+    const { fetch } = this;
+    const response = await fetch(this.url, init);
+
+    if (!response.ok) {
+      const request = new Request(this.url, init);
+      const responseText = await response.text();
+      throw createApiError(request, response, responseText);
+    }
+
+    return response;
+  }
+
+  /**
+   * Convert the stream to a web stream in the `text/event-stream` format.
+   *
+   * @returns {ReadableStream<Uint8Array>} The encoded stream.
+   */
+  toReadableStream() {
+    return toReadableStream(this);
+  }
+
+  /**
+   * Convert the stream to a `text/event-stream` response,
+   * for example to return from an edge function.
+   *
+   * @param {ResponseInit} [init] Options for the response.
+   * @returns {Response} The response.
+   */
+  toResponse(init) {
+    return toResponse(this, init);
+  }
+
+  /**
+   * Convert the stream to a Node.js readable stream in the `text/event-stream` format.
+   *
+   * @returns {import("stream").Readable} The encoded stream.
+   */
+  toNodeReadable() {
+    return toNodeReadable(this);
+  }
 
   async *[Symbol.asyncIterator]() {
-    const response = await fetch(this.url, {
-      ...this.options,
-      headers: {
-        Accept: "text/event-stream",
-      },
-    });
-
-    for await (const chunk of response.body) {
-      const decoder = new TextDecoder("utf-8");
-      const text = decoder.decode(chunk);
-      const lines = text.split("\n");
-      for (const line of lines) {
-        const sse = this.decode(line);
-        if (sse) {
-          if (sse.event === "error") {
-            throw new Error(sse.data);
+    const { signal } = this.options;
+    const parser = new ServerSentEventParser();
+
+    let attempts = 0;
+    for (;;) {
+      let response;
+      try {
+        /* eslint-disable-next-line no-await-in-loop */
+        response = await this.connect(parser.lastEventId);
+      } catch (error) {
+        // Network errors are retried, but error responses aren't
+        if ((signal && signal.aborted) || error instanceof ApiError) {
+          throw error;
+        }
+      }
+
+      // A response without a body is handled like a closed connection
+      const reader =
+        response && response.body ? getBodyReader(response.body) : null;
+
+      try {
+        while (reader) {
+          let result;
+          try {
+            /* eslint-disable-next-line no-await-in-loop */
+            result = await reader.read();
+          } catch (error) {
+            if (signal && signal.aborted) {
+              throw error;
+            }
+            break; // connection dropped
+          }
+
+          if (result.done) {
+            break; // connection closed by the server
           }
 
-          yield sse;
+          attempts = 0;
+          for (const sse of parser.push(result.value)) {
+            if (sse.event === "error") {
+              throw new Error(sse.data);
+            }
+
+            yield sse;
 
-          if (sse.event === "done") {
-            return;
+            if (sse.event === "done") {
+              return;
+            }
           }
         }
+      } finally {
+        if (reader) {
+          /* eslint-disable-next-line no-await-in-loop */
+          await reader.cancel().catch(() => {});
+        }
+      }
+
+      attempts += 1;
+      if (attempts > MAX_RECONNECT_ATTEMPTS) {
+        throw new Error(
+          `Stream disconnected after ${MAX_RECONNECT_ATTEMPTS} attempts to reconnect`
+        );
       }
+
+      parser.reset();
+      /* eslint-disable-next-line no-await-in-loop */
+      await sleep(parser.retry === null ? DEFAULT_RETRY : parser.retry, signal);
     }
   }
 }
 
+/**
+ * The events of a streaming prediction.
+ *
+ * Iterate over it with `for await` to receive each `ServerSentEvent`,
+ * register listeners for each type of event with `on`,
+ * or consume the whole stream with `text` or `wait`.
+ */
+class PredictionStream {
+  /**
+   * Create a new prediction stream.
+   *
+   * @param {AsyncIterable<ServerSentEvent>} events The events of the prediction.
+   * @param {Function} getPrediction Async function that fetches the prediction.
+   */
+  constructor(events, getPrediction) {
+    this.events = events;
+    this.getPrediction = getPrediction;
+    this.prediction = null;
+    this.generator = null;
+    this.listeners = { output: [], logs: [], error: [], done: [] };
+  }
+
+  /**
+   * Register a listener for a type of event.
+   *
+   * `output` and `logs` listeners receive the event data,
+   * `error` listeners receive the error that ends the stream,
+   * and `done` listeners receive the completed prediction,
+   * which is fetched when the `done` event arrives.
+   *
+   * @param {"output"|"logs"|"error"|"done"} type The event type.
+   * @param {Function} listener The listener, which may be async.
+   * @returns {PredictionStream} This stream, for chaining.
+   */
+  on(type, listener) {
+    if (!this.listeners[type]) {
+      throw new Error(`Unknown stream event type: ${type}`);
+    }
+
+    this.listeners[type].push(listener);
+    return this;
+  }
+
+  async emit(type, value) {
+    for (const listener of this.listeners[type]) {
+      await listener(value);
+    }
+  }
+
+  async *dispatch() {
+    try {
+      for await (const event of this.events) {
+        if (event.event === "output" || event.event === "logs") {
+          await this.emit(event.event, event.data);
+        } else if (event.event === "done" && this.listeners.done.length) {
+          this.prediction = await this.getPrediction();
+          await this.emit("done", this.prediction);
+        }
+
+        yield event;
+      }
+    } catch (error) {
+      await this.emit("error", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read the whole stream and concatenate its output.
+   *
+   * @returns {Promise<string>} Resolves with the output of the prediction.
+   */
+  async text() {
+    let text = "";
+    for await (const event of this) {
+      if (event.event === "output") {
+        text += event.data;
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Read the whole stream and fetch the completed prediction.
+   *
+   * @returns {Promise<object>} Resolves with the completed prediction.
+   */
+  async wait() {
+    let result = await this.next();
+    while (!result.done) {
+      result = await this.next();
+    }
+
+    if (!this.prediction) {
+      this.prediction = await this.getPrediction();
+    }
+    return this.prediction;
+  }
+
+  /**
+   * Convert the stream to a web stream in the `text/event-stream` format.
+   *
+   * Listeners are still called as the web stream is read.
+   *
+   * @returns {ReadableStream<Uint8Array>} The encoded stream.
+   */
+  toReadableStream() {
+    return toReadableStream(this);
+  }
+
+  /**
+   * Convert the stream to a `text/event-stream` response,
+   * for example to return from an edge function.
+   *
+   * @param {ResponseInit} [init] Options for the response.
+   * @returns {Response} The response.
+   */
+  toResponse(init) {
+    return toResponse(this, init);
+  }
+
+  /**
+   * Convert the stream to a Node.js readable stream in the `text/event-stream` format.
+   *
+   * @returns {import("stream").Readable} The encoded stream.
+   */
+  toNodeReadable() {
+    return toNodeReadable(this);
+  }
+
+  next(value) {
+    if (!this.generator) {
+      this.generator = this.dispatch();
+    }
+    return this.generator.next(value);
+  }
+
+  return(value) {
+    if (!this.generator) {
+      this.generator = this.dispatch();
+    }
+    return this.generator.return(value);
+  }
+
+  throw(error) {
+    if (!this.generator) {
+      this.generator = this.dispatch();
+    }
+    return this.generator.throw(error);
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+
 module.exports = {
+  PredictionStream,
   Stream,
   ServerSentEvent,
+  ServerSentEventParser,
+  toResponse,
 };
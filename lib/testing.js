@@ -0,0 +1,930 @@
+const { Cassette } = require("./cassette");
+const { UnmatchedRequestError } = require("./error");
+const { ServerSentEvent, toResponse } = require("./stream");
+const { randomUUID, sleep } = require("./util");
+
+/**
+ * The hardware listed by a fake server unless it's given its own.
+ */
+const DEFAULT_HARDWARE = [
+  { sku: "cpu", name: "CPU" },
+  { sku: "gpu-t4", name: "Nvidia T4 GPU" },
+  { sku: "gpu-a40-small", name: "Nvidia A40 GPU" },
+  { sku: "gpu-a40-large", name: "Nvidia A40 (Large) GPU" },
+];
+
+/**
+ * The routes of the fake API, relative to its base URL,
+ * and the name of the `FakeServer` method that handles each.
+ */
+const ROUTES = [
+  ["GET", /^\/account$/, "getAccount"],
+  ["GET", /^\/hardware$/, "listHardware"],
+  ["GET", /^\/collections$/, "listCollections"],
+  ["GET", /^\/collections\/([^/]+)$/, "getCollection"],
+  ["GET", /^\/models$/, "listModels"],
+  ["POST", /^\/models$/, "createModel"],
+  ["GET", /^\/models\/([^/]+)\/([^/]+)$/, "getModel"],
+  ["GET", /^\/models\/([^/]+)\/([^/]+)\/versions$/, "listVersions"],
+  ["GET", /^\/models\/([^/]+)\/([^/]+)\/versions\/([^/]+)$/, "getVersion"],
+  [
+    "POST",
+    /^\/models\/([^/]+)\/([^/]+)\/versions\/([^/]+)\/trainings$/,
+    "createTraining",
+  ],
+  [
+    "POST",
+    /^\/models\/([^/]+)\/([^/]+)\/predictions$/,
+    "createModelPrediction",
+  ],
+  ["GET", /^\/predictions$/, "listPredictions"],
+  ["POST", /^\/predictions$/, "createVersionPrediction"],
+  ["GET", /^\/predictions\/([^/]+)$/, "getPrediction"],
+  ["POST", /^\/predictions\/([^/]+)\/cancel$/, "cancelPrediction"],
+  ["GET", /^\/predictions\/([^/]+)\/stream$/, "streamPrediction"],
+  ["GET", /^\/trainings$/, "listTrainings"],
+  ["GET", /^\/trainings\/([^/]+)$/, "getTraining"],
+  ["POST", /^\/trainings\/([^/]+)\/cancel$/, "cancelTraining"],
+  ["GET", /^\/deployments$/, "listDeployments"],
+  ["POST", /^\/deployments$/, "createDeployment"],
+  ["GET", /^\/deployments\/([^/]+)\/([^/]+)$/, "getDeployment"],
+  ["PATCH", /^\/deployments\/([^/]+)\/([^/]+)$/, "updateDeployment"],
+  ["DELETE", /^\/deployments\/([^/]+)\/([^/]+)$/, "deleteDeployment"],
+  [
+    "POST",
+    /^\/deployments\/([^/]+)\/([^/]+)\/predictions$/,
+    "createDeploymentPrediction",
+  ],
+];
+
+/**
+ * Create a JSON response.
+ *
+ * @param {any} data - The response body
+ * @param {number} [status] - The status code. Defaults to 200
+ * @param {object} [headers] - Additional headers
+ * @returns {Response} - The response
+ */
+function json(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+}
+
+/**
+ * Create an error response with a problem details body, like the API's.
+ *
+ * @param {number} status - The status code
+ * @param {string} detail - An explanation of the error
+ * @param {object} [headers] - Additional headers
+ * @returns {Response} - The response
+ */
+function problem(status, detail, headers = {}) {
+  return new Response(JSON.stringify({ status, detail }), {
+    status,
+    headers: { "Content-Type": "application/problem+json", ...headers },
+  });
+}
+
+/**
+ * Create a page of results for a list endpoint.
+ *
+ * @param {object[]} results - All of the results, which fit on one page
+ * @returns {object} - The page
+ */
+function page(results) {
+  return { previous: null, next: null, results };
+}
+
+/**
+ * Check whether a prediction or training has finished.
+ *
+ * @param {object} prediction - The prediction or training object
+ * @returns {boolean} - True if it succeeded, failed or was canceled
+ */
+function isTerminal(prediction) {
+  return (
+    prediction.status === "succeeded" ||
+    prediction.status === "failed" ||
+    prediction.status === "canceled"
+  );
+}
+
+/**
+ * Generate a random ID of lowercase hex characters.
+ *
+ * @param {number} length - The number of characters, up to 64
+ * @returns {string} - The ID
+ */
+function randomId(length) {
+  const hex = `${randomUUID()}${randomUUID()}`.replace(/-/g, "");
+  return hex.slice(0, length);
+}
+
+/**
+ * Split a model reference into its owner, name and version.
+ *
+ * @param {string} ref - The reference, as `owner/name` or `owner/name:version`
+ * @returns {{owner: string, name: string, version: string|undefined}} - The parts of the reference
+ * @throws {Error} If the reference isn't in the expected format
+ */
+function parseRef(ref) {
+  const match = /^([^/:]+)\/([^/:]+)(?::([^/:]+))?$/.exec(ref);
+  if (!match) {
+    throw new Error(`Invalid reference: ${ref}. Expected owner/name`);
+  }
+  return { owner: match[1], name: match[2], version: match[3] };
+}
+
+/**
+ * The OpenAPI schema given to model versions without one,
+ * which accepts any inputs.
+ */
+const DEFAULT_SCHEMA = {
+  openapi: "3.0.2",
+  info: { title: "Cog", version: "0.1.0" },
+  components: {
+    schemas: {
+      Input: {
+        type: "object",
+        title: "Input",
+        properties: {},
+        additionalProperties: true,
+      },
+      Output: { title: "Output" },
+    },
+  },
+};
+
+/**
+ * A fake Replicate API that runs in the same process as your tests.
+ *
+ * Pass its `fetch` method as the `fetch` option of the client,
+ * and register the models your code runs as JavaScript functions.
+ * Predictions and trainings go from `starting` to `processing`
+ * to `succeeded`, `failed` or `canceled` like they do on Replicate,
+ * with logs and server-sent event streams.
+ *
+ * @example
+ * const server = new FakeServer();
+ * server.addModel("acme/hello", ({ name }) => `hello ${name}`);
+ * const replicate = new Replicate({ auth: "test", fetch: server.fetch });
+ * await replicate.run("acme/hello", { input: { name: "world" } }); // "hello world"
+ */
+class FakeServer {
+  /**
+   * Create a fake API.
+   *
+   * @param {object} [options]
+   * @param {string} [options.baseUrl] - The base URL of the API. Defaults to https://api.replicate.com/v1
+   * @param {string} [options.token] - Respond with 401 to requests without this API token. Defaults to accepting any token
+   * @param {string} [options.owner] - The username of the account the token belongs to. Defaults to "test-user"
+   * @param {number} [options.queueTime] - Milliseconds that predictions stay `starting` before their model runs. Defaults to 0
+   * @param {object[]} [options.hardware] - The hardware to list, as objects with a `sku` and `name`
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || "https://api.replicate.com/v1").replace(
+      /\/$/,
+      ""
+    );
+    this.token = options.token;
+    this.owner = options.owner || "test-user";
+    this.queueTime = options.queueTime || 0;
+    this.hardware = options.hardware || DEFAULT_HARDWARE;
+
+    this.models = new Map();
+    this.versions = new Map();
+    this.predictions = new Map();
+    this.trainings = new Map();
+    this.deployments = new Map();
+    this.collections = new Map();
+    this.requests = [];
+
+    // The state of each prediction and training that isn't part of the API object
+    this.jobs = new Map();
+    this.failures = [];
+
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * Add a model, or a new version of a model that was added before.
+   *
+   * The handler is called with the inputs of each prediction and a context
+   * with the prediction's `id`, a `log` function that appends a line to its logs,
+   * and a `signal` that's aborted when it's canceled.
+   * It returns the output, or a promise of it,
+   * or an async iterable whose items are streamed as the output.
+   * If it throws, the prediction fails with the error's message.
+   *
+   * @param {string} ref - The model, as `owner/name`, or `owner/name:version` to choose the version ID
+   * @param {Function} handler - The function that runs the model
+   * @param {object} [options]
+   * @param {object} [options.schema] - The OpenAPI schema of the version. Defaults to one that accepts any inputs
+   * @param {Function} [options.train] - The function that trains the version, called like the handler. Its result is merged into the training output
+   * @param {string} [options.description] - The model description
+   * @param {string} [options.visibility] - "public" or "private". Defaults to "public"
+   * @returns {object} - The model version
+   */
+  addModel(ref, handler, options = {}) {
+    const { owner, name, version } = parseRef(ref);
+    const key = `${owner}/${name}`;
+
+    let model = this.models.get(key);
+    if (!model) {
+      model = this.newModel(owner, name, options);
+      this.models.set(key, model);
+    }
+
+    const data = {
+      id: version || randomId(64),
+      created_at: new Date().toISOString(),
+      cog_version: "0.9.0",
+      openapi_schema: options.schema || DEFAULT_SCHEMA,
+    };
+    this.versions.set(data.id, {
+      model: key,
+      data,
+      handler,
+      train: options.train,
+    });
+    model.latest_version = data;
+    return data;
+  }
+
+  /**
+   * Add a deployment of a model version.
+   *
+   * @param {string} ref - The deployment, as `owner/name`
+   * @param {object} options
+   * @param {string} options.model - The model, as `owner/name`
+   * @param {string} [options.version] - The version ID. Defaults to the latest version of the model
+   * @param {string} [options.hardware] - The hardware SKU. Defaults to "gpu-t4"
+   * @param {number} [options.minInstances] - Defaults to 0
+   * @param {number} [options.maxInstances] - Defaults to 1
+   * @returns {object} - The deployment
+   * @throws {Error} If the model or version wasn't added
+   */
+  addDeployment(ref, options) {
+    const { owner, name } = parseRef(ref);
+    const model = this.models.get(options.model);
+    if (!model || !model.latest_version) {
+      throw new Error(`Add a version of ${options.model} before deploying it`);
+    }
+
+    const deployment = {
+      owner,
+      name,
+      current_release: this.newRelease(1, {
+        model: options.model,
+        version: options.version || model.latest_version.id,
+        hardware: options.hardware || "gpu-t4",
+        min_instances: options.minInstances || 0,
+        max_instances: options.maxInstances || 1,
+      }),
+    };
+    this.deployments.set(`${owner}/${name}`, deployment);
+    return deployment;
+  }
+
+  /**
+   * Add a collection of models.
+   *
+   * @param {object} collection
+   * @param {string} collection.slug - The collection slug
+   * @param {string} [collection.name] - The collection name. Defaults to the slug
+   * @param {string} [collection.description] - The collection description
+   * @param {string[]} [collection.models] - The models in the collection, as `owner/name`
+   */
+  addCollection({ slug, name, description = "", models = [] }) {
+    this.collections.set(slug, {
+      slug,
+      name: name || slug,
+      description,
+      models,
+    });
+  }
+
+  /**
+   * Respond to matching requests with an error instead of handling them.
+   *
+   * @param {object} [options]
+   * @param {number} [options.count] - The number of requests to fail. Defaults to 1
+   * @param {number} [options.status] - The status code. Defaults to 500
+   * @param {number} [options.retryAfter] - Seconds to send in the `Retry-After` header
+   * @param {string} [options.detail] - The error detail
+   * @param {string} [options.method] - Only fail requests with this method
+   * @param {string|RegExp} [options.path] - Only fail requests whose path, relative to the base URL, starts with this string or matches this pattern
+   */
+  failRequests(options = {}) {
+    const { count = 1, status = 500 } = options;
+    this.failures.push({
+      ...options,
+      count,
+      status,
+      detail:
+        options.detail ||
+        (status === 429 ? "Request was throttled." : "Internal server error"),
+    });
+  }
+
+  /**
+   * Respond to requests with 429 Too Many Requests,
+   * like when the account's rate limit is exceeded.
+   *
+   * @param {object} [options] - The options for `failRequests`
+   * @param {number} [options.count] - The number of requests to fail. Defaults to 1
+   * @param {number} [options.retryAfter] - Seconds to send in the `Retry-After` header. Defaults to 1
+   */
+  rateLimit(options = {}) {
+    const { retryAfter = 1 } = options;
+    this.failRequests({ ...options, status: 429, retryAfter });
+  }
+
+  /**
+   * Handle a request to the fake API.
+   *
+   * @param {string|URL|Request} input - The URL or request
+   * @param {object} [init] - The fetch options
+   * @returns {Promise<Response>} - Resolves with the response
+   */
+  async fetch(input, init = {}) {
+    let options = init;
+    if (input instanceof Request) {
+      options = {
+        method: input.method,
+        headers: input.headers,
+        body: (await input.text()) || undefined,
+        signal: input.signal,
+        ...init,
+      };
+    }
+
+    const url = new URL(input instanceof Request ? input.url : input);
+    const method = (options.method || "GET").toUpperCase();
+    const headers = new Headers(options.headers);
+    const path = url.href.startsWith(this.baseUrl)
+      ? url.pathname.slice(new URL(this.baseUrl).pathname.length)
+      : url.pathname;
+
+    let body = options.body;
+    if (typeof body === "string") {
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        return problem(400, "Invalid JSON in request body");
+      }
+    }
+
+    const request = {
+      method,
+      path,
+      query: url.searchParams,
+      headers,
+      body,
+      signal: options.signal,
+    };
+    this.requests.push({ method, path, body });
+
+    const failure = this.failures.find(
+      (f) =>
+        (!f.method || f.method.toUpperCase() === method) &&
+        (!f.path ||
+          (f.path instanceof RegExp
+            ? f.path.test(path)
+            : path.startsWith(f.path)))
+    );
+    if (failure) {
+      failure.count -= 1;
+      if (failure.count <= 0) {
+        this.failures.splice(this.failures.indexOf(failure), 1);
+      }
+      const retryAfter =
+        failure.retryAfter === undefined
+          ? {}
+          : { "Retry-After": String(failure.retryAfter) };
+      return problem(failure.status, failure.detail, retryAfter);
+    }
+
+    for (const [routeMethod, pattern, handler] of ROUTES) {
+      const match = pattern.exec(path);
+      if (!match || routeMethod !== method) {
+        continue;
+      }
+
+      // Stream URLs are signed, so they don't need the API token
+      if (this.token && handler !== "streamPrediction") {
+        const auth = headers.get("Authorization") || "";
+        if (auth.replace(/^(Bearer|Token) /, "") !== this.token) {
+          return problem(401, "You did not pass a valid authentication token");
+        }
+      }
+
+      return this[handler](request, ...match.slice(1).map(decodeURIComponent));
+    }
+
+    return problem(404, `Not found: ${method} ${path}`);
+  }
+
+  getAccount() {
+    return json({ type: "user", username: this.owner, name: this.owner });
+  }
+
+  listHardware() {
+    return json(this.hardware);
+  }
+
+  listCollections() {
+    return json(
+      page(
+        [...this.collections.values()].map(({ slug, name, description }) => ({
+          slug,
+          name,
+          description,
+        }))
+      )
+    );
+  }
+
+  getCollection(request, slug) {
+    const collection = this.collections.get(slug);
+    if (!collection) {
+      return problem(404, "Not found.");
+    }
+    return json({
+      ...collection,
+      models: collection.models
+        .map((ref) => this.models.get(ref))
+        .filter(Boolean),
+    });
+  }
+
+  listModels() {
+    return json(page([...this.models.values()]));
+  }
+
+  createModel(request) {
+    const { owner, name } = request.body || {};
+    if (!owner || !name) {
+      return problem(422, "Missing owner or name");
+    }
+    if (this.models.has(`${owner}/${name}`)) {
+      return problem(409, `A model named ${owner}/${name} already exists`);
+    }
+
+    const model = this.newModel(owner, name, request.body);
+    this.models.set(`${owner}/${name}`, model);
+    return json(model, 201);
+  }
+
+  getModel(request, owner, name) {
+    const model = this.models.get(`${owner}/${name}`);
+    return model ? json(model) : problem(404, "Not found.");
+  }
+
+  listVersions(request, owner, name) {
+    if (!this.models.has(`${owner}/${name}`)) {
+      return problem(404, "Not found.");
+    }
+    const versions = [...this.versions.values()]
+      .filter((version) => version.model === `${owner}/${name}`)
+      .map((version) => version.data)
+      .reverse();
+    return json(page(versions));
+  }
+
+  getVersion(request, owner, name, id) {
+    const version = this.versions.get(id);
+    if (!version || version.model !== `${owner}/${name}`) {
+      return problem(404, "Not found.");
+    }
+    return json(version.data);
+  }
+
+  createVersionPrediction(request) {
+    const body = request.body || {};
+    // The version can be given with its model, as owner/name:version
+    const id = `${body.version || ""}`.split(":").pop();
+    const version = this.versions.get(id);
+    if (!version) {
+      return problem(422, "Invalid version or not permitted");
+    }
+    return this.startPrediction(version, body);
+  }
+
+  createModelPrediction(request, owner, name) {
+    const model = this.models.get(`${owner}/${name}`);
+    if (!model || !model.latest_version) {
+      return problem(404, "Not found.");
+    }
+    const version = this.versions.get(model.latest_version.id);
+    return this.startPrediction(version, request.body || {});
+  }
+
+  createDeploymentPrediction(request, owner, name) {
+    const deployment = this.deployments.get(`${owner}/${name}`);
+    if (!deployment) {
+      return problem(404, "Not found.");
+    }
+    const version = this.versions.get(deployment.current_release.version);
+    return this.startPrediction(version, request.body || {});
+  }
+
+  listPredictions() {
+    return json(page([...this.predictions.values()].reverse()));
+  }
+
+  getPrediction(request, id) {
+    const prediction = this.predictions.get(id);
+    return prediction ? json(prediction) : problem(404, "Not found.");
+  }
+
+  cancelPrediction(request, id) {
+    const prediction = this.predictions.get(id);
+    if (!prediction) {
+      return problem(404, "Not found.");
+    }
+    this.cancel(prediction);
+    return json(prediction);
+  }
+
+  streamPrediction(request, id) {
+    const job = this.jobs.get(id);
+    if (!job || !this.predictions.get(id).urls.stream) {
+      return problem(404, "Not found.");
+    }
+    const lastEventId = request.headers.get("Last-Event-ID");
+    return toResponse(this.events(job, lastEventId, request.signal));
+  }
+
+  createTraining(request, owner, name, id) {
+    const version = this.versions.get(id);
+    if (!version || version.model !== `${owner}/${name}`) {
+      return problem(404, "Not found.");
+    }
+
+    const body = request.body || {};
+    if (!this.models.has(body.destination)) {
+      return problem(
+        404,
+        `The specified training destination ${body.destination} does not exist`
+      );
+    }
+
+    const train = version.train || (() => ({}));
+    const handler = async (input, context) => {
+      const result = await train(input, context);
+      // Trained versions run like the version they were trained from
+      const trained = this.addModel(body.destination, version.handler, {
+        schema: version.data.openapi_schema,
+        train: version.train,
+      });
+      return { version: trained.id, weights: null, ...result };
+    };
+
+    return this.startJob(this.trainings, "trainings", version, body, handler);
+  }
+
+  listTrainings() {
+    return json(page([...this.trainings.values()].reverse()));
+  }
+
+  getTraining(request, id) {
+    const training = this.trainings.get(id);
+    return training ? json(training) : problem(404, "Not found.");
+  }
+
+  cancelTraining(request, id) {
+    const training = this.trainings.get(id);
+    if (!training) {
+      return problem(404, "Not found.");
+    }
+    this.cancel(training);
+    return json(training);
+  }
+
+  listDeployments() {
+    return json(page([...this.deployments.values()]));
+  }
+
+  createDeployment(request) {
+    const body = request.body || {};
+    const model = this.models.get(body.model);
+    if (!model || !this.versions.has(body.version)) {
+      return problem(422, "Invalid model or version");
+    }
+    if (this.deployments.has(`${this.owner}/${body.name}`)) {
+      return problem(409, `A deployment named ${body.name} already exists`);
+    }
+
+    const deployment = this.addDeployment(`${this.owner}/${body.name}`, {
+      model: body.model,
+      version: body.version,
+      hardware: body.hardware,
+      minInstances: body.min_instances,
+      maxInstances: body.max_instances,
+    });
+    return json(deployment, 201);
+  }
+
+  getDeployment(request, owner, name) {
+    const deployment = this.deployments.get(`${owner}/${name}`);
+    return deployment ? json(deployment) : problem(404, "Not found.");
+  }
+
+  updateDeployment(request, owner, name) {
+    const deployment = this.deployments.get(`${owner}/${name}`);
+    if (!deployment) {
+      return problem(404, "Not found.");
+    }
+
+    const { number, model, version, configuration } =
+      deployment.current_release;
+    const body = request.body || {};
+    deployment.current_release = this.newRelease(number + 1, {
+      model,
+      version: body.version || version,
+      hardware: body.hardware || configuration.hardware,
+      min_instances:
+        body.min_instances === undefined
+          ? configuration.min_instances
+          : body.min_instances,
+      max_instances:
+        body.max_instances === undefined
+          ? configuration.max_instances
+          : body.max_instances,
+    });
+    return json(deployment);
+  }
+
+  deleteDeployment(request, owner, name) {
+    if (!this.deployments.delete(`${owner}/${name}`)) {
+      return problem(404, "Not found.");
+    }
+    return new Response(null, { status: 204 });
+  }
+
+  /**
+   * Create a model object, without any versions.
+   *
+   * @param {string} owner - The model owner
+   * @param {string} name - The model name
+   * @param {object} [options] - The `description` and `visibility` of the model
+   * @returns {object} - The model
+   */
+  newModel(owner, name, options = {}) {
+    return {
+      url: `https://replicate.com/${owner}/${name}`,
+      owner,
+      name,
+      description: options.description || "",
+      visibility: options.visibility || "public",
+      github_url: null,
+      paper_url: null,
+      license_url: null,
+      run_count: 0,
+      cover_image_url: null,
+      default_example: null,
+      latest_version: null,
+    };
+  }
+
+  /**
+   * Create a deployment release object.
+   *
+   * @param {number} number - The release number
+   * @param {object} release - The `model` and `version`, and the rest of the configuration
+   * @returns {object} - The release
+   */
+  newRelease(number, { model, version, ...configuration }) {
+    return {
+      number,
+      model,
+      version,
+      created_at: new Date().toISOString(),
+      created_by: { type: "user", username: this.owner, name: this.owner },
+      configuration,
+    };
+  }
+
+  /**
+   * Create a prediction of a model version and run it in the background.
+   *
+   * @param {object} version - The model version to run
+   * @param {object} body - The request body
+   * @returns {Response} - The response with the created prediction
+   */
+  startPrediction(version, body) {
+    const model = this.models.get(version.model);
+    model.run_count += 1;
+    return this.startJob(
+      this.predictions,
+      "predictions",
+      version,
+      body,
+      version.handler
+    );
+  }
+
+  /**
+   * Create a prediction or training and run its handler in the background.
+   *
+   * @param {Map} records - The predictions or trainings
+   * @param {string} resource - "predictions" or "trainings", for its URLs
+   * @param {object} version - The model version to run
+   * @param {object} body - The request body
+   * @param {Function} handler - The function to run
+   * @returns {Response} - The response with the created prediction or training
+   */
+  startJob(records, resource, version, body, handler) {
+    const id = randomId(26);
+    const url = `${this.baseUrl}/${resource}/${id}`;
+    const record = {
+      id,
+      model: version.model,
+      version: version.data.id,
+      input: body.input || {},
+      logs: "",
+      output: null,
+      error: null,
+      status: "starting",
+      created_at: new Date().toISOString(),
+      started_at: null,
+      completed_at: null,
+      source: "api",
+      urls: { get: url, cancel: `${url}/cancel` },
+      metrics: {},
+    };
+    if (body.stream && resource === "predictions") {
+      record.urls.stream = `${url}/stream`;
+    }
+    if (body.webhook) {
+      record.webhook = body.webhook;
+      record.webhook_events_filter = body.webhook_events_filter;
+    }
+    if (body.destination) {
+      record.destination = body.destination;
+    }
+
+    const job = { events: [], waiters: [], controller: new AbortController() };
+    records.set(id, record);
+    this.jobs.set(id, job);
+    this.run(record, job, handler);
+
+    return json(record, 201);
+  }
+
+  /**
+   * Run the handler of a prediction or training,
+   * updating it and emitting events as it goes.
+   *
+   * @param {object} record - The prediction or training
+   * @param {object} job - Its events and abort controller
+   * @param {Function} handler - The function to run
+   */
+  async run(record, job, handler) {
+    const { signal } = job.controller;
+    await sleep(this.queueTime);
+    if (signal.aborted) {
+      return;
+    }
+
+    record.status = "processing";
+    record.started_at = new Date().toISOString();
+    const context = {
+      id: record.id,
+      signal,
+      log: (text) => {
+        record.logs += `${text}\n`;
+        this.emit(job, "logs", `${text}`);
+      },
+    };
+
+    const emitOutput = (value) =>
+      this.emit(
+        job,
+        "output",
+        typeof value === "string" ? value : JSON.stringify(value)
+      );
+
+    try {
+      const result = await handler(record.input, context);
+      if (result && typeof result[Symbol.asyncIterator] === "function") {
+        record.output = [];
+        for await (const item of result) {
+          if (signal.aborted) {
+            return;
+          }
+          record.output.push(item);
+          emitOutput(item);
+        }
+      } else {
+        record.output = result === undefined ? null : result;
+        for (const item of Array.isArray(result) ? result : [result]) {
+          if (item !== undefined && item !== null) {
+            emitOutput(item);
+          }
+        }
+      }
+    } catch (error) {
+      if (signal.aborted) {
+        return;
+      }
+      record.status = "failed";
+      record.error = error.message;
+      record.completed_at = new Date().toISOString();
+      this.emit(job, "error", error.message);
+      return;
+    }
+
+    if (signal.aborted) {
+      return;
+    }
+    record.status = "succeeded";
+    record.completed_at = new Date().toISOString();
+    record.metrics = {
+      predict_time:
+        (Date.parse(record.completed_at) - Date.parse(record.started_at)) /
+        1000,
+    };
+    this.emit(job, "done", "{}");
+  }
+
+  /**
+   * Cancel a prediction or training, if it hasn't finished.
+   *
+   * @param {object} record - The prediction or training
+   */
+  cancel(record) {
+    if (isTerminal(record)) {
+      return;
+    }
+
+    const job = this.jobs.get(record.id);
+    record.status = "canceled";
+    record.completed_at = new Date().toISOString();
+    job.controller.abort();
+    this.emit(job, "done", JSON.stringify({ reason: "canceled" }));
+  }
+
+  /**
+   * Add an event to the stream of a prediction.
+   *
+   * @param {object} job - The prediction's events
+   * @param {string} event - The event type
+   * @param {string} data - The event data
+   */
+  emit(job, event, data) {
+    const id = String(job.events.length + 1);
+    job.events.push(new ServerSentEvent(event, data, id));
+    for (const resolve of job.waiters.splice(0)) {
+      resolve();
+    }
+  }
+
+  /**
+   * Iterate over the events of a prediction,
+   * starting after the last event a reconnecting client received,
+   * until the prediction finishes.
+   *
+   * @param {object} job - The prediction's events
+   * @param {string|null} lastEventId - The ID of the last event the client received
+   * @param {AbortSignal} [signal] - The signal of the request, to stop when it's aborted
+   * @yields {ServerSentEvent} Each event
+   */
+  async *events(job, lastEventId, signal) {
+    let index = lastEventId ? Number(lastEventId) : 0;
+    for (;;) {
+      if (signal && signal.aborted) {
+        return;
+      }
+
+      if (index < job.events.length) {
+        const sse = job.events[index];
+        index += 1;
+        yield sse;
+        if (sse.event === "done" || sse.event === "error") {
+          return;
+        }
+        continue;
+      }
+
+      await new Promise((resolve) => {
+        const wake = () => {
+          // Don't pile up listeners on a signal that's used for the whole stream
+          if (signal) {
+            signal.removeEventListener("abort", wake);
+          }
+          resolve();
+        };
+        job.waiters.push(wake);
+        if (signal) {
+          signal.addEventListener("abort", wake, { once: true });
+        }
+      });
+    }
+  }
+}
+
+module.exports = { Cassette, FakeServer, UnmatchedRequestError };
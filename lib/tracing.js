@@ -0,0 +1,148 @@
+/**
+ * Span status codes, matching `SpanStatusCode` in the OpenTelemetry API.
+ */
+const SpanStatusCode = { UNSET: 0, OK: 1, ERROR: 2 };
+
+const noopSpan = {
+  setAttribute() {
+    return this;
+  },
+  setAttributes() {
+    return this;
+  },
+  addEvent() {
+    return this;
+  },
+  setStatus() {
+    return this;
+  },
+  recordException() {},
+  end() {},
+  isRecording() {
+    return false;
+  },
+};
+
+/**
+ * A tracer that records nothing.
+ */
+const noopTracer = {
+  startSpan() {
+    return noopSpan;
+  },
+};
+
+/**
+ * Resolve the tracer for a client from its `tracer` option.
+ *
+ * Without a tracer, the client uses the OpenTelemetry API if it's installed,
+ * which records spans once an OpenTelemetry SDK is registered,
+ * and records nothing otherwise.
+ *
+ * @param {object|boolean} [tracer] - A tracer compatible with the OpenTelemetry `Tracer` interface, or false to disable tracing
+ * @param {string} version - The version of this library
+ * @returns {object} - The tracer
+ */
+function resolveTracer(tracer, version) {
+  if (tracer === false) {
+    return noopTracer;
+  }
+
+  if (tracer) {
+    return tracer;
+  }
+
+  try {
+    const { trace } = require("@opentelemetry/api");
+    return trace.getTracer("replicate", version);
+  } catch (error) {
+    return noopTracer;
+  }
+}
+
+/**
+ * Remove attributes without a value,
+ * which OpenTelemetry doesn't accept.
+ *
+ * @param {object} attributes - Span attributes
+ * @returns {object} - The attributes that have a value
+ */
+function definedAttributes(attributes) {
+  const result = {};
+  for (const [key, value] of Object.entries(attributes)) {
+    if (value !== undefined && value !== null) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Get span attributes for a prediction,
+ * including how long it was queued and how long it ran.
+ *
+ * @param {object} prediction - The prediction object
+ * @returns {object} - Span attributes
+ */
+function predictionAttributes(prediction) {
+  const time = (value) => (value ? new Date(value).getTime() : undefined);
+  const createdAt = time(prediction.created_at);
+  const startedAt = time(prediction.started_at);
+  const completedAt = time(prediction.completed_at);
+
+  return definedAttributes({
+    "replicate.prediction.id": prediction.id,
+    "replicate.prediction.status": prediction.status,
+    "replicate.prediction.version": prediction.version,
+    "replicate.prediction.predict_time":
+      prediction.metrics && prediction.metrics.predict_time,
+    "replicate.prediction.queue_time_ms":
+      createdAt && startedAt ? startedAt - createdAt : undefined,
+    "replicate.prediction.run_time_ms":
+      startedAt && completedAt ? completedAt - startedAt : undefined,
+  });
+}
+
+/**
+ * Run a function in a span.
+ *
+ * The span is made active while the function runs if the tracer supports it,
+ * so spans for requests made by the function are nested inside it.
+ * The span records the error if the function throws,
+ * and ends when the function settles.
+ *
+ * @param {object} tracer - The tracer
+ * @param {string} name - The span name
+ * @param {object} attributes - Initial span attributes
+ * @param {Function} fn - A function that receives the span and returns a Promise
+ * @returns {Promise<any>} - Resolves with the result of the function
+ */
+function withSpan(tracer, name, attributes, fn) {
+  const run = async (span) => {
+    try {
+      const result = await fn(span);
+      span.setStatus({ code: SpanStatusCode.OK });
+      return result;
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  };
+
+  const options = { attributes: definedAttributes(attributes) };
+  if (typeof tracer.startActiveSpan === "function") {
+    return tracer.startActiveSpan(name, options, run);
+  }
+  return run(tracer.startSpan(name, options));
+}
+
+module.exports = {
+  SpanStatusCode,
+  resolveTracer,
+  definedAttributes,
+  predictionAttributes,
+  withSpan,
+};
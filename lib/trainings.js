@@ -1,3 +1,6 @@
+const { TrainingHandle, toHandle } = require("./handle");
+const { transformFileInputs } = require("./util");
+
 /**
  * Create a new training
  *
@@ -6,13 +9,14 @@
  * @param {string} version_id - Required. The version ID
  * @param {object} options
  * @param {string} options.destination - Required. The destination for the trained version in the form "{username}/{model_name}"
- * @param {object} options.input - Required. An object with the model inputs
+ * @param {object} options.input - Required. An object with the model inputs. File values (Blob, Buffer, or stream) are uploaded or encoded as data URIs
  * @param {string} [options.webhook] - An HTTPS URL for receiving a webhook when the training updates
  * @param {string[]} [options.webhook_events_filter] - You can change which events trigger webhook requests by specifying webhook events (`start`|`output`|`logs`|`completed`)
- * @returns {Promise<object>} Resolves with the data for the created training
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
+ * @returns {Promise<object>} Resolves with the data for the created training, or a `TrainingHandle` if the client was created with `usePredictionHandles`
  */
 async function createTraining(model_owner, model_name, version_id, options) {
-  const { ...data } = options;
+  const { signal, ...data } = options;
 
   if (data.webhook) {
     try {
@@ -23,53 +27,67 @@ async function createTraining(model_owner, model_name, version_id, options) {
     }
   }
 
+  if (data.input) {
+    data.input = await transformFileInputs(this, data.input, { signal });
+  }
+
   const response = await this.request(
     `/models/${model_owner}/${model_name}/versions/${version_id}/trainings`,
     {
       method: "POST",
       data,
+      signal,
     }
   );
 
-  return response.json();
+  return toHandle(this, await response.json(), TrainingHandle);
 }
 
 /**
  * Fetch a training by ID
  *
  * @param {string} training_id - Required. The training ID
- * @returns {Promise<object>} Resolves with the data for the training
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
+ * @returns {Promise<object>} Resolves with the data for the training, or a `TrainingHandle` if the client was created with `usePredictionHandles`
  */
-async function getTraining(training_id) {
+async function getTraining(training_id, options = {}) {
   const response = await this.request(`/trainings/${training_id}`, {
     method: "GET",
+    signal: options.signal,
   });
 
-  return response.json();
+  return toHandle(this, await response.json(), TrainingHandle);
 }
 
 /**
  * Cancel a training by ID
  *
  * @param {string} training_id - Required. The training ID
- * @returns {Promise<object>} Resolves with the data for the training
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
+ * @returns {Promise<object>} Resolves with the data for the training, or a `TrainingHandle` if the client was created with `usePredictionHandles`
  */
-async function cancelTraining(training_id) {
+async function cancelTraining(training_id, options = {}) {
   const response = await this.request(`/trainings/${training_id}/cancel`, {
     method: "POST",
+    signal: options.signal,
   });
 
-  return response.json();
+  return toHandle(this, await response.json(), TrainingHandle);
 }
 
 /**
  * List all trainings
  *
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel the request
  * @returns {Promise<object>} - Resolves with a page of trainings
  */
-async function listTrainings() {
+async function listTrainings(options = {}) {
   const response = await this.request("/trainings", {
     method: "GET",
+    signal: options.signal,
   });
 
   return response.json();
@@ -1,71 +1,470 @@
-const ApiError = require("./error");
+const { UnmatchedRequestError, parseRetryAfter } = require("./error");
 
 /**
- * Automatically retry a request if it fails with an appropriate status code.
+ * Get the error to throw for an aborted signal.
  *
- * A GET request is retried if it fails with a 429 or 5xx status code.
- * A non-GET request is retried only if it fails with a 429 status code.
+ * @param {AbortSignal} signal - The aborted signal
+ * @returns {any} - The abort reason, or an `AbortError` if there isn't one
+ */
+function abortReason(signal) {
+  if (signal.reason !== undefined) {
+    return signal.reason;
+  }
+
+  return new DOMException("This operation was aborted", "AbortError");
+}
+
+/**
+ * Throw if a signal has been aborted.
+ *
+ * @param {AbortSignal} [signal] - The signal to check
+ * @throws {DOMException} An `AbortError`, or the abort reason, if the signal was aborted
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw abortReason(signal);
+  }
+}
+
+/**
+ * Wait for a number of milliseconds.
+ *
+ * @param {number} ms - The time to wait in milliseconds
+ * @param {AbortSignal} [signal] - A signal that ends the wait early by rejecting
+ * @returns {Promise<void>} - Resolves after the time has passed
+ * @throws {DOMException} An `AbortError`, or the abort reason, if the signal is aborted
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortReason(signal));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortReason(signal));
+    };
+
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      resolve();
+    }, ms);
+
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Default policy for retrying failed requests.
+ */
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 5,
+  baseDelay: 500,
+  maxDelay: 10000,
+  jitter: 100,
+  statuses: [429, 500, 502, 503, 504],
+  methods: ["GET", "HEAD", "OPTIONS"],
+  networkErrors: true,
+  idempotencyKeys: false,
+};
+
+/**
+ * Resolve the retry policy for a client from its `retry` option.
+ *
+ * @param {object|boolean} [retry] - Retry options, or false to disable retries
+ * @returns {object} - The retry options, with defaults for any that aren't set
+ */
+function resolveRetryOptions(retry) {
+  if (retry === false) {
+    return { ...DEFAULT_RETRY_OPTIONS, maxRetries: 0 };
+  }
+
+  const options = { ...DEFAULT_RETRY_OPTIONS };
+  for (const [key, value] of Object.entries(retry || {})) {
+    if (value !== undefined) {
+      options[key] = value;
+    }
+  }
+  return options;
+}
+
+/**
+ * Generate a random UUID, for use as an idempotency key.
+ *
+ * @returns {string} - A version 4 UUID
+ */
+function randomUUID() {
+  if (globalThis.crypto && typeof globalThis.crypto.randomUUID === "function") {
+    return globalThis.crypto.randomUUID();
+  }
+
+  return require("node:crypto").randomUUID();
+}
+
+/**
+ * Automatically retry a request if it fails with a retryable response or error.
  *
  * If the response sets a Retry-After header,
- * the request is retried after the number of seconds specified in the header.
- * Otherwise, the request is retried after the specified interval,
- * with exponential backoff and jitter.
+ * the request is retried after the time specified in the header.
+ * Otherwise, the request is retried after the base delay,
+ * with exponential backoff up to the maximum delay, plus random jitter.
+ *
+ * When the retries are used up, the last response is returned,
+ * or the last error is thrown.
  *
  * @param {Function} request - A function that returns a Promise that resolves with a Response object
  * @param {object} options
- * @param {Function} [options.shouldRetry] - A function that returns true if the request should be retried
+ * @param {Function} [options.shouldRetry] - A function that returns true if the request should be retried for a response
+ * @param {Function} [options.shouldRetryError] - A function that returns true if the request should be retried when it throws an error
  * @param {number} [options.maxRetries] - Maximum number of retries. Defaults to 5
- * @param {number} [options.interval] - Interval between retries in milliseconds. Defaults to 500
+ * @param {number} [options.baseDelay] - Delay before the first retry in milliseconds. Defaults to 500
+ * @param {number} [options.maxDelay] - Maximum delay between retries in milliseconds, unless the response sets Retry-After. Defaults to 10000
+ * @param {number} [options.jitter] - Maximum random time in milliseconds added to each delay. Defaults to 100
+ * @param {Function} [options.onRetry] - A function called before each retry with the attempt number, delay, and the response or error
+ * @param {AbortSignal} [options.signal] - A signal that stops retrying when aborted
  * @returns {Promise<Response>} - Resolves with the response object
- * @throws {ApiError} If the request failed
+ * @throws {Error} If the request threw an error that shouldn't be retried, or the retries were used up
  */
 async function withAutomaticRetries(request, options = {}) {
-  const shouldRetry = options.shouldRetry || (() => false);
-  const maxRetries = options.maxRetries || 5;
-  const interval = options.interval || 500;
-  const jitter = options.jitter || 100;
-
-  // eslint-disable-next-line no-promise-executor-return
-  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const {
+    shouldRetry = () => false,
+    shouldRetryError = () => false,
+    maxRetries = DEFAULT_RETRY_OPTIONS.maxRetries,
+    baseDelay = DEFAULT_RETRY_OPTIONS.baseDelay,
+    maxDelay = DEFAULT_RETRY_OPTIONS.maxDelay,
+    jitter = DEFAULT_RETRY_OPTIONS.jitter,
+    onRetry,
+    signal,
+  } = options;
 
-  let attempts = 0;
-  do {
-    let delay = interval * 2 ** attempts + Math.random() * jitter;
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    let error;
 
     /* eslint-disable no-await-in-loop */
     try {
-      const response = await request();
-      if (response.ok || !shouldRetry(response)) {
-        return response;
+      response = await request();
+    } catch (e) {
+      // Never retry a request that was aborted
+      throwIfAborted(signal);
+      error = e;
+    }
+
+    // A request that isn't in a replayed cassette fails the same way every time
+    const retryable = error
+      ? !(error instanceof UnmatchedRequestError) && shouldRetryError(error)
+      : !response.ok && shouldRetry(response);
+
+    if (!retryable || attempt >= maxRetries) {
+      if (error) {
+        throw error;
       }
-    } catch (error) {
-      if (error instanceof ApiError) {
-        const retryAfter = error.response.headers.get("Retry-After");
-        if (retryAfter) {
-          if (!Number.isInteger(retryAfter)) {
-            // Retry-After is a date
-            const date = new Date(retryAfter);
-            if (!Number.isNaN(date.getTime())) {
-              delay = date.getTime() - new Date().getTime();
-            }
-          } else {
-            // Retry-After is a number of seconds
-            delay = retryAfter * 1000;
-          }
-        }
+      return response;
+    }
+
+    let delay = Math.min(baseDelay * 2 ** attempt, maxDelay);
+    delay += Math.random() * jitter;
+
+    const retryAfter = response
+      ? parseRetryAfter(response.headers.get("Retry-After"))
+      : undefined;
+    if (retryAfter !== undefined) {
+      delay = retryAfter * 1000;
+    }
+
+    if (onRetry) {
+      onRetry({ attempt: attempt + 1, delay, response, error });
+    }
+
+    // Release the connection of the response that's being retried
+    if (
+      response &&
+      response.body &&
+      typeof response.body.cancel === "function" &&
+      !response.bodyUsed
+    ) {
+      await response.body.cancel().catch(() => {});
+    }
+
+    await sleep(delay, signal);
+    /* eslint-enable no-await-in-loop */
+  }
+}
+
+/**
+ * Get a reader for a response body.
+ *
+ * Web streams are read with `getReader`,
+ * since some browsers, like Safari, can't iterate over them with `for await`.
+ * Other bodies, like the Node.js streams of `node-fetch` responses,
+ * are read with their async iterator.
+ *
+ * @param {ReadableStream|AsyncIterable<Uint8Array>} body - The response body
+ * @returns {{read: Function, cancel: Function}} - A reader whose `read` resolves with `{ done, value }`
+ */
+function getBodyReader(body) {
+  if (typeof body.getReader === "function") {
+    return body.getReader();
+  }
+
+  const iterator = body[Symbol.asyncIterator]();
+  return {
+    read: () => iterator.next(),
+    cancel: async (reason) => {
+      if (iterator.return) {
+        await iterator.return(reason);
       }
+    },
+  };
+}
+
+/**
+ * Default size in bytes above which file inputs are uploaded
+ * rather than inlined as data URIs.
+ */
+const DEFAULT_FILE_UPLOAD_THRESHOLD = 256 * 1024;
+
+/**
+ * Leading bytes of common file formats, used to guess the MIME type of binary inputs.
+ */
+const FILE_SIGNATURES = [
+  { type: "image/png", offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { type: "image/jpeg", offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  { type: "image/gif", offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: "image/webp", offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] },
+  { type: "audio/wav", offset: 8, bytes: [0x57, 0x41, 0x56, 0x45] },
+  { type: "audio/mpeg", offset: 0, bytes: [0x49, 0x44, 0x33] },
+  { type: "audio/flac", offset: 0, bytes: [0x66, 0x4c, 0x61, 0x43] },
+  { type: "audio/ogg", offset: 0, bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { type: "video/mp4", offset: 4, bytes: [0x66, 0x74, 0x79, 0x70] },
+  { type: "application/pdf", offset: 0, bytes: [0x25, 0x50, 0x44, 0x46] },
+];
+
+/**
+ * Guess the MIME type of a file from its leading bytes.
+ *
+ * @param {Uint8Array} bytes - The file content
+ * @returns {string} - The MIME type, or `application/octet-stream` if unknown
+ */
+function guessMimeType(bytes) {
+  const signature = FILE_SIGNATURES.find(({ offset, bytes: expected }) =>
+    expected.every((byte, i) => bytes[offset + i] === byte)
+  );
+  return signature ? signature.type : "application/octet-stream";
+}
+
+/**
+ * Encode bytes as a base64 string.
+ *
+ * @param {ArrayBuffer|ArrayBufferView} data - The bytes to encode
+ * @returns {string} - The base64 encoded string
+ */
+function toBase64(data) {
+  const bytes = ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data);
+
+  if (typeof Buffer !== "undefined") {
+    return Buffer.from(bytes).toString("base64");
+  }
+
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Check whether a model input value holds file data.
+ *
+ * Strings are never treated as files, so URLs and data URIs pass through unchanged.
+ *
+ * @param {any} value - The input value
+ * @returns {boolean} - True if the value is a Blob, File, Buffer, ArrayBuffer, typed array or stream
+ */
+function isFileInput(value) {
+  if (!value || typeof value !== "object") {
+    return false;
+  }
+
+  return (
+    (typeof Blob !== "undefined" && value instanceof Blob) ||
+    value instanceof ArrayBuffer ||
+    ArrayBuffer.isView(value) ||
+    (typeof ReadableStream !== "undefined" &&
+      value instanceof ReadableStream) ||
+    // Node.js readable streams, including `fs.createReadStream()`
+    (typeof value.pipe === "function" &&
+      typeof value[Symbol.asyncIterator] === "function")
+  );
+}
+
+/**
+ * Read a file input into a Blob with a known MIME type.
+ *
+ * @param {Blob|ArrayBuffer|ArrayBufferView|ReadableStream|AsyncIterable} value - The file input
+ * @returns {Promise<{blob: Blob, filename: string|undefined}>} - The file content and its name, if known
+ */
+async function readFileInput(value) {
+  let blob;
+  if (typeof Blob !== "undefined" && value instanceof Blob) {
+    blob = value;
+  } else if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    blob = new Blob([value]);
+  } else if (
+    typeof ReadableStream !== "undefined" &&
+    value instanceof ReadableStream
+  ) {
+    blob = await new Response(value).blob();
+  } else {
+    const chunks = [];
+    for await (const chunk of value) {
+      chunks.push(chunk);
     }
+    blob = new Blob(chunks);
+  }
 
-    if (Number.isInteger(maxRetries) && maxRetries > 0) {
-      if (Number.isInteger(delay) && delay > 0) {
-        await sleep(interval * 2 ** (options.maxRetries - maxRetries));
+  let filename = value.name;
+  if (!filename && typeof value.path === "string") {
+    filename = value.path.split(/[\\/]/).pop();
+  }
+
+  if (!blob.type) {
+    const header = new Uint8Array(await blob.slice(0, 16).arrayBuffer());
+    blob = new Blob([blob], { type: guessMimeType(header) });
+  }
+
+  return { blob, filename };
+}
+
+/**
+ * Replace file data in model inputs with URLs the API accepts.
+ *
+ * Walks arrays and plain objects recursively.
+ * Depending on the client's `fileEncodingStrategy`,
+ * each file is either uploaded with `files.create` and replaced with its URL,
+ * or inlined as a base64-encoded data URI.
+ * With the "default" strategy, files larger than `fileUploadThreshold` are uploaded
+ * and smaller files are inlined.
+ *
+ * @param {object} client - The Replicate client
+ * @param {any} inputs - The model inputs
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel file uploads
+ * @returns {Promise<any>} - Resolves with a copy of the inputs with files replaced
+ */
+async function transformFileInputs(client, inputs, options = {}) {
+  const strategy = client.fileEncodingStrategy || "default";
+  const threshold =
+    client.fileUploadThreshold === undefined
+      ? DEFAULT_FILE_UPLOAD_THRESHOLD
+      : client.fileUploadThreshold;
+
+  const transform = async (value) => {
+    if (isFileInput(value)) {
+      const { blob, filename } = await readFileInput(value);
+
+      if (
+        strategy === "upload" ||
+        (strategy === "default" && blob.size > threshold)
+      ) {
+        const file = await client.files.create(blob, {
+          filename,
+          signal: options.signal,
+        });
+        return file.urls.get;
       }
-      attempts += 1;
+
+      const base64 = toBase64(await blob.arrayBuffer());
+      return `data:${blob.type};base64,${base64}`;
     }
-    /* eslint-enable no-await-in-loop */
-  } while (attempts < maxRetries);
 
-  return request();
+    if (Array.isArray(value)) {
+      const result = [];
+      for (const item of value) {
+        result.push(await transform(item));
+      }
+      return result;
+    }
+
+    if (
+      value &&
+      typeof value === "object" &&
+      (Object.getPrototypeOf(value) === Object.prototype ||
+        Object.getPrototypeOf(value) === null)
+    ) {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = await transform(item);
+      }
+      return result;
+    }
+
+    return value;
+  };
+
+  return transform(inputs);
+}
+
+/**
+ * Bind a list endpoint to the client and add an `all` method to it,
+ * which iterates over every item across all pages of results.
+ *
+ * `all` takes the same arguments as the endpoint,
+ * followed by an optional options object with a `limit` and a `signal`.
+ * Pages are fetched one at a time as the iterator is consumed,
+ * so breaking out of a loop early doesn't request any further pages.
+ *
+ * @example
+ * for await (const version of replicate.models.versions.list.all("owner", "name", { limit: 10 })) {
+ *   console.log(version.id);
+ * }
+ * @param {object} client - The Replicate client
+ * @param {Function} list - A list endpoint that resolves with a page of results
+ * @returns {Function} - The endpoint bound to the client, with an `all` method
+ */
+function withPagination(client, list) {
+  const bound = list.bind(client);
+
+  bound.all = async function* all(...args) {
+    const { limit, signal } = args[list.length] || {};
+    if (limit !== undefined && limit <= 0) {
+      return;
+    }
+
+    let count = 0;
+    const endpoint = () => bound(...args.slice(0, list.length), { signal });
+    for await (const page of client.paginate(endpoint, { signal })) {
+      for (const item of page) {
+        yield item;
+
+        count += 1;
+        if (limit !== undefined && count >= limit) {
+          return;
+        }
+      }
+    }
+  };
+
+  return bound;
 }
 
-module.exports = { withAutomaticRetries };
+module.exports = {
+  abortReason,
+  sleep,
+  throwIfAborted,
+  randomUUID,
+  resolveRetryOptions,
+  withAutomaticRetries,
+  getBodyReader,
+  toBase64,
+  isFileInput,
+  transformFileInputs,
+  withPagination,
+};
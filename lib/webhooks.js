@@ -0,0 +1,641 @@
+const { abortReason, toBase64 } = require("./util");
+
+/**
+ * Default number of seconds a webhook timestamp may differ from the current time.
+ */
+const DEFAULT_TOLERANCE = 5 * 60;
+
+/**
+ * Resolve a Web Crypto implementation.
+ *
+ * Node.js 18 only exposes `globalThis.crypto` behind a flag,
+ * so fall back to the `webcrypto` export of the built-in module.
+ *
+ * @returns {Crypto} - The Web Crypto implementation
+ */
+function getCrypto() {
+  if (globalThis.crypto && globalThis.crypto.subtle) {
+    return globalThis.crypto;
+  }
+
+  return require("node:crypto").webcrypto;
+}
+
+/**
+ * Decode a base64 string into bytes.
+ *
+ * @param {string} string - The base64 encoded string
+ * @returns {Uint8Array} - The decoded bytes
+ */
+function fromBase64(string) {
+  const binary = atob(string);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Compare two strings in constant time.
+ *
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {boolean} - True if the strings are equal
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let result = 0;
+  for (let i = 0; i < a.length; i++) {
+    result |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return result === 0;
+}
+
+/**
+ * Read a header from a `Headers` instance or a plain object.
+ *
+ * @param {Headers|object} headers - The request headers
+ * @param {string} name - The lowercase header name
+ * @returns {string|undefined} - The header value
+ */
+function getHeader(headers, name) {
+  if (!headers) {
+    return undefined;
+  }
+
+  if (typeof headers.get === "function") {
+    return headers.get(name) || undefined;
+  }
+
+  for (const [key, value] of Object.entries(headers)) {
+    if (key.toLowerCase() === name) {
+      return Array.isArray(value) ? value[0] : value;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Read a webhook request body into a string.
+ *
+ * @param {string|ArrayBuffer|ArrayBufferView} body - The raw request body
+ * @returns {string} - The body decoded as UTF-8
+ */
+function readBody(body) {
+  if (typeof body === "string") {
+    return body;
+  }
+
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+    return new TextDecoder("utf-8").decode(body);
+  }
+
+  throw new Error(
+    "Invalid webhook body. Expected a string, Buffer, or ArrayBuffer"
+  );
+}
+
+/**
+ * Validate a webhook sent by Replicate and return its payload.
+ *
+ * The signature is an HMAC-SHA256 of the webhook ID, timestamp and raw body,
+ * keyed with the webhook signing secret.
+ *
+ * @see https://replicate.com/docs/webhooks#verifying-webhooks
+ * @example
+ * // In a Fetch API route handler
+ * const prediction = await validateWebhook(request, process.env.REPLICATE_WEBHOOK_SIGNING_SECRET);
+ *
+ * // With a raw body and headers, e.g. from Express with `express.raw()`
+ * const prediction = await validateWebhook({ body: req.body, headers: req.headers }, secret);
+ * @param {Request|object} request - A Fetch API `Request`, or an object with the raw request data
+ * @param {string|ArrayBuffer|ArrayBufferView} [request.body] - The raw request body, exactly as received
+ * @param {Headers|object} [request.headers] - The request headers
+ * @param {string} secret - Required. The webhook signing secret, in the format `whsec_...`
+ * @param {object} [options]
+ * @param {number} [options.tolerance] - Maximum age of the webhook timestamp in seconds. Defaults to 300
+ * @throws {Error} If the webhook headers are missing, the timestamp is outside the tolerance, or the signature doesn't match
+ * @returns {Promise<object>} Resolves with the prediction or training sent in the webhook
+ */
+async function validateWebhook(request, secret, options = {}) {
+  if (!request) {
+    throw new Error("Missing webhook request");
+  }
+
+  if (!secret) {
+    throw new Error("Missing webhook signing secret");
+  }
+
+  const id = getHeader(request.headers, "webhook-id");
+  const timestamp = getHeader(request.headers, "webhook-timestamp");
+  const signature = getHeader(request.headers, "webhook-signature");
+
+  if (!id || !timestamp || !signature) {
+    throw new Error("Missing required webhook headers");
+  }
+
+  let body;
+  if (typeof Request !== "undefined" && request instanceof Request) {
+    body = await request.text();
+  } else {
+    body = readBody(request.body);
+  }
+
+  if (!body) {
+    throw new Error("Missing webhook body");
+  }
+
+  const tolerance =
+    options.tolerance === undefined ? DEFAULT_TOLERANCE : options.tolerance;
+  const seconds = Number.parseInt(timestamp, 10);
+  if (Number.isNaN(seconds)) {
+    throw new Error("Invalid webhook timestamp");
+  }
+  if (Math.abs(Date.now() / 1000 - seconds) > tolerance) {
+    throw new Error("Webhook timestamp is outside the tolerance window");
+  }
+
+  const crypto = getCrypto();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    fromBase64(secret.startsWith("whsec_") ? secret.slice(6) : secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const digest = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    new TextEncoder().encode(`${id}.${timestamp}.${body}`)
+  );
+  const computedSignature = toBase64(digest);
+
+  // The header may contain several space-delimited signatures,
+  // each prefixed with a version identifier (e.g. `v1,<signature>`).
+  const valid = signature
+    .split(" ")
+    .map((entry) => entry.split(",")[1])
+    .some(
+      (expected) => expected && timingSafeEqual(expected, computedSignature)
+    );
+
+  if (!valid) {
+    throw new Error("Invalid webhook signature");
+  }
+
+  return JSON.parse(body);
+}
+
+/**
+ * Read the body of a Node.js `http` request.
+ *
+ * @param {import("http").IncomingMessage} req - The request
+ * @returns {Promise<Buffer>} - Resolves with the body
+ * @throws {Error} If the request is aborted before the body is received
+ */
+async function readNodeBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Number of finished predictions a receiver remembers,
+ * for waits that start after the webhook arrived.
+ */
+const MAX_RECEIVED = 1000;
+
+/**
+ * Receives webhooks from Replicate and resolves waits for the predictions they report on.
+ *
+ * Pass the receiver as the `receiver` option of `replicate.wait`,
+ * or of `wait` in `replicate.run`,
+ * and call `receive` from the route that Replicate sends webhooks to.
+ * Use `WebhookReceiver.listen` to receive webhooks with a built-in Node.js server instead,
+ * for local development.
+ *
+ * @example
+ * const receiver = new WebhookReceiver({ url: "https://example.com/webhooks/replicate", secret });
+ * app.post("/webhooks/replicate", express.raw({ type: "application/json" }), async (req, res) => {
+ *   await receiver.receive({ body: req.body, headers: req.headers });
+ *   res.sendStatus(200);
+ * });
+ * const output = await replicate.run(model, { input, wait: { receiver } });
+ */
+class WebhookReceiver {
+  /**
+   * Create a webhook receiver.
+   *
+   * @param {object} options
+   * @param {string} options.url - Required. The URL that Replicate sends webhooks to
+   * @param {string} options.secret - Required. The webhook signing secret, in the format `whsec_...`
+   * @param {number} [options.tolerance] - Maximum age of the webhook timestamp in seconds. Defaults to 300
+   */
+  constructor({ url, secret, tolerance } = {}) {
+    if (!url) {
+      throw new Error("Missing webhook URL");
+    }
+    if (!secret) {
+      throw new Error("Missing webhook signing secret");
+    }
+
+    this.url = url;
+    this.secret = secret;
+    this.tolerance = tolerance;
+    this.server = null;
+
+    // Finished predictions by ID, and the waits for unfinished ones
+    this.received = new Map();
+    this.waiters = new Map();
+  }
+
+  /**
+   * Start a Node.js HTTP server that receives webhooks,
+   * and create a receiver for it.
+   *
+   * Replicate can't send webhooks to `localhost`,
+   * so pass the public URL of a tunnel to the server as `url`.
+   *
+   * @param {object} options
+   * @param {string} options.secret - Required. The webhook signing secret, in the format `whsec_...`
+   * @param {number} [options.port] - The port to listen on. Defaults to a random free port
+   * @param {string} [options.host] - The host to listen on. Defaults to all interfaces
+   * @param {string} [options.url] - The public URL of the server. Defaults to `http://<host>:<port>/`, with `localhost` as the host if listening on all interfaces
+   * @param {number} [options.tolerance] - Maximum age of the webhook timestamp in seconds. Defaults to 300
+   * @returns {Promise<WebhookReceiver>} - Resolves with the receiver when the server is listening
+   */
+  static async listen(options = {}) {
+    const http = require("node:http");
+
+    // The URL is set when the server is listening on its port
+    const receiver = new WebhookReceiver({
+      ...options,
+      url: options.url || "http://localhost/",
+    });
+    const server = http.createServer(async (req, res) => {
+      let body;
+      try {
+        body = await readNodeBody(req);
+      } catch (error) {
+        // The client disconnected before sending the whole body
+        res.destroy();
+        return;
+      }
+
+      try {
+        await receiver.receive({ body, headers: req.headers });
+        res.writeHead(200).end();
+      } catch (error) {
+        res.writeHead(400, { "Content-Type": "text/plain" }).end(error.message);
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(options.port || 0, options.host, resolve);
+    });
+
+    if (!options.url) {
+      // Hosts that listen on all interfaces are reachable on localhost
+      let host = options.host;
+      if (!host || host === "0.0.0.0" || host === "::") {
+        host = "localhost";
+      } else if (host.includes(":")) {
+        host = `[${host}]`;
+      }
+      receiver.url = `http://${host}:${server.address().port}/`;
+    }
+    receiver.server = server;
+    return receiver;
+  }
+
+  /**
+   * Stop the server started by `listen`.
+   *
+   * @returns {Promise<void>} - Resolves when the server is closed
+   */
+  async close() {
+    const { server } = this;
+    if (!server) {
+      return;
+    }
+    this.server = null;
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  /**
+   * Verify a webhook and resolve the waits for the prediction or training it reports on,
+   * if it has finished.
+   *
+   * @param {Request|object} request - A Fetch API `Request`, or an object with the raw `body` and `headers`, like for `validateWebhook`
+   * @returns {Promise<object>} - Resolves with the prediction or training sent in the webhook
+   * @throws {Error} If the webhook isn't valid
+   */
+  async receive(request) {
+    const prediction = await validateWebhook(request, this.secret, {
+      tolerance: this.tolerance,
+    });
+
+    if (
+      prediction.status === "succeeded" ||
+      prediction.status === "failed" ||
+      prediction.status === "canceled"
+    ) {
+      this.received.set(prediction.id, prediction);
+      if (this.received.size > MAX_RECEIVED) {
+        this.received.delete(this.received.keys().next().value);
+      }
+
+      for (const resolve of this.waiters.get(prediction.id) || []) {
+        resolve(prediction);
+      }
+      this.waiters.delete(prediction.id);
+    }
+
+    return prediction;
+  }
+
+  /**
+   * Wait for the webhook that reports a prediction or training has finished.
+   *
+   * @param {string} id - The prediction or training ID
+   * @param {AbortSignal} [signal] - AbortSignal to stop waiting
+   * @returns {Promise<object>} - Resolves with the finished prediction or training
+   */
+  waitFor(id, signal) {
+    if (signal && signal.aborted) {
+      return Promise.reject(abortReason(signal));
+    }
+    if (this.received.has(id)) {
+      return Promise.resolve(this.received.get(id));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiters = this.waiters.get(id) || new Set();
+      this.waiters.set(id, waiters);
+
+      const onAbort = () => {
+        waiters.delete(done);
+        if (waiters.size === 0) {
+          this.waiters.delete(id);
+        }
+        reject(abortReason(signal));
+      };
+      const done = (prediction) => {
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+        resolve(prediction);
+      };
+
+      waiters.add(done);
+      if (signal) {
+        signal.addEventListener("abort", onAbort, { once: true });
+      }
+    });
+  }
+}
+
+/**
+ * Number of webhook IDs a handler remembers to skip duplicate deliveries.
+ */
+const MAX_HANDLED = 1000;
+
+/**
+ * Get the event types of a webhook from the status and changes of its prediction,
+ * since the payload doesn't say which event it was sent for.
+ *
+ * @param {object} prediction - The prediction or training sent in the webhook
+ * @param {object} [previous] - The prediction or training sent in the last webhook for it, if any
+ * @returns {string[]} - The event types, in the order their handlers are called
+ */
+function webhookEvents(prediction, previous) {
+  switch (prediction.status) {
+    case "starting":
+      return ["start"];
+    case "processing": {
+      const events = [];
+      const changed = (field) =>
+        prediction[field] !== undefined &&
+        prediction[field] !== null &&
+        JSON.stringify(prediction[field]) !==
+          JSON.stringify(previous ? previous[field] : null);
+      if (changed("logs")) {
+        events.push("logs");
+      }
+      if (changed("output")) {
+        events.push("output");
+      }
+      return events;
+    }
+    case "failed":
+      return ["failed", "completed"];
+    default:
+      return ["completed"];
+  }
+}
+
+/**
+ * Create a handler that verifies webhooks from Replicate
+ * and calls a function for each type of event.
+ *
+ * `onStart` is called when a prediction starts,
+ * `onLogs` and `onOutput` when it has new logs or output,
+ * `onFailed` when it fails,
+ * and `onCompleted` when it finishes, whether it succeeded, failed or was canceled.
+ * Each is called with the prediction or training and the event's `id` and `type`.
+ * If one throws, `onError` is called with the error,
+ * and `node` and `fetch` respond with 500 so that Replicate retries the webhook.
+ *
+ * Replicate retries webhooks that aren't acknowledged,
+ * so webhooks with an ID that was handled before are acknowledged without calling the functions again,
+ * and webhooks with an ID that's being handled wait for the first attempt to finish.
+ *
+ * @example
+ * const handler = createWebhookHandler({
+ *   secret: process.env.REPLICATE_WEBHOOK_SIGNING_SECRET,
+ *   onCompleted: async (prediction) => saveOutput(prediction.id, prediction.output),
+ * });
+ *
+ * // Express, with the raw body, or a Node.js http server
+ * app.post("/webhooks/replicate", express.raw({ type: "application/json" }), handler.node);
+ *
+ * // Fetch API route handlers, like in Next.js, Hono or Cloudflare Workers
+ * export const POST = handler.fetch;
+ * @param {object} options
+ * @param {string} options.secret - Required. The webhook signing secret, in the format `whsec_...`
+ * @param {number} [options.tolerance] - Maximum age of the webhook timestamp in seconds. Defaults to 300
+ * @param {Function} [options.onStart] - Called when a prediction starts
+ * @param {Function} [options.onOutput] - Called when a prediction has new output
+ * @param {Function} [options.onLogs] - Called when a prediction has new logs
+ * @param {Function} [options.onCompleted] - Called when a prediction finishes
+ * @param {Function} [options.onFailed] - Called when a prediction fails, before `onCompleted`
+ * @param {Function} [options.onError] - Called with the error and the prediction or training when one of the functions throws, before `node` or `fetch` responds with 500. Errors it throws are ignored
+ * @returns {object} - The handler, with `handle`, `node` and `fetch` functions
+ */
+function createWebhookHandler(options = {}) {
+  const { secret, tolerance } = options;
+  if (!secret) {
+    throw new Error("Missing webhook signing secret");
+  }
+
+  const onError = options.onError || (() => {});
+
+  const callbacks = {
+    start: options.onStart,
+    output: options.onOutput,
+    logs: options.onLogs,
+    completed: options.onCompleted,
+    failed: options.onFailed,
+  };
+
+  // The attempt to handle each webhook by ID, and the last state of each prediction
+  const handled = new Map();
+  const latest = new Map();
+  const remember = (map, key, value) => {
+    map.delete(key);
+    map.set(key, value);
+    if (map.size > MAX_HANDLED) {
+      map.delete(map.keys().next().value);
+    }
+  };
+
+  /**
+   * Call the functions for the events of a verified webhook.
+   *
+   * A webhook that's being handled or was handled before isn't handled again.
+   * Its duplicates wait for the first attempt and get the same result,
+   * so a retry isn't acknowledged until the functions have finished.
+   *
+   * @param {object} prediction - The prediction or training sent in the webhook
+   * @param {string} id - The webhook ID
+   * @returns {Promise<object>} - Resolves with the prediction or training
+   */
+  const dispatch = (prediction, id) => {
+    if (handled.has(id)) {
+      return handled.get(id);
+    }
+
+    const attempt = (async () => {
+      for (const type of webhookEvents(prediction, latest.get(prediction.id))) {
+        if (callbacks[type]) {
+          await callbacks[type](prediction, { id, type });
+        }
+      }
+      remember(latest, prediction.id, prediction);
+      return prediction;
+    })();
+
+    remember(handled, id, attempt);
+    attempt.catch(() => {
+      // Let Replicate retry the webhook
+      if (handled.get(id) === attempt) {
+        handled.delete(id);
+      }
+    });
+    return attempt;
+  };
+
+  /**
+   * Verify a webhook and call the functions for its events.
+   *
+   * @param {Request|object} request - A Fetch API `Request`, or an object with the raw `body` and `headers`, like for `validateWebhook`
+   * @returns {Promise<object>} - Resolves with the prediction or training
+   * @throws {Error} If the webhook isn't valid, or a function throws
+   */
+  const handle = async (request) => {
+    const prediction = await validateWebhook(request, secret, { tolerance });
+    return dispatch(prediction, getHeader(request.headers, "webhook-id"));
+  };
+
+  /**
+   * Verify a webhook and respond with its status:
+   * 200 when it was handled, 400 when it isn't valid, or 500 when a function threw.
+   *
+   * @param {Request|object} request - The request for `validateWebhook`
+   * @returns {Promise<{status: number, message: string}>} - Resolves with the response status and message
+   */
+  const respond = async (request) => {
+    let prediction;
+    try {
+      prediction = await validateWebhook(request, secret, { tolerance });
+    } catch (error) {
+      return { status: 400, message: error.message };
+    }
+
+    try {
+      await dispatch(prediction, getHeader(request.headers, "webhook-id"));
+    } catch (error) {
+      try {
+        await onError(error, prediction);
+      } catch (e) {
+        // Still respond with 500, so that Replicate retries the webhook
+      }
+      return {
+        status: 500,
+        message: `Error handling webhook for ${prediction.id}`,
+      };
+    }
+    return { status: 200, message: "" };
+  };
+
+  /**
+   * Handle a webhook with a Fetch API `Request`.
+   *
+   * @param {Request} request - The request
+   * @returns {Promise<Response>} - Resolves with the response
+   */
+  const fetch = async (request) => {
+    const { status, message } = await respond(request);
+    return new Response(message || null, { status });
+  };
+
+  /**
+   * Handle a webhook with a Node.js `http` request and response, or an Express request and response.
+   *
+   * With Express, use `express.raw()` for the route so the signature can be checked against the raw body.
+   *
+   * @param {import("http").IncomingMessage} req - The request
+   * @param {import("http").ServerResponse} res - The response
+   * @returns {Promise<void>} - Resolves when the response is sent
+   */
+  const node = async (req, res) => {
+    let body = req.body;
+    let result;
+    if (body === undefined) {
+      try {
+        body = await readNodeBody(req);
+      } catch (error) {
+        // The client disconnected before sending the whole body
+        body = null;
+      }
+    }
+
+    if (body === null) {
+      result = { status: 400, message: "Could not read the webhook body" };
+    } else if (typeof body === "string" || ArrayBuffer.isView(body)) {
+      result = await respond({ body, headers: req.headers });
+    } else {
+      result = {
+        status: 400,
+        message:
+          "The request body was already parsed. Use express.raw() for the webhook route so its signature can be checked",
+      };
+    }
+
+    res.statusCode = result.status;
+    res.setHeader("Content-Type", "text/plain");
+    res.end(result.message);
+  };
+
+  return { handle, fetch, node };
+}
+
+module.exports = { createWebhookHandler, validateWebhook, WebhookReceiver };
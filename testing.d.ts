@@ -0,0 +1,126 @@
+declare module "replicate/testing" {
+  import type {
+    Deployment,
+    Hardware,
+    Model,
+    ModelVersion,
+    Prediction,
+    Training,
+  } from "replicate";
+
+  export interface FakeModelContext {
+    id: string;
+    signal: AbortSignal;
+    log(text: string): void;
+  }
+
+  export type FakeModelHandler = (
+    input: any,
+    context: FakeModelContext
+  ) => unknown;
+
+  export interface FakeRequest {
+    method: string;
+    path: string;
+    body: unknown;
+  }
+
+  export interface FakeServerOptions {
+    baseUrl?: string;
+    token?: string;
+    owner?: string;
+    queueTime?: number;
+    hardware?: Hardware[];
+  }
+
+  export interface FailRequestsOptions {
+    count?: number;
+    status?: number;
+    retryAfter?: number;
+    detail?: string;
+    method?: string;
+    path?: string | RegExp;
+  }
+
+  export interface CassetteInteraction {
+    request: {
+      method: string;
+      url: string;
+      headers: Record<string, string>;
+      body: unknown;
+    };
+    response: {
+      status: number;
+      headers: Record<string, string>;
+      body: unknown;
+      encoding?: "base64";
+    };
+  }
+
+  export class UnmatchedRequestError extends Error {
+    name: "UnmatchedRequestError";
+    request: { method: string; url: string; body: unknown };
+  }
+
+  export class Cassette {
+    constructor(interactions?: CassetteInteraction[]);
+
+    static load(path: string): Promise<Cassette>;
+
+    interactions: CassetteInteraction[];
+    unmatched: { method: string; url: string; body: unknown }[];
+
+    record(fetch?: typeof globalThis.fetch): typeof globalThis.fetch;
+    replay(): typeof globalThis.fetch;
+    save(path: string): Promise<void>;
+    toJSON(): { version: number; interactions: CassetteInteraction[] };
+  }
+
+  export class FakeServer {
+    constructor(options?: FakeServerOptions);
+
+    baseUrl: string;
+    token?: string;
+    owner: string;
+    queueTime: number;
+    hardware: Hardware[];
+
+    models: Map<string, Model>;
+    predictions: Map<string, Prediction>;
+    trainings: Map<string, Training>;
+    deployments: Map<string, Deployment>;
+    requests: FakeRequest[];
+
+    fetch(input: string | URL | Request, init?: RequestInit): Promise<Response>;
+
+    addModel(
+      ref: `${string}/${string}`,
+      handler: FakeModelHandler,
+      options?: {
+        schema?: object;
+        train?: FakeModelHandler;
+        description?: string;
+        visibility?: "public" | "private";
+      }
+    ): ModelVersion;
+    addDeployment(
+      ref: `${string}/${string}`,
+      options: {
+        model: `${string}/${string}`;
+        version?: string;
+        hardware?: string;
+        minInstances?: number;
+        maxInstances?: number;
+      }
+    ): Deployment;
+    addCollection(collection: {
+      slug: string;
+      name?: string;
+      description?: string;
+      models?: `${string}/${string}`[];
+    }): void;
+
+    failRequests(options?: FailRequestsOptions): void;
+    rateLimit(options?: { count?: number; retryAfter?: number }): void;
+  }
+}